@@ -1,5 +1,6 @@
 import { MongoClient } from "mongodb";
 import dotenv from "dotenv";
+import { scopeDatabase } from "./utils/tenants.js";
 
 dotenv.config();
 
@@ -16,7 +17,8 @@ let dbInstance;
 export async function connectDB() {
   if (!dbInstance) {
     await client.connect();
-    dbInstance = client.db(dbName); // 👈 use DB_NAME from .env
+    // 👈 use DB_NAME from .env; collections are tenant-scoped (utils/tenants.js)
+    dbInstance = scopeDatabase(client.db(dbName));
     console.log("Connected to MongoDB →", dbName);
   }
   return dbInstance;
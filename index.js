@@ -8,6 +8,7 @@ import swaggerUi from "swagger-ui-express";
 import { connectDB } from "./db.js";
 import { swaggerSpec } from "./swagger.js";
 import { initSocket } from "./socket.js";
+import { resolveIdentity } from "./middleware/authMiddleware.js";
 
 import authRoutes from "./routes/auth.js";
 import requestsRoutes from "./routes/requests.js";
@@ -16,6 +17,15 @@ import biddingRoutes from "./routes/bidding.js";
 import ordersRoutes from "./routes/orders.js";
 import notificationsRoutes from "./routes/notifications.js";
 import rpEvaluationsRoutes from "./routes/rpEvaluations.js";
+import adminRoutes from "./routes/admin.js";
+import delegationsRoutes from "./routes/delegations.js";
+import permissionsRoutes from "./routes/permissions.js";
+import commentsRoutes from "./routes/comments.js";
+import attachmentsRoutes from "./routes/attachments.js";
+import requestTemplatesRoutes from "./routes/requestTemplates.js";
+import { startEmployeeSync } from "./utils/employeeDirectory.js";
+import { reconcileAfterSync } from "./utils/userReconciliation.js";
+import { migrateToTenants } from "./utils/tenants.js";
 
 dotenv.config();
 
@@ -58,6 +68,7 @@ const corsOptions = {
     "Authorization",
     "x-user-role",
     "x-username",
+    "x-api-key",
 
     // ✅ some browsers send these automatically
     "cache-control",
@@ -68,7 +79,7 @@ const corsOptions = {
   ],
 
   // ✅ optional: allows browser to read these headers if you set them
-  exposedHeaders: ["etag", "x-total-count"],
+  exposedHeaders: ["etag", "x-total-count", "x-impersonated-by"],
 
   optionsSuccessStatus: 204,
 };
@@ -96,8 +107,9 @@ app.use((req, res, next) => {
   next();
 });
 
-// ✅ DB connect
-await connectDB();
+// ✅ DB connect (+ move single-tenant data into the default tenant)
+const database = await connectDB();
+await migrateToTenants(database);
 
 /* =========================
    Routes
@@ -105,13 +117,20 @@ await connectDB();
 app.get("/", (req, res) => res.json({ status: "ok" }));
 
 app.use("/api/auth", authRoutes);
-app.use("/api/requests", requestsRoutes);
-app.use("/api/offers", offersRoutes);
-app.use("/api/bidding", biddingRoutes);
-app.use("/api/orders", ordersRoutes);
-app.use("/api/notifications", notificationsRoutes);
-app.use("/api/rp-evaluations", rpEvaluationsRoutes);
 
+// ✅ identity comes from the verified JWT (see middleware/authMiddleware.js)
+app.use("/api/requests", resolveIdentity, requestsRoutes);
+app.use("/api/offers", resolveIdentity, offersRoutes);
+app.use("/api/bidding", resolveIdentity, biddingRoutes);
+app.use("/api/orders", resolveIdentity, ordersRoutes);
+app.use("/api/notifications", resolveIdentity, notificationsRoutes);
+app.use("/api/rp-evaluations", resolveIdentity, rpEvaluationsRoutes);
+app.use("/api/admin", resolveIdentity, adminRoutes);
+app.use("/api/delegations", resolveIdentity, delegationsRoutes);
+app.use("/api/permissions", resolveIdentity, permissionsRoutes);
+app.use("/api/comments", resolveIdentity, commentsRoutes);
+app.use("/api/attachments", resolveIdentity, attachmentsRoutes);
+app.use("/api/request-templates", resolveIdentity, requestTemplatesRoutes);
 
 /* =========================
    Swagger
@@ -153,6 +172,9 @@ app.use((err, req, res, next) => {
 ========================= */
 initSocket(server);
 
+// ✅ keep the local employee directory copy fresh (+ report user changes)
+startEmployeeSync({ onSynced: reconcileAfterSync });
+
 server.listen(PORT, () => {
   console.log("🚀 Backend listening on port", PORT);
 });
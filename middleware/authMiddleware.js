@@ -1,26 +1,338 @@
+// middleware/authMiddleware.js
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import {
+  DEFAULT_TENANT,
+  isSingleTenant,
+  runWithTenant,
+  tenantOf,
+} from "../utils/tenants.js";
+import {
+  auditImpersonatedRequest,
+  findActiveImpersonation,
+  isReadMethod,
+} from "../utils/impersonation.js";
 
 dotenv.config();
 
-export function authMiddleware(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    return res.status(401).json({ error: "No token provided" });
+/**
+ * Identity mode (AUTH_IDENTITY_MODE):
+ * - "transition" (default): a valid Bearer token always wins. Requests without
+ *   a token still fall back to x-user-role / x-username, and any header that
+ *   disagrees with the token is logged.
+ * - "strict": a valid Bearer token is required and x-user-role / x-username
+ *   that disagree with it are rejected.
+ */
+const IDENTITY_MODE =
+  String(process.env.AUTH_IDENTITY_MODE || "transition")
+    .trim()
+    .toLowerCase() === "strict"
+    ? "strict"
+    : "transition";
+
+/* =========================
+   Helpers
+========================= */
+export function normalizeRole(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return "";
+  const upper = s.toUpperCase().replace(/\s+/g, "_");
+  const noUnderscore = upper.replace(/_/g, "");
+  const map = {
+    PROJECTMANAGER: "PROJECT_MANAGER",
+    PROJECT_MANAGER: "PROJECT_MANAGER",
+    PROCUREMENTOFFICER: "PROCUREMENT_OFFICER",
+    PROCUREMENT_OFFICER: "PROCUREMENT_OFFICER",
+    RESOURCEPLANNER: "RESOURCE_PLANNER",
+    RESOURCE_PLANNER: "RESOURCE_PLANNER",
+    SYSTEMADMIN: "SYSTEM_ADMIN",
+    SYSTEM_ADMIN: "SYSTEM_ADMIN",
+    SYSTEMADMINISTRATOR: "SYSTEM_ADMIN",
+    SYSTEM_ADMINISTRATOR: "SYSTEM_ADMIN",
+    ADMIN: "SYSTEM_ADMIN",
+    SERVICEPROVIDER: "SERVICE_PROVIDER",
+    SERVICE_PROVIDER: "SERVICE_PROVIDER",
+  };
+  return map[noUnderscore] || map[upper] || upper;
+}
+
+export function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+function parseId(idStr) {
+  try {
+    return new ObjectId(String(idStr));
+  } catch {
+    return null;
   }
+}
 
-  const parts = authHeader.split(" ");
+/**
+ * Reads the Bearer token from the Authorization header.
+ * Returns { token } | { error } | {} (no header at all)
+ */
+function readBearer(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return {};
+
+  const parts = String(authHeader).split(" ");
   if (parts.length !== 2 || parts[0] !== "Bearer") {
-    return res.status(401).json({ error: "Invalid auth header" });
+    return { error: "Invalid auth header" };
+  }
+  return { token: parts[1] };
+}
+
+function verifyToken(token) {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The token only proves who the caller is; role and username always come
+ * from the users collection so a role change applies without a new login.
+ */
+async function loadUserForToken(decoded) {
+  const users = db.collection("users");
+
+  const oid = decoded?._id ? parseId(decoded._id) : null;
+  if (oid) {
+    const byId = await users.findOne({ _id: oid });
+    if (byId) return byId;
+  }
+
+  const username = normalizeUsername(decoded?.username);
+  if (!username) return null;
+  return await users.findOne({ username });
+}
+
+/**
+ * Verifies the JWT and checks it has not been revoked.
+ * Impersonation tokens also need their session to be active.
+ * Returns { decoded, user, impersonation? } | { error }
+ */
+async function authenticateToken(token) {
+  const decoded = verifyToken(token);
+  if (!decoded) return { error: "Token invalid or expired" };
+
+  const user = await loadUserForToken(decoded);
+  if (!user) return { error: "Token invalid or expired" };
+
+  if (user.disabled) return { error: "Account disabled" };
+
+  // users.tokenVersion is bumped on password change / logout-all
+  if (Number(decoded.tokenVersion || 0) !== Number(user.tokenVersion || 0)) {
+    return { error: "Token revoked" };
+  }
+
+  if (decoded.impersonation) {
+    const sid = parseId(decoded.impersonation.sessionId);
+    const session = sid ? await findActiveImpersonation(sid) : null;
+    if (!session || session.targetUserId !== String(user._id)) {
+      return { error: "Impersonation session ended" };
+    }
+    return { decoded, user, impersonation: session };
+  }
+
+  return { decoded, user };
+}
+
+function headerIdentity(req) {
+  return {
+    role: normalizeRole(req.headers["x-user-role"]),
+    username: normalizeUsername(req.headers["x-username"]),
+  };
+}
+
+/**
+ * Identity claimed without a token (x-user-role / x-username headers, legacy
+ * socket join). Nothing proves it, so it never picks a tenant: it is only
+ * accepted in transition mode while there is a single tenant.
+ * Returns { role, username, userId, email, tenantId, source } | { error }
+ */
+export async function identifyUnverified({ role, username }) {
+  if (IDENTITY_MODE === "strict") return { error: "No token provided" };
+  if (!(await isSingleTenant(db))) {
+    return { error: "A Bearer token is required (multiple tenants)" };
+  }
+
+  // a disabled account must not come back in through the headers
+  const uname = normalizeUsername(username);
+  const user = uname
+    ? await db
+        .collection("users")
+        .findOne({ username: uname }, { projection: { disabled: 1 } })
+    : null;
+  if (user?.disabled) return { error: "Account disabled" };
+
+  return {
+    role: normalizeRole(role),
+    username: uname,
+    userId: "",
+    email: "",
+    tenantId: DEFAULT_TENANT,
+    source: "headers",
+  };
+}
+
+function tokenIdentity(user, impersonation = null) {
+  const identity = {
+    role: normalizeRole(user.role),
+    username: normalizeUsername(user.username),
+    userId: String(user._id),
+    email: user.email || "",
+    tenantId: tenantOf(user),
+    source: "token",
+  };
+  if (impersonation) {
+    identity.impersonation = {
+      sessionId: String(impersonation._id),
+      by: impersonation.admin,
+      readOnly: !!impersonation.readOnly,
+      expiresAt: impersonation.expiresAt,
+    };
+  }
+  return identity;
+}
+
+function describeRequest(req) {
+  return `${req.method} ${req.originalUrl || req.url}`;
+}
+
+/**
+ * Resolves the caller identity for one request.
+ * Returns { role, username, userId, email, tenantId, source, impersonation? }
+ * | { error }
+ */
+async function identify(req) {
+  const bearer = readBearer(req);
+  if (bearer.error) return { error: bearer.error };
+
+  const fromHeaders = headerIdentity(req);
+
+  if (!bearer.token) {
+    if (IDENTITY_MODE === "strict") {
+      return { error: "No token provided" };
+    }
+    if (!fromHeaders.role) return { error: "Missing x-user-role" };
+
+    console.warn(
+      `[auth] header-only identity (${fromHeaders.role}/${fromHeaders.username || "-"}) on ${describeRequest(req)}`,
+    );
+    return await identifyUnverified(fromHeaders);
+  }
+
+  const auth = await authenticateToken(bearer.token);
+  if (auth.error) return { error: auth.error };
+
+  const identity = tokenIdentity(auth.user, auth.impersonation);
+
+  const roleMismatch = fromHeaders.role && fromHeaders.role !== identity.role;
+  const usernameMismatch =
+    fromHeaders.username && fromHeaders.username !== identity.username;
+
+  if (roleMismatch || usernameMismatch) {
+    console.warn(
+      `[auth] header/token mismatch on ${describeRequest(req)}: headers=${fromHeaders.role || "-"}/${fromHeaders.username || "-"} token=${identity.role}/${identity.username}`,
+    );
+    if (IDENTITY_MODE === "strict") {
+      return { error: "x-user-role / x-username do not match token" };
+    }
+  }
+
+  return identity;
+}
+
+/* =========================
+   Middlewares
+========================= */
+
+/**
+ * Strict JWT check: rejects the request when no valid (non-revoked) token
+ * is sent. Sets req.user to the decoded token payload.
+ */
+export async function authMiddleware(req, res, next) {
+  const bearer = readBearer(req);
+  if (bearer.error) return res.status(401).json({ error: bearer.error });
+  if (!bearer.token) {
+    return res.status(401).json({ error: "No token provided" });
   }
 
-  const token = parts[1];
+  try {
+    const auth = await authenticateToken(bearer.token);
+    if (auth.error) return res.status(401).json({ error: auth.error });
+
+    // ✅ account actions (password, 2FA, ...) stay with the real user
+    if (auth.impersonation) {
+      return res
+        .status(403)
+        .json({ error: "Not available while impersonating" });
+    }
+
+    req.user = auth.decoded;
+  } catch (err) {
+    console.error("Auth middleware error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+  next();
+}
 
+/**
+ * Non-blocking identity resolver for the API routers.
+ * Sets req.identity (see identify()); routers read it through getUser(req),
+ * so public endpoints on the same router keep working without a token.
+ * The rest of the request runs in the caller's tenant (utils/tenants.js);
+ * without an identity, tenant-scoped queries fail until a route picks one.
+ * Impersonated requests are audited, marked with X-Impersonated-By and
+ * limited to reads in read-only sessions.
+ */
+export async function resolveIdentity(req, res, next) {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    req.identity = await identify(req);
   } catch (err) {
-    return res.status(401).json({ error: "Token invalid or expired" });
+    console.error("Resolve identity error:", err);
+    req.identity = { error: "Server error" };
   }
+
+  const { impersonation } = req.identity;
+  if (impersonation) {
+    res.setHeader("X-Impersonated-By", impersonation.by);
+    auditImpersonatedRequest(req, res, req.identity);
+
+    if (impersonation.readOnly && !isReadMethod(req.method)) {
+      res.locals.impersonationBlocked = true;
+      return res
+        .status(403)
+        .json({ error: "Impersonation session is read-only" });
+    }
+  }
+
+  runWithTenant(req.identity.tenantId || null, next);
+}
+
+/**
+ * Identity behind a raw token (socket handshakes).
+ * Returns { role, username, userId, email, tenantId, source } | { error }
+ */
+export async function identifyToken(token) {
+  const auth = await authenticateToken(token);
+  if (auth.error) return auth;
+  return tokenIdentity(auth.user, auth.impersonation);
+}
+
+/**
+ * Returns { role, username, ... } or { error } for the current request.
+ */
+export function getUser(req) {
+  const identity = req.identity;
+  if (!identity) return { error: "No token provided" };
+  if (identity.error) return { error: identity.error };
+  return identity;
 }
@@ -0,0 +1,1019 @@
+// routes/admin.js
+import express from "express";
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import { getUser } from "../middleware/authMiddleware.js";
+import {
+  ALLOWED_EMPLOYEE_ROLES,
+  normalizeEmployeeRole,
+  syncEmployees,
+  getEmployeeSyncStatus,
+} from "../utils/employeeDirectory.js";
+import { revokeAllSessions } from "../utils/tokens.js";
+import { safeUser, sendPasswordResetMail } from "../utils/users.js";
+import {
+  API_KEY_OWNER_ROLE,
+  apiKeyView,
+  createApiKey,
+  revokeApiKey,
+  rotateApiKey,
+} from "../utils/apiKeys.js";
+import {
+  RECONCILIATION_STATUS,
+  createReconciliationReport,
+  applyReconciliationReport,
+} from "../utils/userReconciliation.js";
+import {
+  getLockout,
+  unlockUsername,
+  listLoginAttempts,
+} from "../utils/loginThrottle.js";
+import {
+  ROLES,
+  getPermissionMatrix,
+  setPermission,
+  resetPermission,
+} from "../utils/permissions.js";
+import {
+  getTwoFactorPolicy,
+  setTwoFactorPolicy,
+  disableTwoFactor,
+} from "../utils/twoFactor.js";
+import {
+  auditAdminAction,
+  endImpersonation,
+  impersonationView,
+  listAdminAudit,
+  listImpersonationAudit,
+  startImpersonation,
+} from "../utils/impersonation.js";
+import {
+  getApprovalPolicy,
+  setApprovalPolicy,
+} from "../utils/approvalPolicies.js";
+
+const router = express.Router();
+
+/* =========================
+   No-cache
+========================= */
+router.use((req, res, next) => {
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate",
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+  res.setHeader("Surrogate-Control", "no-store");
+  next();
+});
+
+/* =========================
+   Helpers
+========================= */
+function isAdmin(role) {
+  return role === "SYSTEM_ADMIN";
+}
+
+function parseId(idStr) {
+  try {
+    return new ObjectId(String(idStr));
+  } catch {
+    return null;
+  }
+}
+
+function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+function escapeRegex(s) {
+  return String(s || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+async function findUserByUsername(username) {
+  return await db
+    .collection("users")
+    .findOne({ username: normalizeUsername(username) });
+}
+
+/**
+ * safeUser + account state for the admin screens.
+ */
+function adminUserView(u) {
+  return {
+    ...safeUser(u),
+    createdAt: u.createdAt || null,
+    updatedAt: u.updatedAt || null,
+    disabledAt: u.disabledAt || null,
+    disabledBy: u.disabledBy || null,
+    disabledReason: u.disabledReason || null,
+    mustResetPassword: !!u.mustResetPassword,
+    roleOverride: u.roleOverride || null,
+  };
+}
+
+function clampInt(v, def, min, max) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return def;
+  return Math.max(min, Math.min(max, Math.floor(n)));
+}
+
+/**
+ * Every /api/admin route is SYSTEM_ADMIN only, proven by a token: legacy
+ * x-user-role headers are never enough, whatever AUTH_IDENTITY_MODE says.
+ */
+router.use((req, res, next) => {
+  const user = getUser(req);
+  if (user.error) return res.status(401).json({ error: user.error });
+  if (user.source !== "token")
+    return res.status(401).json({ error: "Admin routes need a Bearer token" });
+  if (!isAdmin(user.role))
+    return res.status(403).json({ error: "Only SYSTEM_ADMIN" });
+  req.admin = user;
+  next();
+});
+
+/* =========================================================
+   ✅ EMPLOYEE DIRECTORY
+   GET  /api/admin/employees/sync   -> last sync status
+   POST /api/admin/employees/sync   -> manual resync
+========================================================= */
+router.get("/employees/sync", async (req, res) => {
+  try {
+    const status = await getEmployeeSyncStatus();
+    return res.json(status);
+  } catch (e) {
+    console.error("employee sync status error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/employees/sync", async (req, res) => {
+  try {
+    const result = await syncEmployees({
+      trigger: "manual",
+      by: req.admin.username,
+    });
+    const status = await getEmployeeSyncStatus();
+
+    if (!result.ok) {
+      return res
+        .status(502)
+        .json({ error: "Employee sync failed", detail: result.error, status });
+    }
+
+    return res.json({ success: true, ...result, status });
+  } catch (e) {
+    console.error("employee sync error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================================================
+   ✅ USER RECONCILIATION (directory -> users)
+   POST /api/admin/reconciliations            -> build a new PENDING report
+   GET  /api/admin/reconciliations            -> list reports (no changes)
+   GET  /api/admin/reconciliations/:id        -> full report
+   POST /api/admin/reconciliations/:id/apply  -> Body: { userIds?: [] }
+   POST /api/admin/reconciliations/:id/discard
+========================================================= */
+router.post("/reconciliations", async (req, res) => {
+  try {
+    const report = await createReconciliationReport({
+      by: req.admin.username,
+      trigger: "manual",
+    });
+    if (report.error) return res.status(409).json({ error: report.error });
+
+    return res.json(report);
+  } catch (e) {
+    console.error("create reconciliation error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/reconciliations", async (req, res) => {
+  try {
+    const status = String(req.query.status || "")
+      .trim()
+      .toUpperCase();
+    const page = clampInt(req.query.page, 1, 1, 1000000);
+    const limit = clampInt(req.query.limit, 20, 1, 100);
+
+    const match = {};
+    if (status) match.status = status;
+
+    const total = await db
+      .collection("user_reconciliations")
+      .countDocuments(match);
+    const list = await db
+      .collection("user_reconciliations")
+      .find(match, { projection: { changes: 0 } })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    return res.json({
+      data: list,
+      meta: { page, limit, total, totalPages: Math.ceil(total / limit) || 1 },
+    });
+  } catch (e) {
+    console.error("list reconciliations error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/reconciliations/:id", async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid report id" });
+
+    const doc = await db
+      .collection("user_reconciliations")
+      .findOne({ _id: id });
+    if (!doc) return res.status(404).json({ error: "Report not found" });
+
+    return res.json(doc);
+  } catch (e) {
+    console.error("get reconciliation error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/reconciliations/:id/apply", async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid report id" });
+
+    const userIds = req.body?.userIds;
+    if (userIds != null && !Array.isArray(userIds)) {
+      return res.status(400).json({ error: "userIds must be an array" });
+    }
+
+    const result = await applyReconciliationReport(id, {
+      by: req.admin.username,
+      userIds,
+    });
+    if (!result) {
+      return res
+        .status(409)
+        .json({ error: "Only PENDING reports can be applied" });
+    }
+
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    console.error("apply reconciliation error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/reconciliations/:id/discard", async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid report id" });
+
+    const now = new Date();
+    const r = await db.collection("user_reconciliations").updateOne(
+      { _id: id, status: RECONCILIATION_STATUS.PENDING },
+      {
+        $set: {
+          status: RECONCILIATION_STATUS.DISCARDED,
+          discardedBy: req.admin.username,
+          discardedAt: now,
+          updatedAt: now,
+        },
+      },
+    );
+    if (!r.matchedCount) {
+      return res
+        .status(409)
+        .json({ error: "Only PENDING reports can be discarded" });
+    }
+
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("discard reconciliation error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================================================
+   ✅ USERS
+   GET  /api/admin/users?q=&role=&disabled=true|false&page=&limit=
+   GET  /api/admin/users/:username
+   POST /api/admin/users/:username/disable               Body: { reason }
+   POST /api/admin/users/:username/enable
+   POST /api/admin/users/:username/force-password-reset
+   POST /api/admin/users/:username/role                  Body: { role, reason }
+========================================================= */
+router.get("/users", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    const role = normalizeEmployeeRole(req.query.role);
+    const disabled = String(req.query.disabled || "")
+      .trim()
+      .toLowerCase();
+
+    const page = clampInt(req.query.page, 1, 1, 1000000);
+    const limit = clampInt(req.query.limit, 50, 1, 100);
+
+    const match = {};
+    if (role) match.role = role;
+    if (disabled === "true") match.disabled = true;
+    if (disabled === "false") match.disabled = { $ne: true };
+
+    if (q) {
+      const rx = new RegExp(escapeRegex(q), "i");
+      match.$or = [
+        { username: rx },
+        { email: rx },
+        { name: rx },
+        { department: rx },
+        { position: rx },
+      ];
+    }
+
+    const total = await db.collection("users").countDocuments(match);
+    const list = await db
+      .collection("users")
+      .find(match, { projection: { password: 0 } })
+      .sort({ username: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    return res.json({
+      data: list.map(adminUserView),
+      meta: { page, limit, total, totalPages: Math.ceil(total / limit) || 1 },
+    });
+  } catch (e) {
+    console.error("list users error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/users/:username", async (req, res) => {
+  try {
+    const user = await findUserByUsername(req.params.username);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const lockout = await getLockout(user.username);
+    return res.json({ ...adminUserView(user), lockout });
+  } catch (e) {
+    console.error("get user error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/users/:username/disable", async (req, res) => {
+  try {
+    const user = await findUserByUsername(req.params.username);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (user.username === req.admin.username) {
+      return res.status(400).json({ error: "You cannot disable yourself" });
+    }
+
+    const reason = String(req.body?.reason || "").trim();
+    const now = new Date();
+
+    await db.collection("users").updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          disabled: true,
+          disabledAt: now,
+          disabledBy: req.admin.username,
+          disabledReason: reason,
+          updatedAt: now,
+        },
+      },
+    );
+    await revokeAllSessions(user._id, "ACCOUNT_DISABLED");
+    await auditAdminAction(req, "USER_DISABLED", {
+      target: user.username,
+      reason,
+    });
+
+    const updated = await db.collection("users").findOne({ _id: user._id });
+    return res.json({ success: true, user: adminUserView(updated) });
+  } catch (e) {
+    console.error("disable user error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/users/:username/enable", async (req, res) => {
+  try {
+    const user = await findUserByUsername(req.params.username);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    await db.collection("users").updateOne(
+      { _id: user._id },
+      {
+        $set: { disabled: false, updatedAt: new Date() },
+        $unset: { disabledAt: "", disabledBy: "", disabledReason: "" },
+      },
+    );
+    await auditAdminAction(req, "USER_ENABLED", { target: user.username });
+
+    const updated = await db.collection("users").findOne({ _id: user._id });
+    return res.json({ success: true, user: adminUserView(updated) });
+  } catch (e) {
+    console.error("enable user error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/users/:username/force-password-reset", async (req, res) => {
+  try {
+    const user = await findUserByUsername(req.params.username);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    await db.collection("users").updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          mustResetPassword: true,
+          passwordResetRequiredBy: req.admin.username,
+          passwordResetRequiredAt: new Date(),
+          updatedAt: new Date(),
+        },
+      },
+    );
+    await revokeAllSessions(user._id, "PASSWORD_RESET_REQUIRED");
+    await auditAdminAction(req, "PASSWORD_RESET_FORCED", {
+      target: user.username,
+    });
+
+    let mailSent = true;
+    try {
+      await sendPasswordResetMail(user, { forced: true });
+    } catch (mailErr) {
+      mailSent = false;
+      console.error("Forced reset mail error:", mailErr);
+    }
+
+    return res.json({ success: true, mailSent });
+  } catch (e) {
+    console.error("force password reset error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/users/:username/role", async (req, res) => {
+  try {
+    const role = normalizeEmployeeRole(req.body?.role);
+    const reason = String(req.body?.reason || "").trim();
+
+    if (!ALLOWED_EMPLOYEE_ROLES.has(role)) {
+      return res.status(400).json({
+        error: "Invalid role",
+        allowed: [...ALLOWED_EMPLOYEE_ROLES],
+      });
+    }
+    if (!reason) return res.status(400).json({ error: "reason is required" });
+
+    const user = await findUserByUsername(req.params.username);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const now = new Date();
+    const override = {
+      role,
+      previousRole: user.role || "",
+      reason,
+      by: req.admin.username,
+      at: now,
+    };
+
+    await db.collection("users").updateOne(
+      { _id: user._id },
+      {
+        $set: { role, roleOverride: override, updatedAt: now },
+        $push: { roleOverrideHistory: override },
+      },
+    );
+    await auditAdminAction(req, "ROLE_OVERRIDDEN", {
+      target: user.username,
+      role,
+      previousRole: override.previousRole,
+      reason,
+    });
+
+    const updated = await db.collection("users").findOne({ _id: user._id });
+    return res.json({ success: true, user: adminUserView(updated) });
+  } catch (e) {
+    console.error("override role error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================================================
+   ✅ LOGIN LOCKOUT
+   GET  /api/admin/users/:username/lockout
+   POST /api/admin/users/:username/unlock
+   GET  /api/admin/users/:username/login-attempts?page=&limit=
+========================================================= */
+// ✅ login bookkeeping is shared; only users of the admin's tenant are visible
+router.use(
+  "/users/:username/(lockout|unlock|login-attempts)",
+  async (req, res, next) => {
+    try {
+      const user = await findUserByUsername(req.params.username);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      next();
+    } catch (e) {
+      console.error("lockout user lookup error:", e);
+      return res.status(500).json({ error: "Server error" });
+    }
+  },
+);
+
+router.get("/users/:username/lockout", async (req, res) => {
+  try {
+    const username = normalizeUsername(req.params.username);
+    const lockout = await getLockout(username);
+    return res.json({ username, ...lockout });
+  } catch (e) {
+    console.error("get lockout error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/users/:username/unlock", async (req, res) => {
+  try {
+    const username = normalizeUsername(req.params.username);
+    const unlocked = await unlockUsername(username);
+
+    await auditAdminAction(req, "LOGIN_UNLOCKED", {
+      target: username,
+      unlocked,
+    });
+    return res.json({ success: true, username, unlocked });
+  } catch (e) {
+    console.error("unlock error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/users/:username/login-attempts", async (req, res) => {
+  try {
+    const username = normalizeUsername(req.params.username);
+    const page = clampInt(req.query.page, 1, 1, 1000000);
+    const limit = clampInt(req.query.limit, 50, 1, 100);
+
+    const { data, total } = await listLoginAttempts(username, {
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    return res.json({
+      data,
+      meta: { page, limit, total, totalPages: Math.ceil(total / limit) || 1 },
+    });
+  } catch (e) {
+    console.error("login attempts error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================================================
+   ✅ IMPERSONATION ("view as user")
+   POST /api/admin/impersonations     Body: { username, reason, readOnly?, minutes? }
+   GET  /api/admin/impersonations?active=true&username=&page=&limit=
+   GET  /api/admin/impersonations/:id
+   GET  /api/admin/impersonations/:id/audit?page=&limit=
+   POST /api/admin/impersonations/:id/end
+========================================================= */
+router.post("/impersonations", async (req, res) => {
+  try {
+    const { username, reason, readOnly, minutes } = req.body || {};
+    if (!String(reason || "").trim())
+      return res.status(400).json({ error: "reason is required" });
+
+    const target = await findUserByUsername(username);
+    if (!target) return res.status(404).json({ error: "User not found" });
+    if (target.disabled)
+      return res.status(400).json({ error: "User is disabled" });
+    if (isAdmin(target.role))
+      return res
+        .status(403)
+        .json({ error: "SYSTEM_ADMIN users cannot be impersonated" });
+
+    const { session, token } = await startImpersonation({
+      admin: req.admin,
+      target,
+      reason,
+      readOnly: readOnly !== false,
+      minutes,
+    });
+
+    await auditAdminAction(req, "IMPERSONATION_STARTED", {
+      target: target.username,
+      impersonationId: String(session._id),
+      readOnly: session.readOnly,
+      reason: session.reason,
+    });
+    return res.json({
+      success: true,
+      token,
+      expiresAt: session.expiresAt,
+      data: impersonationView(session),
+    });
+  } catch (e) {
+    console.error("start impersonation error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/impersonations", async (req, res) => {
+  try {
+    const page = clampInt(req.query.page, 1, 1, 1000000);
+    const limit = clampInt(req.query.limit, 50, 1, 100);
+
+    const match = {};
+    if (req.query.username)
+      match.target = normalizeUsername(req.query.username);
+    if (String(req.query.active || "").toLowerCase() === "true") {
+      match.endedAt = null;
+      match.expiresAt = { $gt: new Date() };
+    }
+
+    const coll = db.collection("impersonation_sessions");
+    const total = await coll.countDocuments(match);
+    const list = await coll
+      .find(match)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    return res.json({
+      data: list.map(impersonationView),
+      meta: { page, limit, total, totalPages: Math.ceil(total / limit) || 1 },
+    });
+  } catch (e) {
+    console.error("list impersonations error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+async function findImpersonation(idStr) {
+  const id = parseId(idStr);
+  if (!id) return null;
+  return await db.collection("impersonation_sessions").findOne({ _id: id });
+}
+
+router.get("/impersonations/:id", async (req, res) => {
+  try {
+    const session = await findImpersonation(req.params.id);
+    if (!session)
+      return res.status(404).json({ error: "Impersonation session not found" });
+    return res.json({ data: impersonationView(session) });
+  } catch (e) {
+    console.error("get impersonation error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/impersonations/:id/audit", async (req, res) => {
+  try {
+    const session = await findImpersonation(req.params.id);
+    if (!session)
+      return res.status(404).json({ error: "Impersonation session not found" });
+
+    const page = clampInt(req.query.page, 1, 1, 1000000);
+    const limit = clampInt(req.query.limit, 50, 1, 100);
+    const { data, total } = await listImpersonationAudit(String(session._id), {
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    return res.json({
+      session: impersonationView(session),
+      data,
+      meta: { page, limit, total, totalPages: Math.ceil(total / limit) || 1 },
+    });
+  } catch (e) {
+    console.error("impersonation audit error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/impersonations/:id/end", async (req, res) => {
+  try {
+    const session = await findImpersonation(req.params.id);
+    if (!session)
+      return res.status(404).json({ error: "Impersonation session not found" });
+    if (session.endedAt)
+      return res.status(409).json({ error: "Session already ended" });
+
+    await endImpersonation(session, { by: req.admin.username });
+
+    await auditAdminAction(req, "IMPERSONATION_ENDED", {
+      target: session.target,
+      impersonationId: String(session._id),
+    });
+    const updated = await db
+      .collection("impersonation_sessions")
+      .findOne({ _id: session._id });
+    return res.json({ success: true, data: impersonationView(updated) });
+  } catch (e) {
+    console.error("end impersonation error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================================================
+   ✅ ADMIN AUDIT (impersonations, unlocks, user and policy changes)
+   GET /api/admin/audit?action=&admin=&page=&limit=
+========================================================= */
+router.get("/audit", async (req, res) => {
+  try {
+    const page = clampInt(req.query.page, 1, 1, 1000000);
+    const limit = clampInt(req.query.limit, 50, 1, 100);
+    const action = String(req.query.action || "")
+      .trim()
+      .toUpperCase();
+
+    const { data, total } = await listAdminAudit(
+      { action, admin: normalizeUsername(req.query.admin) },
+      { skip: (page - 1) * limit, limit },
+    );
+
+    return res.json({
+      data,
+      meta: { page, limit, total, totalPages: Math.ceil(total / limit) || 1 },
+    });
+  } catch (e) {
+    console.error("admin audit error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================================================
+   ✅ PERMISSION MATRIX
+   GET    /api/admin/permissions
+   PUT    /api/admin/permissions/:action   Body: { roles?, owner?, statuses? }
+   DELETE /api/admin/permissions/:action   -> back to default
+========================================================= */
+router.get("/permissions", async (req, res) => {
+  try {
+    const matrix = await getPermissionMatrix();
+    return res.json({ roles: ROLES, data: matrix });
+  } catch (e) {
+    console.error("get permissions error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.put("/permissions/:action", async (req, res) => {
+  try {
+    const { roles, owner, statuses } = req.body || {};
+    const entry = await setPermission(
+      req.params.action,
+      { roles, owner, statuses },
+      req.admin.username,
+    );
+    if (entry.error) {
+      const status = entry.error === "Unknown action" ? 404 : 400;
+      return res.status(status).json(entry);
+    }
+
+    await auditAdminAction(req, "PERMISSION_CHANGED", {
+      permission: req.params.action,
+      roles: entry.roles,
+      owner: entry.owner,
+      statuses: entry.statuses,
+    });
+    return res.json({ success: true, action: req.params.action, ...entry });
+  } catch (e) {
+    console.error("set permission error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.delete("/permissions/:action", async (req, res) => {
+  try {
+    const entry = await resetPermission(req.params.action);
+    if (entry.error) return res.status(404).json(entry);
+    await auditAdminAction(req, "PERMISSION_RESET", {
+      permission: req.params.action,
+    });
+
+    return res.json({ success: true, action: req.params.action, ...entry });
+  } catch (e) {
+    console.error("reset permission error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================================================
+   ✅ APPROVAL POLICY (multi-level approval of IN_REVIEW requests)
+   GET  /api/admin/settings/approval-policy  -> { rules }
+   PUT  /api/admin/settings/approval-policy
+        Body: { rules: [{ name, minValue?, types?,
+                          steps: [{ key, label?, roles?, users?, stage? }] }] }
+========================================================= */
+router.get("/settings/approval-policy", async (req, res) => {
+  try {
+    const policy = await getApprovalPolicy();
+    return res.json(policy);
+  } catch (e) {
+    console.error("get approval policy error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.put("/settings/approval-policy", async (req, res) => {
+  try {
+    const policy = await setApprovalPolicy(
+      { rules: req.body?.rules },
+      req.admin.username,
+    );
+    if (policy.error) return res.status(400).json(policy);
+
+    await auditAdminAction(req, "APPROVAL_POLICY_CHANGED", {
+      rules: policy.rules.map((r) => r.name),
+    });
+    return res.json({ success: true, ...policy });
+  } catch (e) {
+    console.error("set approval policy error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================================================
+   ✅ TWO-FACTOR AUTHENTICATION
+   GET  /api/admin/settings/two-factor     -> { requiredRoles }
+   PUT  /api/admin/settings/two-factor     Body: { requiredRoles: [] }
+   POST /api/admin/users/:username/2fa/reset  (lost device)
+========================================================= */
+router.get("/settings/two-factor", async (req, res) => {
+  try {
+    const policy = await getTwoFactorPolicy();
+    return res.json(policy);
+  } catch (e) {
+    console.error("get 2fa policy error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.put("/settings/two-factor", async (req, res) => {
+  try {
+    if (!Array.isArray(req.body?.requiredRoles)) {
+      return res.status(400).json({ error: "requiredRoles must be an array" });
+    }
+
+    const requiredRoles = [
+      ...new Set(req.body.requiredRoles.map(normalizeEmployeeRole)),
+    ];
+    const invalid = requiredRoles.filter((r) => !ALLOWED_EMPLOYEE_ROLES.has(r));
+    if (invalid.length) {
+      return res.status(400).json({
+        error: "Invalid role",
+        invalid,
+        allowed: [...ALLOWED_EMPLOYEE_ROLES],
+      });
+    }
+
+    const policy = await setTwoFactorPolicy({
+      requiredRoles,
+      by: req.admin.username,
+    });
+    await auditAdminAction(req, "TWO_FACTOR_POLICY_CHANGED", {
+      requiredRoles,
+    });
+    return res.json({ success: true, ...policy });
+  } catch (e) {
+    console.error("set 2fa policy error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/users/:username/2fa/reset", async (req, res) => {
+  try {
+    const user = await findUserByUsername(req.params.username);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    await disableTwoFactor(user);
+    await revokeAllSessions(user._id, "TWO_FACTOR_RESET");
+
+    await auditAdminAction(req, "TWO_FACTOR_RESET", { target: user.username });
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("reset 2fa error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================================================
+   ✅ PROVIDER API KEYS (for POST /api/offers/public-push)
+   GET  /api/admin/api-keys?owner=&active=true
+   POST /api/admin/api-keys              Body: { providerUsername, name? }
+   POST /api/admin/api-keys/:id/rotate
+   POST /api/admin/api-keys/:id/revoke
+   The raw key is only returned by create / rotate.
+========================================================= */
+router.get("/api-keys", async (req, res) => {
+  try {
+    const owner = normalizeUsername(req.query.owner);
+    const active = String(req.query.active || "")
+      .trim()
+      .toLowerCase();
+
+    const match = {};
+    if (owner) match.ownerUsername = owner;
+    if (active === "true") match.revokedAt = null;
+    if (active === "false") match.revokedAt = { $ne: null };
+
+    const list = await db
+      .collection("api_keys")
+      .find(match)
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    return res.json({ data: list.map(apiKeyView) });
+  } catch (e) {
+    console.error("list api keys error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/api-keys", async (req, res) => {
+  try {
+    const providerUsername = normalizeUsername(req.body?.providerUsername);
+    if (!providerUsername) {
+      return res.status(400).json({ error: "providerUsername is required" });
+    }
+
+    // ✅ users are tenant-scoped: only providers of the admin's tenant
+    const owner = await findUserByUsername(providerUsername);
+    if (!owner) return res.status(404).json({ error: "Provider not found" });
+    if (owner.role !== API_KEY_OWNER_ROLE) {
+      return res.status(400).json({
+        error: `API keys are only issued to ${API_KEY_OWNER_ROLE} users`,
+      });
+    }
+    if (owner.disabled) {
+      return res.status(409).json({ error: "Provider account is disabled" });
+    }
+
+    const { key, doc } = await createApiKey({
+      ownerUsername: providerUsername,
+      name: req.body?.name,
+      by: req.admin.username,
+    });
+
+    return res.json({ success: true, key, apiKey: apiKeyView(doc) });
+  } catch (e) {
+    console.error("create api key error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/api-keys/:id/rotate", async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid api key id" });
+
+    const existing = await db.collection("api_keys").findOne({ _id: id });
+    if (!existing) return res.status(404).json({ error: "API key not found" });
+    if (existing.revokedAt) {
+      return res.status(409).json({ error: "API key already revoked" });
+    }
+
+    const { key, doc } = await rotateApiKey(existing, {
+      by: req.admin.username,
+    });
+
+    return res.json({ success: true, key, apiKey: apiKeyView(doc) });
+  } catch (e) {
+    console.error("rotate api key error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/api-keys/:id/revoke", async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid api key id" });
+
+    const existing = await db.collection("api_keys").findOne({ _id: id });
+    if (!existing) return res.status(404).json({ error: "API key not found" });
+
+    await revokeApiKey(existing, { by: req.admin.username });
+
+    const updated = await db.collection("api_keys").findOne({ _id: id });
+    return res.json({ success: true, apiKey: apiKeyView(updated) });
+  } catch (e) {
+    console.error("revoke api key error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
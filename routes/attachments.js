@@ -0,0 +1,226 @@
+// routes/attachments.js
+import express from "express";
+import multer from "multer";
+import { getUser } from "../middleware/authMiddleware.js";
+import {
+  ATTACHMENT_MAX_BYTES,
+  attachmentParentAccess,
+  attachmentView,
+  checkUpload,
+  deleteAttachment,
+  findReadableAttachment,
+  listAttachments,
+  readAttachment,
+  saveAttachment,
+} from "../utils/attachments.js";
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_BYTES, files: 1 },
+}).single("file");
+
+/* =========================
+   No-cache
+========================= */
+router.use((req, res, next) => {
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate",
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+  res.setHeader("Surrogate-Control", "no-store");
+  next();
+});
+
+/* =========================
+   Helpers
+========================= */
+function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+function parentOf(src) {
+  return {
+    parentType: String(src?.parentType || "").trim(),
+    parentId: String(src?.parentId || "").trim(),
+  };
+}
+
+/**
+ * Upload auth before multer reads the file: the parent comes from the query
+ * string and needs write access, so nobody can make the server buffer a file
+ * for a parent they cannot write to. Sets req.attachmentUser / req.attachmentParent.
+ */
+async function requireUploadParent(req, res, next) {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+    if (!user.username) {
+      return res.status(401).json({ error: "Missing x-username" });
+    }
+
+    const access = await attachmentParentAccess(user, parentOf(req.query), {
+      write: true,
+    });
+    if (access.error)
+      return res.status(access.status).json({ error: access.error });
+
+    req.attachmentUser = user;
+    req.attachmentParent = access.parent;
+    next();
+  } catch (e) {
+    console.error("upload attachment access error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
+
+// multer as a promise; returns an error response body or null
+function receiveFile(req, res) {
+  return new Promise((resolve, reject) => {
+    upload(req, res, (err) => {
+      if (!err) return resolve(null);
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE")
+          return resolve({ status: 413, error: "File too large" });
+        return resolve({ status: 400, error: err.message });
+      }
+      return reject(err);
+    });
+  });
+}
+
+/* =========================================================
+   ✅ ATTACHMENTS (requests / offers / orders)
+   POST   /api/attachments?parentType=...&parentId=...
+                             multipart: file, checksum? (sha256 hex, or
+                             x-checksum-sha256)
+   GET    /api/attachments?parentType=...&parentId=...   -> { data }
+   GET    /api/attachments/:id             -> metadata
+   GET    /api/attachments/:id/download    -> file (checksum verified)
+   DELETE /api/attachments/:id             (uploader)
+
+   parentType: request | offer | order. Reading follows the read
+   permissions of the parent.
+========================================================= */
+router.post("/", requireUploadParent, async (req, res) => {
+  try {
+    const rejected = await receiveFile(req, res);
+    if (rejected)
+      return res.status(rejected.status).json({ error: rejected.error });
+
+    const checked = checkUpload(req.file, {
+      checksum: req.body?.checksum || req.get("x-checksum-sha256"),
+    });
+    if (checked.error) {
+      const { status, ...body } = checked;
+      return res.status(status).json(body);
+    }
+
+    const attachment = await saveAttachment(
+      req.attachmentParent,
+      req.file,
+      checked,
+      req.attachmentUser,
+    );
+    return res
+      .status(201)
+      .json({ success: true, attachment: attachmentView(attachment) });
+  } catch (e) {
+    console.error("upload attachment error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+
+    const access = await attachmentParentAccess(user, parentOf(req.query));
+    if (access.error)
+      return res.status(access.status).json({ error: access.error });
+
+    const list = await listAttachments(access.parent);
+    return res.json({
+      parent: { type: access.parent.type, id: access.parent.id },
+      data: list.map(attachmentView),
+    });
+  } catch (e) {
+    console.error("list attachments error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+
+    const found = await findReadableAttachment(user, req.params.id);
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+
+    return res.json(attachmentView(found.attachment));
+  } catch (e) {
+    console.error("get attachment error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/:id/download", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+
+    const found = await findReadableAttachment(user, req.params.id);
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+
+    const { attachment } = found;
+    const file = await readAttachment(attachment);
+    if (file.error) return res.status(file.status).json({ error: file.error });
+
+    res.attachment(attachment.filename);
+    res.setHeader("Content-Type", attachment.contentType);
+    res.setHeader("Content-Length", String(file.buffer.length));
+    res.setHeader("X-Checksum-Sha256", attachment.sha256);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    return res.end(file.buffer);
+  } catch (e) {
+    console.error("download attachment error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+    if (!user.username) {
+      return res.status(401).json({ error: "Missing x-username" });
+    }
+
+    const found = await findReadableAttachment(user, req.params.id);
+    if (found.error)
+      return res.status(found.status).json({ error: found.error });
+
+    if (found.attachment.uploadedBy !== normalizeUsername(user.username)) {
+      return res
+        .status(403)
+        .json({ error: "Only the uploader can delete an attachment" });
+    }
+
+    await deleteAttachment(found.attachment);
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("delete attachment error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
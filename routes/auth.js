@@ -1,30 +1,60 @@
 // routes/auth.js
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
+import { ObjectId } from "mongodb";
 import { db } from "../db.js";
-import { XMLParser } from "fast-xml-parser";
 import { authMiddleware } from "../middleware/authMiddleware.js";
+import {
+  issueSession,
+  findRefreshToken,
+  isRefreshTokenUsable,
+  revokeRefreshToken,
+  revokeRefreshFamily,
+  revokeAllSessions,
+  consumePasswordResetToken,
+  findPasswordResetToken,
+} from "../utils/tokens.js";
+import { safeUser, sendPasswordResetMail } from "../utils/users.js";
+import { tenantOf } from "../utils/tenants.js";
+import {
+  getPasswordPolicy,
+  validatePassword,
+  isPasswordReused,
+  passwordUpdate,
+} from "../utils/passwordPolicy.js";
+import {
+  CHALLENGE_TYPE,
+  isTwoFactorEnabled,
+  isTwoFactorRequired,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  findLoginChallenge,
+  recordChallengeFailure,
+  completeLoginChallenge,
+} from "../utils/twoFactor.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../utils/loginThrottle.js";
+import {
+  ALLOWED_EMPLOYEE_ROLES,
+  normalizeEmployeeRole,
+  buildFullName,
+  findEmployeeByEmail,
+} from "../utils/employeeDirectory.js";
 
 dotenv.config();
 const router = express.Router();
 
-const EMPLOYEES_API =
-  "https://workforcemangementtool.onrender.com/api/employees";
-const EMPLOYEES_API_TIMEOUT_MS = 8000;
-
 const JWT_SECRET = process.env.JWT_SECRET;
 if (!JWT_SECRET) throw new Error("Missing JWT_SECRET");
 
-const ALLOWED_EMPLOYEE_ROLES = new Set([
-  "PROJECT_MANAGER",
-  "RESOURCE_PLANNER",
-  "PROCUREMENT_OFFICER",
-  "SYSTEM_ADMIN",
-  "SERVICE_PROVIDER",
-]);
-
 function normalizeEmail(email) {
   return String(email || "")
     .trim()
@@ -35,107 +65,111 @@ function normalizeUsername(username) {
     .trim()
     .toLowerCase();
 }
-function normalizeRole(role) {
-  return String(role || "")
-    .trim()
-    .toUpperCase()
-    .replace(/\s+/g, "_");
-}
 
-function safeUser(u) {
-  return {
-    _id: String(u._id),
-    employeeId: u.employeeId ? String(u.employeeId) : "",
-    userId: u.userId ? String(u.userId) : "",
-    username: u.username || "",
-    displayUsername: u.displayUsername || "",
-    name: u.name || "",
-    firstName: u.firstName || "",
-    lastName: u.lastName || "",
-    email: u.email || "",
-    role: u.role || "",
-    department: u.department || "",
-    position: u.position || "",
-  };
+function parseId(idStr) {
+  try {
+    return new ObjectId(String(idStr));
+  } catch {
+    return null;
+  }
 }
 
-function signToken(u) {
-  return jwt.sign(
-    {
-      _id: String(u._id),
-      employeeId: u.employeeId ? String(u.employeeId) : "",
-      userId: u.userId ? String(u.userId) : "",
-      username: u.username || "",
-      email: u.email || "",
-      role: u.role || "",
-    },
-    JWT_SECRET,
-    { expiresIn: "7d" },
-  );
+/**
+ * Policy + history check for a new password.
+ * Returns null, or the 400 body { error, violations }.
+ */
+async function checkNewPassword(password, user) {
+  const violations = validatePassword(password, {
+    username: user.username,
+    email: user.email,
+    name: user.name,
+  });
+  if (!violations.length && (await isPasswordReused(user, password))) {
+    violations.push({
+      code: "PASSWORD_REUSED",
+      message: "Password was used recently",
+    });
+  }
+  if (!violations.length) return null;
+  return { error: "Password does not meet the policy", violations };
 }
 
-function buildFullName(employee) {
-  const fn = String(employee?.firstName || "").trim();
-  const ln = String(employee?.lastName || "").trim();
-  const full = `${fn} ${ln}`.trim();
-  return full || String(employee?.username || "").trim() || "User";
+async function loadTokenUser(req) {
+  const id = parseId(req.user?._id);
+  if (!id) return null;
+  return await db.collection("users").findOne({ _id: id });
 }
 
-function pickEmployeeUsername(employee) {
-  return String(employee?.username || "").trim();
-}
-function pickEmployeeId(employee) {
-  return employee?.id || employee?._id || employee?.employeeId || null;
-}
+/**
+ * Code checks made with an access token (/2fa/enable, /2fa/recovery-codes,
+ * /2fa/disable) share the login throttle, so a stolen token cannot be used to
+ * brute-force the 6-digit code. Returns the attempt, or null after a 429.
+ */
+async function allowAccountCheck(req, res, user) {
+  const attempt = {
+    username: user.username,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+  };
+  const allowed = await checkLoginAllowed(attempt);
+  if (allowed.ok) return attempt;
 
-// XML parser
-const xmlParser = new XMLParser({
-  ignoreAttributes: false,
-  attributeNamePrefix: "",
-  trimValues: true,
-});
+  res.setHeader("Retry-After", String(allowed.retryAfterSeconds));
+  res.status(429).json({
+    error: allowed.error,
+    locked: allowed.locked,
+    retryAfterSeconds: allowed.retryAfterSeconds,
+  });
+  return null;
+}
 
-async function getEmployees() {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(
-    () => controller.abort(),
-    EMPLOYEES_API_TIMEOUT_MS,
-  );
+/**
+ * Second login step for 2FA users / roles that require 2FA.
+ * Returns the challenge response, or null when a normal session can be issued.
+ */
+async function twoFactorChallengeFor(user) {
+  if (isTwoFactorEnabled(user)) {
+    const challenge = await createLoginChallenge(user, CHALLENGE_TYPE.VERIFY);
+    return {
+      message: "Two-factor code required",
+      twoFactorRequired: true,
+      ...challenge,
+    };
+  }
 
-  let res;
-  try {
-    res = await fetch(EMPLOYEES_API, {
-      headers: { Accept: "application/xml, text/xml, application/json" },
-      signal: controller.signal,
-    });
-  } finally {
-    clearTimeout(timeoutId);
+  if (await isTwoFactorRequired(user)) {
+    const challenge = await createLoginChallenge(user, CHALLENGE_TYPE.SETUP);
+    return {
+      message: "Two-factor setup required for your role",
+      twoFactorSetupRequired: true,
+      ...challenge,
+    };
   }
 
-  if (!res.ok) throw new Error(`Employees API failed: ${res.status}`);
+  return null;
+}
 
-  const contentType = (res.headers.get("content-type") || "").toLowerCase();
-  const raw = await res.text();
+/**
+ * Loads the user behind an open login challenge of the given type.
+ * Returns { user, challenge } | { error }
+ */
+async function loadChallenge(challengeToken, type) {
+  const challenge = await findLoginChallenge(challengeToken);
+  if (!challenge || challenge.type !== type)
+    return { error: "Challenge invalid or expired" };
 
-  // JSON
-  if (contentType.includes("application/json")) {
-    const json = JSON.parse(raw);
-    const employees = Array.isArray(json) ? json : json?.data;
-    if (!Array.isArray(employees)) throw new Error("Employees JSON invalid");
-    return employees;
-  }
+  const uid = parseId(challenge.userId);
+  const user = uid ? await db.collection("users").findOne({ _id: uid }) : null;
+  if (!user || user.disabled) return { error: "Challenge invalid or expired" };
 
-  // XML
-  const parsed = xmlParser.parse(raw);
-  const items = parsed?.List?.item;
-  const employees = Array.isArray(items) ? items : items ? [items] : [];
-  return employees;
+  return { user, challenge };
 }
 
-async function findEmployeeByEmail(email) {
-  const employees = await getEmployees();
-  const normEmail = normalizeEmail(email);
-  return employees.find((e) => normalizeEmail(e?.email) === normEmail) || null;
+function pickEmployeeUsername(employee) {
+  return String(employee?.username || "").trim();
+}
+function pickEmployeeId(employee) {
+  return employee?.id || employee?._id || employee?.employeeId || null;
 }
 
 /**
@@ -192,7 +226,7 @@ router.get("/prefill", async (req, res) => {
     const employee = await findEmployeeByEmail(email);
     if (!employee) return res.status(403).json({ error: "Unauthorized." });
 
-    const role = normalizeRole(employee?.role);
+    const role = normalizeEmployeeRole(employee?.role);
     if (!ALLOWED_EMPLOYEE_ROLES.has(role))
       return res.status(403).json({ error: "Unauthorized." });
 
@@ -217,6 +251,35 @@ router.get("/prefill", async (req, res) => {
   }
 });
 
+/**
+ * @openapi
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Password rules (show them before submitting register / change / reset)
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 minLength: { type: integer, example: 10 }
+ *                 maxLength: { type: integer, example: 128 }
+ *                 requireUppercase: { type: boolean }
+ *                 requireLowercase: { type: boolean }
+ *                 requireDigit: { type: boolean }
+ *                 requireSymbol: { type: boolean }
+ *                 disallowCommonPasswords: { type: boolean }
+ *                 disallowPersonalInfo: { type: boolean }
+ *                 historySize: { type: integer, example: 5 }
+ */
+// ✅ GET /api/auth/password-policy
+router.get("/password-policy", (req, res) => {
+  return res.json(getPasswordPolicy());
+});
+
 /**
  * @openapi
  * /api/auth/register:
@@ -242,7 +305,9 @@ router.get("/prefill", async (req, res) => {
  *               type: object
  *               properties:
  *                 message: { type: string }
- *                 token: { type: string }
+ *                 token: { type: string, description: Short-lived access token }
+ *                 refreshToken: { type: string }
+ *                 expiresIn: { type: string, example: "15m" }
  *                 user:
  *                   type: object
  *                   properties:
@@ -252,7 +317,9 @@ router.get("/prefill", async (req, res) => {
  *                     email: { type: string }
  *                     role: { type: string }
  *       400:
- *         description: Validation error / already registered
+ *         description: |
+ *           Validation error / already registered.
+ *           Password policy violations: { error, violations: [{ code, message }] }
  *       403:
  *         description: Registration denied
  *       500:
@@ -270,7 +337,7 @@ router.post("/register", async (req, res) => {
     if (!employee)
       return res.status(403).json({ error: "Registration denied." });
 
-    const role = normalizeRole(employee?.role);
+    const role = normalizeEmployeeRole(employee?.role);
     if (!ALLOWED_EMPLOYEE_ROLES.has(role))
       return res.status(403).json({ error: "Registration denied." });
 
@@ -287,6 +354,13 @@ router.post("/register", async (req, res) => {
     if (existing)
       return res.status(400).json({ error: "User already registered." });
 
+    const policyError = await checkNewPassword(password, {
+      username,
+      email: normEmail,
+      name: buildFullName(employee),
+    });
+    if (policyError) return res.status(400).json(policyError);
+
     const hashed = await bcrypt.hash(password, 10);
 
     const newUser = {
@@ -301,18 +375,30 @@ router.post("/register", async (req, res) => {
       position: employee?.position || "",
       employeeId: pickEmployeeId(employee),
       userId: employee?.userId || null,
+      tenantId: tenantOf({ tenantId: employee?.tenant }),
       password: hashed,
+      passwordChangedAt: new Date(),
+      tokenVersion: 0,
       createdAt: new Date(),
     };
 
     const result = await db.collection("users").insertOne(newUser);
     const created = { ...newUser, _id: result.insertedId };
 
-    const token = signToken(created);
+    const twoFactor = await twoFactorChallengeFor(created);
+    if (twoFactor) {
+      return res.json({
+        ...twoFactor,
+        message: "Registration successful. Two-factor setup required.",
+        user: safeUser(created),
+      });
+    }
+
+    const session = await issueSession(created);
 
     return res.json({
       message: "Registration successful",
-      token,
+      ...session,
       user: safeUser(created),
     });
   } catch (err) {
@@ -339,9 +425,16 @@ router.post("/register", async (req, res) => {
  *               password: { type: string, example: "MyStrongPassword123" }
  *     responses:
  *       200:
- *         description: Login success with token and user
+ *         description: |
+ *           Login success with access token, refresh token and user.
+ *           With 2FA the response is { twoFactorRequired, challengeToken } (continue with /login/2fa)
+ *           or { twoFactorSetupRequired, challengeToken } (continue with /login/2fa/setup).
  *       400:
  *         description: Invalid credentials / missing fields
+ *       403:
+ *         description: Account disabled / password reset required
+ *       429:
+ *         description: Too many failed attempts (delayed or temporarily locked, see Retry-After)
  *       500:
  *         description: Server error
  */
@@ -354,21 +447,68 @@ router.post("/login", async (req, res) => {
     }
 
     const normUsername = normalizeUsername(username);
+    const attempt = {
+      username: normUsername,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+
+    // ✅ brute-force protection (progressive delay + lockout)
+    const allowed = await checkLoginAllowed(attempt);
+    if (!allowed.ok) {
+      res.setHeader("Retry-After", String(allowed.retryAfterSeconds));
+      return res.status(429).json({
+        error: allowed.error,
+        locked: allowed.locked,
+        retryAfterSeconds: allowed.retryAfterSeconds,
+      });
+    }
+
     const user = await db
       .collection("users")
       .findOne({ username: normUsername });
-    if (!user)
+    if (!user) {
+      await recordLoginFailure({ ...attempt, reason: "UNKNOWN_USER" });
       return res.status(400).json({ error: "Invalid username or password" });
+    }
 
     const ok = await bcrypt.compare(password, user.password);
-    if (!ok)
+    if (!ok) {
+      await recordLoginFailure({
+        ...attempt,
+        userId: user._id,
+        reason: "BAD_PASSWORD",
+      });
       return res.status(400).json({ error: "Invalid username or password" });
+    }
+
+    if (user.disabled) {
+      await recordLoginFailure({
+        ...attempt,
+        userId: user._id,
+        reason: "DISABLED",
+      });
+      return res.status(403).json({ error: "Account disabled" });
+    }
+
+    if (user.mustResetPassword) {
+      return res.status(403).json({
+        error: "Password reset required. Check your email for the reset link.",
+        mustResetPassword: true,
+      });
+    }
+
+    // ✅ 2FA: answer with a challenge instead of the session
+    const twoFactor = await twoFactorChallengeFor(user);
+    if (twoFactor) return res.json(twoFactor);
+
+    await recordLoginSuccess({ ...attempt, userId: user._id });
 
-    const token = signToken(user);
+    const session = await issueSession(user);
 
     return res.json({
       message: "Login successful",
-      token,
+      ...session,
       user: safeUser(user),
     });
   } catch (err) {
@@ -377,6 +517,719 @@ router.post("/login", async (req, res) => {
   }
 });
 
+/**
+ * @openapi
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Second login step - exchange the challenge + TOTP or recovery code for a session
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken: { type: string }
+ *               code: { type: string, example: "123456" }
+ *               recoveryCode: { type: string, example: "a1b2c-3d4e5" }
+ *     responses:
+ *       200:
+ *         description: Login success with token, refreshToken and user
+ *       400:
+ *         description: Missing fields / invalid code / challenge invalid or expired
+ *       429:
+ *         description: Too many failed attempts
+ *       500:
+ *         description: Server error
+ */
+// ✅ POST /api/auth/login/2fa
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .json({ error: "challengeToken and code or recoveryCode required" });
+    }
+
+    const loaded = await loadChallenge(challengeToken, CHALLENGE_TYPE.VERIFY);
+    if (loaded.error) return res.status(400).json({ error: loaded.error });
+    const { user, challenge } = loaded;
+
+    const attempt = {
+      username: user.username,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+
+    const allowed = await checkLoginAllowed(attempt);
+    if (!allowed.ok) {
+      res.setHeader("Retry-After", String(allowed.retryAfterSeconds));
+      return res.status(429).json({
+        error: allowed.error,
+        locked: allowed.locked,
+        retryAfterSeconds: allowed.retryAfterSeconds,
+      });
+    }
+
+    const verified = await verifySecondFactor(user, { code, recoveryCode });
+    if (!verified.ok) {
+      await recordChallengeFailure(challenge);
+      await recordLoginFailure({
+        ...attempt,
+        userId: user._id,
+        reason: "BAD_2FA_CODE",
+      });
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    if (!(await completeLoginChallenge(challenge)))
+      return res.status(400).json({ error: "Challenge invalid or expired" });
+
+    await recordLoginSuccess({ ...attempt, userId: user._id });
+    const session = await issueSession(user);
+
+    return res.json({
+      message: "Login successful",
+      ...session,
+      user: safeUser(user),
+      ...(verified.method === "RECOVERY_CODE"
+        ? { recoveryCodesLeft: verified.recoveryCodesLeft }
+        : {}),
+    });
+  } catch (err) {
+    console.error("Login 2FA error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/login/2fa/setup:
+ *   post:
+ *     summary: Start mandatory 2FA enrollment during login (SETUP challenge)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: TOTP secret and otpauth:// provisioning URI (render as QR code)
+ *       400:
+ *         description: Challenge invalid or expired
+ *       500:
+ *         description: Server error
+ */
+// ✅ POST /api/auth/login/2fa/setup
+router.post("/login/2fa/setup", async (req, res) => {
+  try {
+    const loaded = await loadChallenge(
+      req.body?.challengeToken,
+      CHALLENGE_TYPE.SETUP,
+    );
+    if (loaded.error) return res.status(400).json({ error: loaded.error });
+
+    const setup = await startTwoFactorSetup(loaded.user);
+    return res.json(setup);
+  } catch (err) {
+    console.error("Login 2FA setup error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/login/2fa/enable:
+ *   post:
+ *     summary: Finish mandatory 2FA enrollment during login and receive the session
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken, code]
+ *             properties:
+ *               challengeToken: { type: string }
+ *               code: { type: string, example: "123456" }
+ *     responses:
+ *       200:
+ *         description: 2FA enabled; token, refreshToken, user and one-time recoveryCodes
+ *       400:
+ *         description: Invalid code / challenge invalid or expired
+ *       500:
+ *         description: Server error
+ */
+// ✅ POST /api/auth/login/2fa/enable
+router.post("/login/2fa/enable", async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+    if (!challengeToken || !code) {
+      return res
+        .status(400)
+        .json({ error: "challengeToken and code are required" });
+    }
+
+    const loaded = await loadChallenge(challengeToken, CHALLENGE_TYPE.SETUP);
+    if (loaded.error) return res.status(400).json({ error: loaded.error });
+    const { user, challenge } = loaded;
+
+    const confirmed = await confirmTwoFactorSetup(user, code);
+    if (confirmed.error) {
+      await recordChallengeFailure(challenge);
+      return res.status(400).json({ error: confirmed.error });
+    }
+
+    if (!(await completeLoginChallenge(challenge)))
+      return res.status(400).json({ error: "Challenge invalid or expired" });
+
+    await recordLoginSuccess({
+      username: user.username,
+      userId: user._id,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
+    const session = await issueSession(user);
+
+    return res.json({
+      message: "Two-factor authentication enabled. Login successful",
+      ...session,
+      user: safeUser({ ...user, twoFactor: { enabled: true } }),
+      recoveryCodes: confirmed.recoveryCodes,
+    });
+  } catch (err) {
+    console.error("Login 2FA enable error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/2fa/status:
+ *   get:
+ *     summary: Current user's 2FA state
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ enabled, required, recoveryCodesLeft }"
+ *       401:
+ *         description: Missing/invalid token
+ *       500:
+ *         description: Server error
+ */
+// ✅ GET /api/auth/2fa/status
+router.get("/2fa/status", authMiddleware, async (req, res) => {
+  try {
+    const user = await loadTokenUser(req);
+    if (!user)
+      return res.status(401).json({ error: "Token invalid or expired" });
+
+    return res.json({
+      enabled: isTwoFactorEnabled(user),
+      required: await isTwoFactorRequired(user),
+      recoveryCodesLeft: user.twoFactor?.recoveryCodes?.length || 0,
+    });
+  } catch (err) {
+    console.error("2FA status error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start 2FA enrollment (returns secret + otpauth:// provisioning URI)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ secret, otpauthUri }"
+ *       400:
+ *         description: 2FA already enabled
+ *       401:
+ *         description: Missing/invalid token
+ *       500:
+ *         description: Server error
+ */
+// ✅ POST /api/auth/2fa/setup
+router.post("/2fa/setup", authMiddleware, async (req, res) => {
+  try {
+    const user = await loadTokenUser(req);
+    if (!user)
+      return res.status(401).json({ error: "Token invalid or expired" });
+    if (isTwoFactorEnabled(user))
+      return res.status(400).json({ error: "2FA already enabled" });
+
+    const setup = await startTwoFactorSetup(user);
+    return res.json(setup);
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm 2FA enrollment with a first code
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, example: "123456" }
+ *     responses:
+ *       200:
+ *         description: 2FA enabled; one-time recoveryCodes returned
+ *       400:
+ *         description: Invalid code / no setup in progress
+ *       401:
+ *         description: Missing/invalid token
+ *       429:
+ *         description: Too many failed attempts
+ *       500:
+ *         description: Server error
+ */
+// ✅ POST /api/auth/2fa/enable
+router.post("/2fa/enable", authMiddleware, async (req, res) => {
+  try {
+    const user = await loadTokenUser(req);
+    if (!user)
+      return res.status(401).json({ error: "Token invalid or expired" });
+    if (isTwoFactorEnabled(user))
+      return res.status(400).json({ error: "2FA already enabled" });
+
+    const attempt = await allowAccountCheck(req, res, user);
+    if (!attempt) return;
+
+    const confirmed = await confirmTwoFactorSetup(user, req.body?.code);
+    if (confirmed.error) {
+      await recordLoginFailure({
+        ...attempt,
+        userId: user._id,
+        reason: "BAD_2FA_CODE",
+      });
+      return res.status(400).json({ error: confirmed.error });
+    }
+
+    return res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes: confirmed.recoveryCodes,
+    });
+  } catch (err) {
+    console.error("2FA enable error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes (requires a current TOTP code)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: New one-time recoveryCodes
+ *       400:
+ *         description: Invalid code / 2FA not enabled
+ *       401:
+ *         description: Missing/invalid token
+ *       429:
+ *         description: Too many failed attempts
+ *       500:
+ *         description: Server error
+ */
+// ✅ POST /api/auth/2fa/recovery-codes
+router.post("/2fa/recovery-codes", authMiddleware, async (req, res) => {
+  try {
+    const user = await loadTokenUser(req);
+    if (!user)
+      return res.status(401).json({ error: "Token invalid or expired" });
+    if (!isTwoFactorEnabled(user))
+      return res.status(400).json({ error: "2FA not enabled" });
+
+    const attempt = await allowAccountCheck(req, res, user);
+    if (!attempt) return;
+
+    const verified = await verifySecondFactor(user, { code: req.body?.code });
+    if (!verified.ok) {
+      await recordLoginFailure({
+        ...attempt,
+        userId: user._id,
+        reason: "BAD_2FA_CODE",
+      });
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    console.error("2FA recovery codes error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn 2FA off (password + current code; not allowed when the role requires 2FA)
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password: { type: string }
+ *               code: { type: string }
+ *               recoveryCode: { type: string }
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Invalid credentials / 2FA not enabled
+ *       401:
+ *         description: Missing/invalid token
+ *       403:
+ *         description: 2FA is required for this role
+ *       429:
+ *         description: Too many failed attempts
+ *       500:
+ *         description: Server error
+ */
+// ✅ POST /api/auth/2fa/disable
+router.post("/2fa/disable", authMiddleware, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    if (!password || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .json({ error: "password and code or recoveryCode required" });
+    }
+
+    const user = await loadTokenUser(req);
+    if (!user)
+      return res.status(401).json({ error: "Token invalid or expired" });
+    if (!isTwoFactorEnabled(user))
+      return res.status(400).json({ error: "2FA not enabled" });
+
+    if (await isTwoFactorRequired(user)) {
+      return res
+        .status(403)
+        .json({ error: "Two-factor authentication is required for your role" });
+    }
+
+    const attempt = await allowAccountCheck(req, res, user);
+    if (!attempt) return;
+
+    const match = await bcrypt.compare(password, user.password);
+    if (!match) {
+      await recordLoginFailure({
+        ...attempt,
+        userId: user._id,
+        reason: "BAD_PASSWORD",
+      });
+      return res.status(400).json({ error: "Invalid credentials" });
+    }
+
+    const verified = await verifySecondFactor(user, { code, recoveryCode });
+    if (!verified.ok) {
+      await recordLoginFailure({
+        ...attempt,
+        userId: user._id,
+        reason: "BAD_2FA_CODE",
+      });
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    await disableTwoFactor(user);
+    return res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token (rotates the refresh token)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: New token + refreshToken (the old refresh token is revoked)
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ *       500:
+ *         description: Server error
+ */
+// ✅ POST /api/auth/refresh
+router.post("/refresh", async (req, res) => {
+  try {
+    const refreshToken = String(req.body?.refreshToken || "").trim();
+    if (!refreshToken)
+      return res.status(400).json({ error: "refreshToken is required" });
+
+    const stored = await findRefreshToken(refreshToken);
+    if (!stored)
+      return res.status(401).json({ error: "Refresh token invalid" });
+
+    // ✅ an already-rotated token was replayed -> kill the whole session
+    if (stored.revokedAt) {
+      if (stored.revokedReason === "ROTATED") {
+        await revokeRefreshFamily(stored.family, "REUSE_DETECTED");
+      }
+      return res.status(401).json({ error: "Refresh token revoked" });
+    }
+
+    const rid = parseId(stored.userId);
+    const user = rid
+      ? await db.collection("users").findOne({ _id: rid })
+      : null;
+
+    if (!isRefreshTokenUsable(stored, user)) {
+      return res
+        .status(401)
+        .json({ error: "Refresh token invalid or expired" });
+    }
+
+    // ✅ two refreshes with the same token: only one may rotate it
+    if (!(await revokeRefreshToken(stored, "ROTATED"))) {
+      await revokeRefreshFamily(stored.family, "REUSE_DETECTED");
+      return res.status(401).json({ error: "Refresh token revoked" });
+    }
+    const session = await issueSession(user, { family: stored.family });
+
+    return res.json({ message: "Token refreshed", ...session });
+  } catch (err) {
+    console.error("Refresh error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout (revokes the refresh token, optionally every session of the user)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken: { type: string }
+ *               allSessions:
+ *                 type: boolean
+ *                 description: Also revoke every other session and all issued access tokens
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       400:
+ *         description: Missing refresh token
+ *       500:
+ *         description: Server error
+ */
+// ✅ POST /api/auth/logout
+router.post("/logout", async (req, res) => {
+  try {
+    const refreshToken = String(req.body?.refreshToken || "").trim();
+    if (!refreshToken)
+      return res.status(400).json({ error: "refreshToken is required" });
+
+    const stored = await findRefreshToken(refreshToken);
+
+    // ✅ unknown/revoked token: logout is idempotent
+    if (!stored || stored.revokedAt) return res.json({ message: "Logged out" });
+
+    if (req.body?.allSessions === true) {
+      await revokeAllSessions(stored.userId, "LOGOUT_ALL");
+      return res.json({ message: "Logged out from all sessions" });
+    }
+
+    await revokeRefreshToken(stored, "LOGOUT");
+    return res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link by email
+ *     description: Always answers the same way, whether the email is registered or not.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, example: someone@company.com }
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Missing email
+ *       500:
+ *         description: Server error
+ */
+// ✅ POST /api/auth/forgot-password
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    if (!email) return res.status(400).json({ error: "Email is required" });
+
+    const genericResponse = {
+      message: "If the account exists, a reset link has been sent.",
+    };
+
+    const user = await db.collection("users").findOne({ email });
+    if (!user) return res.json(genericResponse);
+
+    try {
+      await sendPasswordResetMail(user);
+    } catch (mailErr) {
+      // ✅ never leak delivery problems (they would reveal the account exists)
+      console.error("Reset mail error:", mailErr);
+    }
+
+    return res.json(genericResponse);
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a one-time reset token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, newPassword]
+ *             properties:
+ *               token: { type: string }
+ *               newPassword: { type: string }
+ *     responses:
+ *       200:
+ *         description: Password reset; all sessions are revoked
+ *       400:
+ *         description: Missing fields / token invalid, used or expired / password policy violations
+ *       500:
+ *         description: Server error
+ */
+// ✅ POST /api/auth/reset-password
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, newPassword } = req.body || {};
+    if (!token || !newPassword) {
+      return res
+        .status(400)
+        .json({ error: "Token and new password are required" });
+    }
+
+    // a password the policy rejects must not use up the token
+    const reset = await findPasswordResetToken(token);
+    if (!reset)
+      return res.status(400).json({ error: "Reset token invalid or expired" });
+
+    const uid = parseId(reset.userId);
+    const user = uid
+      ? await db.collection("users").findOne({ _id: uid })
+      : null;
+    if (!user)
+      return res.status(400).json({ error: "Reset token invalid or expired" });
+
+    const policyError = await checkNewPassword(newPassword, user);
+    if (policyError) return res.status(400).json(policyError);
+
+    // ✅ single use: only one concurrent request gets past this
+    const consumed = await consumePasswordResetToken(token);
+    if (!consumed || consumed.userId !== reset.userId)
+      return res.status(400).json({ error: "Reset token invalid or expired" });
+
+    const hashed = await bcrypt.hash(newPassword, 10);
+    await db.collection("users").updateOne(
+      { _id: user._id },
+      {
+        ...passwordUpdate(user, hashed, { passwordResetAt: new Date() }),
+        $unset: { mustResetPassword: "" },
+      },
+    );
+
+    await revokeAllSessions(user._id, "PASSWORD_RESET");
+
+    return res.json({ message: "Password reset successfully" });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
 /**
  * @openapi
  * /api/auth/change-password:
@@ -400,9 +1253,9 @@ router.post("/login", async (req, res) => {
  *               newPassword: { type: string }
  *     responses:
  *       200:
- *         description: Password updated
+ *         description: Password updated. All other sessions are revoked; a new token + refreshToken is returned.
  *       400:
- *         description: Validation error / invalid credentials
+ *         description: Validation error / invalid credentials / password policy violations ({ error, violations })
  *       401:
  *         description: Missing/invalid token
  *       403:
@@ -436,12 +1289,19 @@ router.post("/change-password", authMiddleware, async (req, res) => {
     const match = await bcrypt.compare(oldPassword, user.password);
     if (!match) return res.status(400).json({ error: "Invalid credentials" });
 
+    const policyError = await checkNewPassword(newPassword, user);
+    if (policyError) return res.status(400).json(policyError);
+
     const hashed = await bcrypt.hash(newPassword, 10);
     await db
       .collection("users")
-      .updateOne({ username: tokenUsername }, { $set: { password: hashed } });
+      .updateOne({ _id: user._id }, passwordUpdate(user, hashed));
+
+    // ✅ end every session (incl. this one) and hand back a fresh one
+    const tokenVersion = await revokeAllSessions(user._id, "PASSWORD_CHANGED");
+    const session = await issueSession({ ...user, tokenVersion });
 
-    return res.json({ message: "Password updated successfully" });
+    return res.json({ message: "Password updated successfully", ...session });
   } catch (err) {
     console.error("Change password error:", err);
     return res.status(500).json({ error: "Server error" });
@@ -1,6 +1,9 @@
 import express from "express";
 import { ObjectId } from "mongodb";
 import { db } from "../db.js";
+import { getUser } from "../middleware/authMiddleware.js";
+import { roleCan } from "../utils/permissions.js";
+import { historyEntry } from "../utils/requestWorkflow.js";
 
 const router = express.Router();
 
@@ -27,9 +30,22 @@ function rolesMatch(reqDoc, offer) {
   return need.every((x) => have.has(x));
 }
 
-function mustBePMorSystem(req) {
-  const role = String(req.headers["x-user-role"] || "").toUpperCase();
-  return ["PROJECT_MANAGER", "SYSTEM_ADMIN"].includes(role);
+// status history entry for closing a bidding round through this router
+function shortlistHistoryEntry(req, reqDoc, transition, bestIds) {
+  const user = getUser(req);
+  return historyEntry({
+    from: String(reqDoc.status || "").toUpperCase() || null,
+    to: "BID_EVALUATION",
+    transition,
+    actor: user.error || !user.username ? null : { username: user.username },
+    metadata: { shortlistedOfferIds: bestIds.map(String) },
+  });
+}
+
+async function canSkipBidding(req) {
+  const user = getUser(req);
+  if (user.error) return false;
+  return await roleCan(user.role, "bidding.skip");
 }
 
 // ✅ close bidding + compute best offers (real)
@@ -74,6 +90,14 @@ router.post("/:requestId/close", async (req, res) => {
           shortlistedOfferIds: bestIds.map(String),
           updatedAt: new Date(),
         },
+        $push: {
+          statusHistory: shortlistHistoryEntry(
+            req,
+            reqDoc,
+            "close-bidding",
+            bestIds,
+          ),
+        },
       },
     );
 
@@ -95,7 +119,7 @@ router.post("/:requestId/skip", async (req, res) => {
     if (!TEST_MODE) {
       return res.status(403).json({ error: "TEST_MODE is disabled" });
     }
-    if (!mustBePMorSystem(req)) {
+    if (!(await canSkipBidding(req))) {
       return res.status(403).json({ error: "Forbidden" });
     }
 
@@ -160,6 +184,14 @@ router.post("/:requestId/skip", async (req, res) => {
           shortlistedOfferIds: bestIds.map(String),
           updatedAt: new Date(),
         },
+        $push: {
+          statusHistory: shortlistHistoryEntry(
+            req,
+            reqDoc,
+            "skip-bidding",
+            bestIds,
+          ),
+        },
       },
     );
 
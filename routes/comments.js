@@ -0,0 +1,108 @@
+// routes/comments.js
+import express from "express";
+import { getUser } from "../middleware/authMiddleware.js";
+import {
+  addComment,
+  commentAccess,
+  commentView,
+  editComment,
+  listComments,
+} from "../utils/comments.js";
+
+const router = express.Router();
+
+/* =========================
+   No-cache
+========================= */
+router.use((req, res, next) => {
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate",
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+  res.setHeader("Surrogate-Control", "no-store");
+  next();
+});
+
+/* =========================
+   Helpers
+========================= */
+function targetOf(src) {
+  return {
+    requestId: String(src?.requestId || "").trim(),
+    offerId: String(src?.offerId || "").trim(),
+  };
+}
+
+/* =========================================================
+   ✅ COMMENTS (requests / offers)
+   GET  /api/comments?requestId=...  | ?offerId=...   -> { data: threads }
+   POST /api/comments   Body: { requestId | offerId, body, parentId?,
+                                visibility?: "internal" | "provider" }
+   PUT  /api/comments/:id   Body: { body }   (author, grace period)
+
+   @username in the body notifies that user.
+   Service providers only see offer comments with visibility "provider".
+========================================================= */
+router.get("/", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+
+    const access = await commentAccess(user, targetOf(req.query));
+    if (access.error)
+      return res.status(access.status).json({ error: access.error });
+
+    const data = await listComments(access.target, access);
+    return res.json({
+      target: { type: access.target.type, id: access.target.id },
+      data,
+    });
+  } catch (e) {
+    console.error("list comments error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+    if (!user.username) {
+      return res.status(401).json({ error: "Missing x-username" });
+    }
+
+    const access = await commentAccess(user, targetOf(req.body));
+    if (access.error)
+      return res.status(access.status).json({ error: access.error });
+
+    const out = await addComment(user, access, req.body || {});
+    if (out.error) return res.status(out.status).json({ error: out.error });
+
+    return res.json({ success: true, comment: commentView(out.comment) });
+  } catch (e) {
+    console.error("add comment error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+    if (!user.username) {
+      return res.status(401).json({ error: "Missing x-username" });
+    }
+
+    const out = await editComment(user, req.params.id, req.body || {});
+    if (out.error) return res.status(out.status).json({ error: out.error });
+
+    return res.json({ success: true, comment: commentView(out.comment) });
+  } catch (e) {
+    console.error("edit comment error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
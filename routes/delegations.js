@@ -0,0 +1,213 @@
+// routes/delegations.js
+import express from "express";
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import { getUser } from "../middleware/authMiddleware.js";
+import { createNotification } from "../utils/notify.js";
+import {
+  canDelegateTo,
+  createDelegation,
+  delegationView,
+  revokeDelegation,
+} from "../utils/delegations.js";
+
+const router = express.Router();
+
+/* =========================
+   No-cache
+========================= */
+router.use((req, res, next) => {
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate",
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+  res.setHeader("Surrogate-Control", "no-store");
+  next();
+});
+
+/* =========================
+   Helpers
+========================= */
+function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+function parseId(idStr) {
+  try {
+    return new ObjectId(String(idStr));
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function isAdmin(role) {
+  return role === "SYSTEM_ADMIN";
+}
+
+/* =========================================================
+   ✅ DELEGATIONS / OUT-OF-OFFICE
+   GET  /api/delegations?direction=given|received&activeOnly=true
+        (SYSTEM_ADMIN: &username=)
+   POST /api/delegations       Body: { delegate, from?, to, reason?, principal? }
+   POST /api/delegations/:id/revoke   (principal, delegate or SYSTEM_ADMIN)
+========================================================= */
+router.get("/", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+    if (!user.username)
+      return res.status(401).json({ error: "Missing x-username" });
+
+    const username =
+      isAdmin(user.role) && req.query.username
+        ? normalizeUsername(req.query.username)
+        : normalizeUsername(user.username);
+
+    const direction = String(req.query.direction || "")
+      .trim()
+      .toLowerCase();
+    const match =
+      direction === "given"
+        ? { principal: username }
+        : direction === "received"
+          ? { delegate: username }
+          : { $or: [{ principal: username }, { delegate: username }] };
+
+    if (String(req.query.activeOnly || "").toLowerCase() === "true") {
+      const now = new Date();
+      Object.assign(match, {
+        revokedAt: null,
+        from: { $lte: now },
+        to: { $gt: now },
+      });
+    }
+
+    const list = await db
+      .collection("delegations")
+      .find(match)
+      .sort({ from: -1 })
+      .toArray();
+
+    return res.json({ data: list.map(delegationView) });
+  } catch (e) {
+    console.error("list delegations error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+    if (!user.username)
+      return res.status(401).json({ error: "Missing x-username" });
+
+    const body = req.body || {};
+    const principalName =
+      isAdmin(user.role) && body.principal
+        ? normalizeUsername(body.principal)
+        : normalizeUsername(user.username);
+    const delegateName = normalizeUsername(body.delegate);
+
+    if (!delegateName)
+      return res.status(400).json({ error: "delegate is required" });
+    if (delegateName === principalName)
+      return res.status(400).json({ error: "Cannot delegate to yourself" });
+
+    const from = body.from ? parseDate(body.from) : new Date();
+    const to = parseDate(body.to);
+    if (!from || !to)
+      return res.status(400).json({ error: "Invalid from / to date" });
+    if (to <= from)
+      return res.status(400).json({ error: "to must be after from" });
+    if (to <= new Date())
+      return res.status(400).json({ error: "to must be in the future" });
+
+    const users = db.collection("users");
+    const principal = await users.findOne({ username: principalName });
+    if (!principal || principal.disabled)
+      return res.status(404).json({ error: "Principal not found" });
+
+    const delegate = await users.findOne({ username: delegateName });
+    if (!delegate || delegate.disabled)
+      return res.status(404).json({ error: "Delegate not found" });
+
+    if (!canDelegateTo(principal.role, delegate.role)) {
+      return res.status(400).json({
+        error: `A ${principal.role} can only delegate to a user with the same role`,
+      });
+    }
+
+    const doc = await createDelegation({
+      principal: principalName,
+      delegate: delegateName,
+      role: principal.role,
+      from,
+      to,
+      reason: body.reason,
+      by: user.username,
+    });
+
+    await createNotification({
+      toUsername: delegateName,
+      type: "DELEGATION",
+      title: "You are a substitute",
+      message: `${principalName} delegated their ${principal.role} work to you from ${from.toISOString()} until ${to.toISOString()}.`,
+    });
+
+    return res.json({ success: true, data: delegationView(doc) });
+  } catch (e) {
+    console.error("create delegation error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/:id/revoke", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+    if (!user.username)
+      return res.status(401).json({ error: "Missing x-username" });
+
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid delegation id" });
+
+    const doc = await db.collection("delegations").findOne({ _id: id });
+    if (!doc) return res.status(404).json({ error: "Delegation not found" });
+
+    const me = normalizeUsername(user.username);
+    if (!(isAdmin(user.role) || doc.principal === me || doc.delegate === me))
+      return res.status(403).json({ error: "Not allowed" });
+
+    if (doc.revokedAt)
+      return res.status(409).json({ error: "Delegation already revoked" });
+
+    await revokeDelegation(doc, { by: me });
+
+    const other = doc.principal === me ? doc.delegate : doc.principal;
+    await createNotification({
+      toUsername: other,
+      type: "DELEGATION",
+      title: "Delegation ended",
+      message: `The delegation from ${doc.principal} to ${doc.delegate} was revoked by ${me}.`,
+    });
+
+    const updated = await db.collection("delegations").findOne({ _id: id });
+    return res.json({ success: true, data: delegationView(updated) });
+  } catch (e) {
+    console.error("revoke delegation error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from "express";
 import { ObjectId } from "mongodb";
 import { db } from "../db.js";
+import { getUser } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
@@ -48,13 +49,6 @@ function normalizeUsername(raw) {
     .toLowerCase();
 }
 
-function getUser(req) {
-  const role = normalizeRole(req.headers["x-user-role"]);
-  if (!role) return { error: "Missing x-user-role" };
-  const username = normalizeUsername(req.headers["x-username"]);
-  return { role, username };
-}
-
 function parseId(idStr) {
   try {
     return new ObjectId(String(idStr));
@@ -1,5 +1,10 @@
 import express from "express";
 import { db } from "../db.js";
+import { getUser } from "../middleware/authMiddleware.js";
+import { verifyApiKey } from "../utils/apiKeys.js";
+import { resolveActor } from "../utils/delegations.js";
+import { getPermissionMatrix } from "../utils/permissions.js";
+import { enterTenant, tenantOf } from "../utils/tenants.js";
 
 const router = express.Router();
 
@@ -20,84 +25,16 @@ router.use((req, res, next) => {
 /* =========================
    Auth helpers
 ========================= */
-function normalizeRole(raw) {
-  const s = String(raw || "").trim();
-  if (!s) return "";
-  const upper = s.toUpperCase().replace(/\s+/g, "_");
-  const noUnderscore = upper.replace(/_/g, "");
-  const map = {
-    PROJECTMANAGER: "PROJECT_MANAGER",
-    PROJECT_MANAGER: "PROJECT_MANAGER",
-    RESOURCEPLANNER: "RESOURCE_PLANNER",
-    RESOURCE_PLANNER: "RESOURCE_PLANNER",
-    SYSTEMADMIN: "SYSTEM_ADMIN",
-    SYSTEM_ADMIN: "SYSTEM_ADMIN",
-    ADMIN: "SYSTEM_ADMIN",
-    SERVICEPROVIDER: "SERVICE_PROVIDER",
-    SERVICE_PROVIDER: "SERVICE_PROVIDER",
-  };
-  return map[noUnderscore] || map[upper] || upper;
-}
-
 function normalizeUsername(raw) {
   return String(raw || "")
     .trim()
     .toLowerCase();
 }
 
-function getUser(req) {
-  const role = normalizeRole(req.headers["x-user-role"]);
-  if (!role) return { error: "Missing x-user-role" };
-  const username = normalizeUsername(req.headers["x-username"]);
-  return { role, username };
-}
-
-function isAdmin(role) {
-  return role === "SYSTEM_ADMIN";
-}
-function isPM(role) {
-  return role === "PROJECT_MANAGER";
-}
-
-function isRP(role) {
-  return role === "RESOURCE_PLANNER"; // ✅ ordering after swap
-}
-function isSP(role) {
-  return role === "SERVICE_PROVIDER";
-}
-
 /* =========================
    Access checks
 ========================= */
 
-/**
- * Strict rules:
- * - Admin: always allowed
- * - PO: allowed (evaluator)
- * - PM: allowed only for own requests
- * - RP: allowed only when request is in ordering stage (SENT_TO_RP / ORDERED)
- * - SP: allowed only for their own offers
- */
-async function canReadOffersForRequest({ user, requestId }) {
-  if (isAdmin(user.role)) return { ok: true };
-
-  // Must have username for any non-admin logic
-  if (!user.username) return { ok: false, error: "Missing x-username" };
-
-  // Load request to enforce PM/RP restrictions
-  const reqDoc = await db.collection("requests").findOne(
-    { _id: requestId }, // note: requestId is string id, requests._id is ObjectId in your system
-    { projection: { createdBy: 1, status: 1 } },
-  );
-
-  // If requests are stored as ObjectId and requestId is string,
-  // above query will fail. So we also try string match via _id string conversion:
-  // We'll do the correct approach below using aggregation.
-  // This helper returns a "reqMeta" object.
-
-  return { ok: false, error: "Internal: use getRequestMeta()" };
-}
-
 /**
  * ✅ Robust: get request meta by requestId (string form of ObjectId)
  * because offers.requestId stores string while requests._id is ObjectId
@@ -115,99 +52,68 @@ async function getRequestMetaByStringId(requestIdStr) {
   return arr?.[0] || null;
 }
 
-function isOrderingStage(status) {
-  const st = String(status || "").toUpperCase();
-  return st === "SENT_TO_RP" || st === "ORDERED";
-}
-
-/* =========================
-   ✅ MAIN: GET /api/offers?requestId=...
-========================= */
-router.get("/", async (req, res) => {
-  try {
-    const user = getUser(req);
-    if (user.error) return res.status(401).json({ error: user.error });
-
-    const requestId = String(req.query.requestId || "").trim();
-    if (!requestId) return res.status(400).json({ error: "requestId missing" });
-
-    // ✅ Admin can read
-    if (isAdmin(user.role)) {
-      const offers = await db
-        .collection("offers")
-        .find({ requestId })
-        .sort({ createdAt: -1 })
-        .toArray();
-      return res.json({ data: offers });
-    }
-
-    // ✅ everyone else must have username
-    if (!user.username)
-      return res.status(401).json({ error: "Missing x-username" });
-
-    // ✅ RP (evaluator) can read offers for evaluation
-    if (isRP(user.role)) {
-      const offers = await db
-        .collection("offers")
-        .find({ requestId })
-        .sort({ createdAt: -1 })
-        .toArray();
-      return res.json({ data: offers });
-    }
-
-    // Need request meta for PM and RP restrictions
-    const reqMeta = await getRequestMetaByStringId(requestId);
-    if (!reqMeta) return res.status(404).json({ error: "Request not found" });
-
-    // ✅ PM: only their own requests
-    if (isPM(user.role)) {
-      if (
-        normalizeUsername(reqMeta.createdBy) !==
-        normalizeUsername(user.username)
-      )
-        return res.status(403).json({ error: "Not allowed" });
-
-      const offers = await db
-        .collection("offers")
-        .find({ requestId })
-        .sort({ createdAt: -1 })
-        .toArray();
+/**
+ * Which offers of a request the user may read (permission matrix):
+ * - offers.readAll: every offer
+ * - offers.readForOwnRequest: every offer of own requests (or as delegate)
+ * - offers.readOwn: only the user's own offers
+ * Returns { filter } or { status, error }.
+ */
+async function offersFilterFor(user, requestId) {
+  const matrix = await getPermissionMatrix();
+  if (matrix["offers.readAll"].roles.includes(user.role))
+    return { filter: { requestId } };
+
+  if (!user.username) return { status: 401, error: "Missing x-username" };
+
+  const reqMeta = await getRequestMetaByStringId(requestId);
+  const own = matrix["offers.readForOwnRequest"];
+  if (reqMeta && (!own.owner || reqMeta.createdBy)) {
+    const actor = await resolveActor(user, {
+      roles: own.roles,
+      owner: own.owner ? reqMeta.createdBy : null,
+    });
+    if (actor) return { filter: { requestId } };
+  }
 
-      return res.json({ data: offers });
-    }
+  if (matrix["offers.readOwn"].roles.includes(user.role)) {
+    return {
+      filter: { requestId, providerUsername: normalizeUsername(user.username) },
+    };
+  }
 
-    // ✅ RP (ordering): only when request is in ordering stage
-    if (isRP(user.role)) {
-      if (!isOrderingStage(reqMeta.status)) {
-        return res.status(403).json({
-          error:
-            "Not allowed (ordering role can view offers only in ordering stage)",
-          status: String(reqMeta.status || ""),
-        });
-      }
+  if (!reqMeta) return { status: 404, error: "Request not found" };
+  return { status: 403, error: "Not allowed" };
+}
 
-      const offers = await db
-        .collection("offers")
-        .find({ requestId })
-        .sort({ createdAt: -1 })
-        .toArray();
+async function handleListOffers(req, res, requestId) {
+  const user = getUser(req);
+  if (user.error) return res.status(401).json({ error: user.error });
 
-      return res.json({ data: offers });
-    }
+  if (!requestId) return res.status(400).json({ error: "requestId missing" });
 
-    // ✅ Service Provider: only their own offers
-    if (isSP(user.role)) {
-      const me = normalizeUsername(user.username);
-      const offers = await db
-        .collection("offers")
-        .find({ requestId, providerUsername: me })
-        .sort({ createdAt: -1 })
-        .toArray();
+  const access = await offersFilterFor(user, requestId);
+  if (access.error)
+    return res.status(access.status).json({ error: access.error });
 
-      return res.json({ data: offers });
-    }
+  const offers = await db
+    .collection("offers")
+    .find(access.filter)
+    .sort({ createdAt: -1 })
+    .toArray();
+  return res.json({ data: offers });
+}
 
-    return res.status(403).json({ error: "Not allowed" });
+/* =========================
+   ✅ MAIN: GET /api/offers?requestId=...
+========================= */
+router.get("/", async (req, res) => {
+  try {
+    return await handleListOffers(
+      req,
+      res,
+      String(req.query.requestId || "").trim(),
+    );
   } catch (e) {
     console.error("offers list error:", e);
     return res.status(500).json({ error: "Server error" });
@@ -219,101 +125,44 @@ router.get("/", async (req, res) => {
 ========================= */
 router.get("/by-request/:requestId", async (req, res) => {
   try {
-    const user = getUser(req);
-    if (user.error) return res.status(401).json({ error: user.error });
-
-    const requestId = String(req.params.requestId || "").trim();
-    if (!requestId) return res.status(400).json({ error: "requestId missing" });
-
-    // Reuse same logic by internally calling the main handler pattern
-    // (keep it simple here: duplicate minimal logic)
-
-    if (isAdmin(user.role)) {
-      const offers = await db
-        .collection("offers")
-        .find({ requestId })
-        .sort({ createdAt: -1 })
-        .toArray();
-      return res.json({ data: offers });
-    }
-
-    if (!user.username)
-      return res.status(401).json({ error: "Missing x-username" });
-
-    if (isRP(user.role)) {
-      const offers = await db
-        .collection("offers")
-        .find({ requestId })
-        .sort({ createdAt: -1 })
-        .toArray();
-      return res.json({ data: offers });
-    }
-
-    const reqMeta = await getRequestMetaByStringId(requestId);
-    if (!reqMeta) return res.status(404).json({ error: "Request not found" });
-
-    if (isRP(user.role)) {
-      if (
-        normalizeUsername(reqMeta.createdBy) !==
-        normalizeUsername(user.username)
-      )
-        return res.status(403).json({ error: "Not allowed" });
-
-      const offers = await db
-        .collection("offers")
-        .find({ requestId })
-        .sort({ createdAt: -1 })
-        .toArray();
-      return res.json({ data: offers });
-    }
-
-    if (isRP(user.role)) {
-      if (!isOrderingStage(reqMeta.status)) {
-        return res.status(403).json({
-          error:
-            "Not allowed (ordering role can view offers only in ordering stage)",
-          status: String(reqMeta.status || ""),
-        });
-      }
-
-      const offers = await db
-        .collection("offers")
-        .find({ requestId })
-        .sort({ createdAt: -1 })
-        .toArray();
-      return res.json({ data: offers });
-    }
-
-    if (isSP(user.role)) {
-      const me = normalizeUsername(user.username);
-      const offers = await db
-        .collection("offers")
-        .find({ requestId, providerUsername: me })
-        .sort({ createdAt: -1 })
-        .toArray();
-      return res.json({ data: offers });
-    }
-
-    return res.status(403).json({ error: "Not allowed" });
+    return await handleListOffers(
+      req,
+      res,
+      String(req.params.requestId || "").trim(),
+    );
   } catch (e) {
     console.error("offers by-request error:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
+
 /* =========================================================
-   ✅ PUBLIC PUSH (NO AUTH)
+   ✅ PUBLIC PUSH (provider API key)
    POST /api/offers/public-push
+   Header: x-api-key: smk_<prefix>_<secret>
    Body: { offer: { ...full offer json... } }
 
    Rules:
+   - must send a valid, non-revoked provider API key
+   - providerUsername is bound to the key owner (missing -> filled in,
+     different -> rejected)
    - must contain offer.requestId
    - requestId must match an existing request
    - request must be in BIDDING status
    - saves full JSON into offers collection
 ========================================================= */
-// ✅ PUBLIC JSON OFFER PUSH (NO AUTH) - supports SINGLE or ARRAY
+// ✅ PUBLIC JSON OFFER PUSH (API KEY) - supports SINGLE or ARRAY
 router.post("/public-push", async (req, res) => {
   try {
+    const apiKey = await verifyApiKey(req.headers["x-api-key"]);
+    if (!apiKey) {
+      return res.status(401).json({ error: "Valid x-api-key is required" });
+    }
+    const keyOwner = apiKey.ownerUsername;
+
+    // ✅ the rest of the push runs in the key owner's tenant
+    enterTenant(tenantOf(apiKey));
+
     const body = req.body;
 
     // ✅ accept object or array
@@ -375,17 +224,18 @@ router.post("/public-push", async (req, res) => {
       });
     }
 
-    // ✅ recommended: require providerUsername (so you can block duplicates)
+    // ✅ providerUsername must be the API key owner
     for (const o of incoming) {
       const pu = String(o?.providerUsername || "")
         .trim()
         .toLowerCase();
-      if (!pu) {
-        return res.status(400).json({
-          error:
-            'Each offer must include "providerUsername" (public endpoint needs it).',
+      if (pu && pu !== keyOwner) {
+        return res.status(403).json({
+          error: "providerUsername does not match the API key owner",
+          providerUsername: pu,
         });
       }
+      o.providerUsername = keyOwner;
     }
 
     // ✅ block duplicates inside the same payload (same provider twice)
@@ -422,6 +272,7 @@ router.post("/public-push", async (req, res) => {
       ...o,
       requestId, // force normalized requestId
       providerUsername: String(o.providerUsername).trim().toLowerCase(),
+      submittedWithApiKey: apiKey.prefix,
       status: o.status || "SUBMITTED",
       createdAt: o.createdAt ? new Date(o.createdAt) : now,
       updatedAt: now,
@@ -450,5 +301,4 @@ router.post("/public-push", async (req, res) => {
   }
 });
 
-
 export default router;
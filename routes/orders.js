@@ -2,6 +2,10 @@
 import express from "express";
 import { ObjectId } from "mongodb";
 import { db } from "../db.js";
+import { getUser } from "../middleware/authMiddleware.js";
+import { resolveActor, listActivePrincipals } from "../utils/delegations.js";
+import { getPermissionMatrix, roleCan } from "../utils/permissions.js";
+import { runTransition } from "../utils/requestWorkflow.js";
 
 const router = express.Router();
 
@@ -22,46 +26,12 @@ router.use((req, res, next) => {
 /* =========================
    Helpers
 ========================= */
-function normalizeRole(raw) {
-  const s = String(raw || "").trim();
-  if (!s) return "";
-  const upper = s.toUpperCase().replace(/\s+/g, "_");
-  const noUnderscore = upper.replace(/_/g, "");
-
-  const map = {
-    PROJECTMANAGER: "PROJECT_MANAGER",
-    PROJECT_MANAGER: "PROJECT_MANAGER",
-
-    PROCUREMENTOFFICER: "PROCUREMENT_OFFICER",
-    PROCUREMENT_OFFICER: "PROCUREMENT_OFFICER",
-
-    RESOURCEPLANNER: "RESOURCE_PLANNER",
-    RESOURCE_PLANNER: "RESOURCE_PLANNER",
-
-    SYSTEMADMIN: "SYSTEM_ADMIN",
-    SYSTEM_ADMIN: "SYSTEM_ADMIN",
-    ADMIN: "SYSTEM_ADMIN",
-
-    SERVICEPROVIDER: "SERVICE_PROVIDER",
-    SERVICE_PROVIDER: "SERVICE_PROVIDER",
-  };
-
-  return map[noUnderscore] || map[upper] || upper;
-}
-
 function normalizeUsername(raw) {
   return String(raw || "")
     .trim()
     .toLowerCase();
 }
 
-function getUser(req) {
-  const role = normalizeRole(req.headers["x-user-role"]);
-  if (!role) return { error: "Missing x-user-role" };
-  const username = normalizeUsername(req.headers["x-username"]);
-  return { role, username };
-}
-
 function parseId(v) {
   try {
     return new ObjectId(String(v));
@@ -71,21 +41,23 @@ function parseId(v) {
 }
 
 /**
- * ✅ Swapped workflow:
- * ORDERING role is RESOURCE_PLANNER
+ * Order visibility comes from the permission matrix:
+ * - orders.readAll: every order
+ * - orders.readOwnOrdered: orders placed by the user
+ * - orders.readForOwnRequest: orders of the user's requests (incl. requests
+ *   of principals the user substitutes)
  */
-function isOrderingRole(role) {
-  return role === "RESOURCE_PLANNER";
-}
-function isPM(role) {
-  return role === "PROJECT_MANAGER";
-}
-function isAdmin(role) {
-  return role === "SYSTEM_ADMIN";
+async function requestOwnersFor(user, perm) {
+  const me = normalizeUsername(user.username);
+  const principals = await listActivePrincipals({
+    delegate: me,
+    roles: perm.roles,
+  });
+  return [...(perm.roles.includes(user.role) ? [me] : []), ...principals];
 }
 
 /* =========================================================
-   ✅ GET MY ORDERS (Ordering role only => RP)
+   ✅ GET MY ORDERS (orders.readOwnOrdered)
    GET /api/orders/my
 ========================================================= */
 router.get("/my", async (req, res) => {
@@ -93,10 +65,8 @@ router.get("/my", async (req, res) => {
     const user = getUser(req);
     if (user.error) return res.status(401).json({ error: user.error });
 
-    if (!isOrderingRole(user.role)) {
-      return res
-        .status(403)
-        .json({ error: "Only RESOURCE_PLANNER can view My Orders" });
+    if (!(await roleCan(user.role, "orders.readOwnOrdered"))) {
+      return res.status(403).json({ error: "Not allowed to view My Orders" });
     }
 
     if (!user.username) {
@@ -121,9 +91,9 @@ router.get("/my", async (req, res) => {
 /* =========================================================
    ✅ LIST ORDERS (restricted)
    GET /api/orders?requestId=...
-   - Admin: can list all (or filtered)
-   - PM: only orders for requests createdBy = PM
-   - RP (ordering): only their own orders
+   - orders.readAll: can list all (or filtered)
+   - orders.readOwnOrdered: only their own orders
+   - orders.readForOwnRequest: only orders for own requests
 ========================================================= */
 router.get("/", async (req, res) => {
   try {
@@ -134,8 +104,8 @@ router.get("/", async (req, res) => {
       return res.status(401).json({ error: "Missing x-username" });
     }
 
-    const role = user.role;
     const me = normalizeUsername(user.username);
+    const matrix = await getPermissionMatrix();
 
     const requestId = String(req.query.requestId || "").trim();
 
@@ -143,8 +113,8 @@ router.get("/", async (req, res) => {
     const baseQuery = {};
     if (requestId) baseQuery.requestId = requestId;
 
-    // ✅ Admin can view everything
-    if (isAdmin(role)) {
+    // ✅ orders.readAll: everything
+    if (matrix["orders.readAll"].roles.includes(user.role)) {
       const list = await db
         .collection("purchase_orders")
         .find(baseQuery)
@@ -153,8 +123,8 @@ router.get("/", async (req, res) => {
       return res.json(list);
     }
 
-    // ✅ Ordering role (RP): only their own orders
-    if (isOrderingRole(role)) {
+    // ✅ orders.readOwnOrdered: only their own orders
+    if (matrix["orders.readOwnOrdered"].roles.includes(user.role)) {
       const q = { ...baseQuery, orderedBy: me };
       const list = await db
         .collection("purchase_orders")
@@ -164,17 +134,23 @@ router.get("/", async (req, res) => {
       return res.json(list);
     }
 
-    // ✅ PM: only orders for PM's own requests
-    if (isPM(role)) {
-      // If your purchase_orders already store pmUsername, use it (faster):
-      // const qFast = { ...baseQuery, pmUsername: me };
-      // const list = await db.collection("purchase_orders").find(qFast).sort({ orderedAt: -1, createdAt: -1 }).toArray();
-      // return res.json(list);
+    // ✅ orders.readForOwnRequest: only orders for own requests
+    const ownPerm = matrix["orders.readForOwnRequest"];
+    const owners = await requestOwnersFor(user, ownPerm);
+    if (owners.length) {
+      if (!ownPerm.owner) {
+        const list = await db
+          .collection("purchase_orders")
+          .find(baseQuery)
+          .sort({ orderedAt: -1, createdAt: -1 })
+          .toArray();
+        return res.json(list);
+      }
 
-      // Otherwise: derive allowed requestIds (works with your current schema)
+      // derive allowed requestIds (works with your current schema)
       const myRequests = await db
         .collection("requests")
-        .find({ createdBy: me }, { projection: { _id: 1 } })
+        .find({ createdBy: { $in: owners } }, { projection: { _id: 1 } })
         .toArray();
 
       const myRequestIds = myRequests.map((r) => String(r._id));
@@ -198,7 +174,7 @@ router.get("/", async (req, res) => {
       return res.json(list);
     }
 
-    // ❌ PO and others: blocked
+    // ❌ everyone else: blocked
     return res.status(403).json({ error: "Not allowed" });
   } catch (e) {
     console.error("orders list error:", e);
@@ -209,9 +185,9 @@ router.get("/", async (req, res) => {
 /* =========================================================
    ✅ GET SINGLE ORDER (restricted)
    GET /api/orders/:id
-   - Admin: any
-   - RP: only if orderedBy == me
-   - PM: only if request belongs to PM
+   - orders.readAll: any
+   - orders.readOwnOrdered: only if orderedBy == me
+   - orders.readForOwnRequest: only if the request belongs to the user
 ========================================================= */
 router.get("/:id", async (req, res) => {
   try {
@@ -222,8 +198,8 @@ router.get("/:id", async (req, res) => {
       return res.status(401).json({ error: "Missing x-username" });
     }
 
-    const role = user.role;
     const me = normalizeUsername(user.username);
+    const matrix = await getPermissionMatrix();
 
     const id = parseId(req.params.id);
     if (!id) return res.status(400).json({ error: "Invalid order id" });
@@ -231,41 +207,93 @@ router.get("/:id", async (req, res) => {
     const doc = await db.collection("purchase_orders").findOne({ _id: id });
     if (!doc) return res.status(404).json({ error: "Order not found" });
 
-    // ✅ Admin: allow
-    if (isAdmin(role)) return res.json(doc);
+    // ✅ orders.readAll: allow
+    if (matrix["orders.readAll"].roles.includes(user.role))
+      return res.json(doc);
 
-    // ✅ RP: only own order
-    if (isOrderingRole(role)) {
-      if (normalizeUsername(doc.orderedBy) !== me) {
-        return res.status(403).json({ error: "Not allowed" });
-      }
+    // ✅ orders.readOwnOrdered: own order
+    if (
+      matrix["orders.readOwnOrdered"].roles.includes(user.role) &&
+      normalizeUsername(doc.orderedBy) === me
+    ) {
       return res.json(doc);
     }
 
-    // ✅ PM: only if PM owns the request
-    if (isPM(role)) {
-      const reqId = String(doc.requestId || "").trim();
-      if (!reqId) return res.status(403).json({ error: "Not allowed" });
+    // ✅ orders.readForOwnRequest: user (or their principal) owns the request
+    const ownPerm = matrix["orders.readForOwnRequest"];
+    const rid = parseId(String(doc.requestId || "").trim());
+    const reqDoc = rid
+      ? await db
+          .collection("requests")
+          .findOne({ _id: rid }, { projection: { createdBy: 1 } })
+      : null;
+
+    if (reqDoc && (!ownPerm.owner || reqDoc.createdBy)) {
+      const actor = await resolveActor(user, {
+        roles: ownPerm.roles,
+        owner: ownPerm.owner ? reqDoc.createdBy : null,
+      });
+      if (actor) return res.json(doc);
+    }
+
+    // ❌ everyone else: blocked
+    return res.status(403).json({ error: "Not allowed" });
+  } catch (e) {
+    console.error("order get error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================================================
+   ✅ CANCEL ORDER (orders.cancel)
+   POST /api/orders/:id/cancel   Body: { reason, onBehalfOf? }
+   Runs the "cancel-order" transition of the order's request:
+   order + request -> CANCELLED, offers cancelled, parties notified.
+========================================================= */
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+    if (!user.username) {
+      return res.status(401).json({ error: "Missing x-username" });
+    }
 
-      const rid = parseId(reqId);
-      if (!rid) return res.status(403).json({ error: "Not allowed" });
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid order id" });
 
-      const reqDoc = await db
-        .collection("requests")
-        .findOne({ _id: rid }, { projection: { createdBy: 1 } });
+    const order = await db.collection("purchase_orders").findOne({ _id: id });
+    if (!order) return res.status(404).json({ error: "Order not found" });
 
-      if (!reqDoc) return res.status(403).json({ error: "Not allowed" });
-      if (normalizeUsername(reqDoc.createdBy) !== me) {
-        return res.status(403).json({ error: "Not allowed" });
-      }
+    const rid = parseId(String(order.requestId || "").trim());
+    const doc = rid
+      ? await db.collection("requests").findOne({ _id: rid })
+      : null;
+    if (!doc) return res.status(404).json({ error: "Request not found" });
+    if (String(doc.orderId || "") !== String(order._id)) {
+      return res
+        .status(409)
+        .json({ error: "Order is not the current order of its request" });
+    }
 
-      return res.json(doc);
+    const out = await runTransition("cancel-order", {
+      user,
+      doc,
+      body: req.body || {},
+    });
+    if (out.error) {
+      const { status, ...body } = out;
+      return res.status(status).json(body);
     }
 
-    // ❌ PO and others: blocked
-    return res.status(403).json({ error: "Not allowed" });
+    const updated = await db.collection("purchase_orders").findOne({ _id: id });
+    return res.json({
+      success: true,
+      order: updated,
+      request: out.request,
+      ...out.result,
+    });
   } catch (e) {
-    console.error("order get error:", e);
+    console.error("order cancel error:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
@@ -0,0 +1,71 @@
+// routes/permissions.js
+import express from "express";
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import { getUser } from "../middleware/authMiddleware.js";
+import { effectivePermissions, roleCan } from "../utils/permissions.js";
+
+const router = express.Router();
+
+/* =========================
+   No-cache
+========================= */
+router.use((req, res, next) => {
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate",
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+  res.setHeader("Surrogate-Control", "no-store");
+  next();
+});
+
+function parseId(idStr) {
+  try {
+    return new ObjectId(String(idStr));
+  } catch {
+    return null;
+  }
+}
+
+/* =========================================================
+   ✅ EFFECTIVE PERMISSIONS (frontend: show / hide actions)
+   GET /api/permissions/me
+   GET /api/permissions/me?requestId=...  -> evaluated for that request
+========================================================= */
+router.get("/me", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+
+    let request = null;
+    if (req.query.requestId) {
+      if (!(await roleCan(user.role, "requests.read")))
+        return res.status(403).json({ error: "Not allowed to view requests." });
+
+      const id = parseId(req.query.requestId);
+      if (!id) return res.status(400).json({ error: "Invalid request id" });
+
+      request = await db
+        .collection("requests")
+        .findOne({ _id: id }, { projection: { createdBy: 1, status: 1 } });
+      if (!request) return res.status(404).json({ error: "Request not found" });
+    }
+
+    const permissions = await effectivePermissions(user, { request });
+
+    return res.json({
+      username: user.username || null,
+      role: user.role,
+      impersonation: user.impersonation || null,
+      requestId: request ? String(request._id) : null,
+      permissions,
+    });
+  } catch (e) {
+    console.error("effective permissions error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
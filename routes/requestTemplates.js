@@ -0,0 +1,174 @@
+// routes/requestTemplates.js
+import express from "express";
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import { getUser } from "../middleware/authMiddleware.js";
+import { roleCan } from "../utils/permissions.js";
+import {
+  createTemplate,
+  deleteTemplate,
+  findUsableTemplate,
+  listTemplates,
+  templateView,
+  updateTemplate,
+} from "../utils/requestTemplates.js";
+
+const router = express.Router();
+
+/* =========================
+   No-cache
+========================= */
+router.use((req, res, next) => {
+  res.setHeader(
+    "Cache-Control",
+    "no-store, no-cache, must-revalidate, proxy-revalidate",
+  );
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+  res.setHeader("Surrogate-Control", "no-store");
+  next();
+});
+
+/* =========================
+   Helpers
+========================= */
+function parseId(idStr) {
+  try {
+    return new ObjectId(String(idStr));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Templates are for users who create requests (requests.create).
+ * Returns { user } or { status, error }.
+ */
+async function loadTemplateUser(req) {
+  const user = getUser(req);
+  if (user.error) return { status: 401, error: user.error };
+  if (!user.username) return { status: 401, error: "Missing x-username" };
+  if (!(await roleCan(user.role, "requests.create")))
+    return { status: 403, error: "Not allowed to use request templates" };
+  return { user };
+}
+
+/* =========================================================
+   ✅ REQUEST TEMPLATES (requests.create)
+   GET    /api/request-templates?scope=all|personal|shared&q=  -> { data }
+   POST   /api/request-templates   Body: { requestId, name, description?,
+                                           shared? }
+   GET    /api/request-templates/:id
+   PUT    /api/request-templates/:id   Body: { name?, description?, shared? }
+   DELETE /api/request-templates/:id   (owner; SYSTEM_ADMIN for shared)
+
+   New DRAFT from a template: POST /api/requests/from-template/:id
+========================================================= */
+router.get("/", async (req, res) => {
+  try {
+    const loaded = await loadTemplateUser(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+
+    const scope = String(req.query.scope || "all")
+      .trim()
+      .toLowerCase();
+    if (!["all", "personal", "shared"].includes(scope)) {
+      return res
+        .status(400)
+        .json({ error: "scope must be all, personal or shared" });
+    }
+
+    const list = await listTemplates(loaded.user, { scope, q: req.query.q });
+    return res.json({ data: list.map(templateView) });
+  } catch (e) {
+    console.error("list request templates error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const loaded = await loadTemplateUser(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+    if (!(await roleCan(loaded.user.role, "requests.read"))) {
+      return res.status(403).json({ error: "Not allowed to view requests." });
+    }
+
+    const requestId = parseId(req.body?.requestId);
+    if (!requestId) return res.status(400).json({ error: "Invalid requestId" });
+
+    const reqDoc = await db.collection("requests").findOne({ _id: requestId });
+    if (!reqDoc) return res.status(404).json({ error: "Request not found" });
+
+    const out = await createTemplate(loaded.user, reqDoc, req.body || {});
+    if (out.violations) {
+      return res
+        .status(400)
+        .json({ error: "Invalid template", violations: out.violations });
+    }
+
+    return res
+      .status(201)
+      .json({ success: true, template: templateView(out.template) });
+  } catch (e) {
+    console.error("create request template error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const loaded = await loadTemplateUser(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+
+    const template = await findUsableTemplate(loaded.user, req.params.id);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+
+    return res.json(templateView(template));
+  } catch (e) {
+    console.error("get request template error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  try {
+    const loaded = await loadTemplateUser(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+
+    const out = await updateTemplate(loaded.user, req.params.id, req.body);
+    if (out.error) {
+      const { status, ...body } = out;
+      return res.status(status).json(body);
+    }
+
+    return res.json({ success: true, template: templateView(out.template) });
+  } catch (e) {
+    console.error("update request template error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const user = getUser(req);
+    if (user.error) return res.status(401).json({ error: user.error });
+    if (!user.username) {
+      return res.status(401).json({ error: "Missing x-username" });
+    }
+
+    const out = await deleteTemplate(user, req.params.id);
+    if (out.error) return res.status(out.status).json({ error: out.error });
+
+    return res.json({ success: true });
+  } catch (e) {
+    console.error("delete request template error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
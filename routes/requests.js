@@ -2,35 +2,39 @@
 import express from "express";
 import { ObjectId } from "mongodb";
 import { db } from "../db.js";
+import { getUser } from "../middleware/authMiddleware.js";
 import { createNotification } from "../utils/notify.js";
+import { actorFields } from "../utils/delegations.js";
+import { getPermissionMatrix, roleCan } from "../utils/permissions.js";
+import { requestCopy, validateRequestPayload } from "../utils/requestSchema.js";
+import { findUsableTemplate } from "../utils/requestTemplates.js";
+import { enterTenant, publicTenantOf } from "../utils/tenants.js";
+import {
+  deleteRevisions,
+  diffRevisions,
+  findRevision,
+  listRevisions,
+  revisionView,
+  saveRevision,
+} from "../utils/requestRevisions.js";
+import {
+  reviewCommentsWithChanges,
+  reviewSummary,
+  setReviewCommentResolved,
+} from "../utils/reviewComments.js";
+import {
+  STATUS,
+  authorizeRequestAction,
+  availableTransitions,
+  historyEntry,
+  runSystemTransition,
+  runTransition,
+  statusHistoryOf,
+} from "../utils/requestWorkflow.js";
 
 const router = express.Router();
 
-/**
- * ✅ SWAPPED RESPONSIBILITIES (as you requested)
- *
- * STATUS FLOW:
- * PM: DRAFT -> IN_REVIEW
- * PO: IN_REVIEW -> APPROVED_FOR_SUBMISSION or REJECTED        ✅ (was RP)
- * PM: APPROVED_FOR_SUBMISSION -> BIDDING
- * SYSTEM: BIDDING -> EXPIRED (auto)
- * AUTO: BIDDING -> BID_EVALUATION (when offersCount >= maxOffers)
- * PO: BID_EVALUATION -> RECOMMENDED (select best offer)       ✅ (was RP)
- * PM: RECOMMENDED -> SENT_TO_RP
- * RP: SENT_TO_RP -> ORDERED                                  ✅ (was PO)
- */
-const STATUS = {
-  DRAFT: "DRAFT",
-  IN_REVIEW: "IN_REVIEW",
-  APPROVED_FOR_SUBMISSION: "APPROVED_FOR_SUBMISSION",
-  BIDDING: "BIDDING",
-  BID_EVALUATION: "BID_EVALUATION",
-  RECOMMENDED: "RECOMMENDED",
-  SENT_TO_RP: "SENT_TO_RP",
-  ORDERED: "ORDERED",
-  REJECTED: "REJECTED",
-  EXPIRED: "EXPIRED",
-};
+// STATUS flow / transitions: utils/requestWorkflow.js
 
 /* =========================
    Enterprise: No-cache for API
@@ -49,72 +53,12 @@ router.use((req, res, next) => {
 /* =========================
    Helpers (Auth + IDs)
 ========================= */
-function normalizeRole(raw) {
-  const s = String(raw || "").trim();
-  if (!s) return "";
-  const upper = s.toUpperCase().replace(/\s+/g, "_");
-  const noUnderscore = upper.replace(/_/g, "");
-  const map = {
-    PROJECTMANAGER: "PROJECT_MANAGER",
-    PROJECT_MANAGER: "PROJECT_MANAGER",
-    PROCUREMENTOFFICER: "PROCUREMENT_OFFICER",
-    PROCUREMENT_OFFICER: "PROCUREMENT_OFFICER",
-    RESOURCEPLANNER: "RESOURCE_PLANNER",
-    RESOURCE_PLANNER: "RESOURCE_PLANNER",
-    SYSTEMADMIN: "SYSTEM_ADMIN",
-    SYSTEM_ADMIN: "SYSTEM_ADMIN",
-    SYSTEMADMINISTRATOR: "SYSTEM_ADMIN",
-    SYSTEM_ADMINISTRATOR: "SYSTEM_ADMIN",
-  };
-  return map[noUnderscore] || map[upper] || upper;
-}
-
 function normalizeUsername(raw) {
   return String(raw || "")
     .trim()
     .toLowerCase();
 }
 
-function getUser(req) {
-  const role = normalizeRole(req.headers["x-user-role"]);
-  if (!role) return { error: "Missing x-user-role" };
-  const username = normalizeUsername(req.headers["x-username"]);
-  return { role, username };
-}
-
-function canReadAll(role) {
-  return (
-    role === "PROJECT_MANAGER" ||
-    role === "PROCUREMENT_OFFICER" ||
-    role === "RESOURCE_PLANNER" ||
-    role === "SYSTEM_ADMIN"
-  );
-}
-
-function isPM(role) {
-  return role === "PROJECT_MANAGER";
-}
-
-/**
- * ✅ Role mapping AFTER swap:
- * - Reviewer (approve/reject IN_REVIEW): Procurement Officer (PO)
- * - Evaluator (recommend offer in BID_EVALUATION): Procurement Officer (PO)
- * - Ordering (ORDER after SENT_TO_RP): Resource Planner (RP)
- */
-const ROLE_REVIEWER = "PROCUREMENT_OFFICER";
-const ROLE_EVALUATOR = "RESOURCE_PLANNER";
-const ROLE_ORDERING = "RESOURCE_PLANNER";
-
-function isReviewer(role) {
-  return role === ROLE_REVIEWER;
-}
-function isEvaluator(role) {
-  return role === ROLE_EVALUATOR;
-}
-function isOrderingRole(role) {
-  return role === ROLE_ORDERING;
-}
-
 function parseId(idStr) {
   try {
     return new ObjectId(String(idStr));
@@ -123,37 +67,6 @@ function parseId(idStr) {
   }
 }
 
-function isOwner(doc, username) {
-  if (!username) return false;
-  return normalizeUsername(doc?.createdBy) === normalizeUsername(username);
-}
-async function findOfferByAnyId(offerIdRaw) {
-  const oidStr = String(offerIdRaw || "").trim();
-  if (!oidStr) return null;
-
-  // 1) try string _id
-  const byString = await db.collection("offers").findOne({ _id: oidStr });
-  if (byString) return byString;
-
-  // 2) try ObjectId _id
-  const asObj = parseId(oidStr);
-  if (asObj) {
-    const byObj = await db.collection("offers").findOne({ _id: asObj });
-    if (byObj) return byObj;
-  }
-
-  // 3) fallback: match by toString(_id)
-  const arr = await db
-    .collection("offers")
-    .aggregate([
-      { $match: { $expr: { $eq: [{ $toString: "$_id" }, oidStr] } } },
-      { $limit: 1 },
-    ])
-    .toArray();
-
-  return arr?.[0] || null;
-}
-
 /* =========================
    Pagination helpers
 ========================= */
@@ -189,29 +102,9 @@ async function ensureExpiredIfDue(doc) {
   const endsAt = computeBiddingEndsAt(doc);
   if (!endsAt) return doc;
 
-  const now = new Date();
-  if (now < endsAt) return doc;
-
-  if (String(doc.status || "").toUpperCase() === STATUS.EXPIRED) return doc;
+  if (new Date() < endsAt) return doc;
 
-  await db
-    .collection("requests")
-    .updateOne(
-      { _id: doc._id, status: STATUS.BIDDING },
-      { $set: { status: STATUS.EXPIRED, expiredAt: now, updatedAt: now } },
-    );
-
-  if (doc.createdBy) {
-    const requestId = String(doc._id);
-    await createNotification({
-      uniqKey: `${requestId}:EXPIRED`,
-      toUsername: doc.createdBy,
-      type: "REQUEST_EXPIRED",
-      title: "Request expired",
-      message: `Your request "${doc.title || "Untitled"}" has expired after the bidding cycle.`,
-      requestId,
-    });
-  }
+  await runSystemTransition("expire", doc);
 
   return await db.collection("requests").findOne({ _id: doc._id });
 }
@@ -236,39 +129,7 @@ async function autoCompleteBiddingIfEnoughOffers(reqDoc) {
   if (!maxOffers || maxOffers <= 0) return { ...reqDoc, offersCount };
 
   if (offersCount >= maxOffers) {
-    const now = new Date();
-
-    await db.collection("requests").updateOne(
-      { _id: reqDoc._id, status: STATUS.BIDDING },
-      {
-        $set: {
-          status: STATUS.BID_EVALUATION,
-          bidEvaluationAt: now,
-          updatedAt: now,
-        },
-      },
-    );
-
-    if (reqDoc.createdBy) {
-      await createNotification({
-        uniqKey: `${requestId}:AUTO_TO_BID_EVAL_PM`,
-        toUsername: reqDoc.createdBy,
-        type: "REQUEST_STATUS",
-        title: "Bidding completed",
-        message: `Your request "${reqDoc.title || "Untitled"}" moved to BID_EVALUATION (offers reached max).`,
-        requestId,
-      });
-    }
-
-    await createNotification({
-      uniqKey: `${requestId}:AUTO_TO_BID_EVAL_EVALUATOR`,
-      toRole: ROLE_EVALUATOR,
-      type: "REQUEST_STATUS",
-      title: "Requests ready for evaluation",
-      message: `Request "${reqDoc.title || "Untitled"}" is now in BID_EVALUATION.`,
-      requestId,
-    });
-
+    await runSystemTransition("complete-bidding", reqDoc, { offersCount });
     return { ...reqDoc, status: STATUS.BID_EVALUATION, offersCount };
   }
 
@@ -298,60 +159,163 @@ function addOffersCountPipeline(match) {
 }
 
 /* ================================
-   CREATE (PM only) -> DRAFT
+   CREATE (requests.create) -> DRAFT
 ================================== */
+
+/**
+ * Stores validated content as a new DRAFT of user (create, clone, template).
+ * copiedFrom: { type: "request" | "template", id, name? } or null.
+ * Returns the new request id.
+ */
+async function insertDraft(user, data, { copiedFrom = null } = {}) {
+  const now = new Date();
+  const createdBy = normalizeUsername(user.username);
+  const trigger = copiedFrom ? `from-${copiedFrom.type}` : "create";
+  const doc = {
+    ...data,
+    status: STATUS.DRAFT,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+    ...(copiedFrom ? { copiedFrom } : {}),
+    statusHistory: [
+      historyEntry({
+        to: STATUS.DRAFT,
+        transition: "create",
+        actor: { username: createdBy },
+        at: now,
+        metadata: copiedFrom ? { copiedFrom } : {},
+      }),
+    ],
+  };
+
+  const result = await db.collection("requests").insertOne(doc);
+  await saveRevision(
+    { ...doc, _id: result.insertedId },
+    { trigger, actor: { username: createdBy } },
+  );
+
+  const source = !copiedFrom
+    ? ""
+    : copiedFrom.type === "template"
+      ? ` from template "${copiedFrom.name}"`
+      : " as a copy of an existing request";
+  await createNotification({
+    toUsername: createdBy,
+    type: "REQUEST_STATUS",
+    title: "Request created",
+    message: `You created a new request "${doc.title || "Untitled"}"${source} (DRAFT).`,
+    requestId: String(result.insertedId),
+  });
+
+  return String(result.insertedId);
+}
+
+/**
+ * Caller allowed to create requests. Returns { user } or { status, error }.
+ */
+async function loadCreator(req) {
+  const user = getUser(req);
+  if (user.error) return { status: 401, error: user.error };
+  if (!(await roleCan(user.role, "requests.create")))
+    return { status: 403, error: "Not allowed to create requests" };
+  if (!user.username) return { status: 401, error: "Missing x-username" };
+  return { user };
+}
+
 router.post("/", async (req, res) => {
   try {
-    const user = getUser(req);
-    if (user.error) return res.status(401).json({ error: user.error });
-    if (!isPM(user.role)) {
+    const loaded = await loadCreator(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+
+    const checked = validateRequestPayload(req.body || {});
+    if (checked.violations) {
       return res
-        .status(403)
-        .json({ error: "Only PROJECT_MANAGER can create requests" });
-    }
-    if (!user.username) {
-      return res.status(401).json({ error: "Missing x-username" });
+        .status(400)
+        .json({ error: "Invalid request", violations: checked.violations });
     }
 
-    const body = req.body || {};
-    if (!body.title || !String(body.title).trim()) {
-      return res.status(400).json({ error: "Title is required" });
-    }
+    const id = await insertDraft(loaded.user, checked.data);
+    return res.json({ success: true, id });
+  } catch (e) {
+    console.error("Create request error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* =========================================================
+   ✅ TEMPLATES / CLONE -> new DRAFT (requests.create)
+   POST /api/requests/from-template/:id   Body: { ...field overrides }
+   POST /api/requests/:id/clone           Body: { ...field overrides }
+
+   Business fields are copied, workflow fields (status, stamps, offers,
+   order, review) start fresh. Templates: /api/request-templates.
+========================================================= */
+async function createCopy(res, user, content, overrides, copiedFrom) {
+  const checked = validateRequestPayload({ ...content, ...(overrides || {}) });
+  if (checked.violations) {
+    return res
+      .status(400)
+      .json({ error: "Invalid request", violations: checked.violations });
+  }
+
+  const id = await insertDraft(user, checked.data, { copiedFrom });
+  return res.json({ success: true, id, copiedFrom });
+}
+
+router.post("/from-template/:id", async (req, res) => {
+  try {
+    const loaded = await loadCreator(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
 
-    const doc = {
-      ...body,
-      status: STATUS.DRAFT,
-      createdBy: normalizeUsername(user.username),
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
-
-    const result = await db.collection("requests").insertOne(doc);
-
-    await createNotification({
-      toUsername: doc.createdBy,
-      type: "REQUEST_STATUS",
-      title: "Request created",
-      message: `You created a new request "${doc.title || "Untitled"}" (DRAFT).`,
-      requestId: String(result.insertedId),
+    const template = await findUsableTemplate(loaded.user, req.params.id);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+
+    return await createCopy(res, loaded.user, template.content, req.body, {
+      type: "template",
+      id: String(template._id),
+      name: template.name,
     });
+  } catch (e) {
+    console.error("Create from template error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
 
-    return res.json({ success: true, id: String(result.insertedId) });
+router.post("/:id/clone", async (req, res) => {
+  try {
+    const loaded = await loadCreator(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+
+    const readable = await loadReadable(req);
+    if (readable.error)
+      return res.status(readable.status).json({ error: readable.error });
+
+    return await createCopy(
+      res,
+      loaded.user,
+      requestCopy(readable.doc),
+      req.body,
+      { type: "request", id: String(readable.doc._id) },
+    );
   } catch (e) {
-    console.error("Create request error:", e);
+    console.error("Clone request error:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
 /* ================================
-   LIST (admin/pm/rp/po)
+   LIST (requests.read)
    Returns: { data, meta }
 ================================== */
 router.get("/", async (req, res) => {
   try {
     const user = getUser(req);
     if (user.error) return res.status(401).json({ error: user.error });
-    if (!canReadAll(user.role)) {
+    if (!(await roleCan(user.role, "requests.read"))) {
       return res.status(403).json({ error: "Not allowed to view requests." });
     }
 
@@ -371,10 +335,8 @@ router.get("/", async (req, res) => {
     if (status) match.status = status;
 
     if (view === "my") {
-      if (!isPM(user.role)) {
-        return res
-          .status(403)
-          .json({ error: "Only PROJECT_MANAGER can use view=my" });
+      if (!(await roleCan(user.role, "requests.create"))) {
+        return res.status(403).json({ error: "Not allowed to use view=my" });
       }
       if (!user.username) {
         return res.status(401).json({ error: "Missing x-username" });
@@ -435,6 +397,9 @@ router.get("/", async (req, res) => {
 ================================== */
 router.get("/bidding", async (req, res) => {
   try {
+    // anonymous callers pick the tenant (X-Tenant-Id, default tenant)
+    enterTenant(publicTenantOf(req));
+
     const match = { status: STATUS.BIDDING };
 
     const pipeline = [
@@ -487,7 +452,7 @@ router.get("/bid-evaluation", async (req, res) => {
   try {
     const user = getUser(req);
     if (user.error) return res.status(401).json({ error: user.error });
-    if (!canReadAll(user.role))
+    if (!(await roleCan(user.role, "requests.read")))
       return res.status(403).json({ error: "Not allowed" });
 
     const pipeline = [
@@ -510,7 +475,7 @@ router.get("/:id", async (req, res) => {
   try {
     const user = getUser(req);
     if (user.error) return res.status(401).json({ error: user.error });
-    if (!canReadAll(user.role)) {
+    if (!(await roleCan(user.role, "requests.read"))) {
       return res.status(403).json({ error: "Not allowed to view requests." });
     }
 
@@ -534,17 +499,12 @@ router.get("/:id", async (req, res) => {
 });
 
 /* ================================
-   UPDATE (PM own + DRAFT only)
+   UPDATE (requests.update: own + DRAFT by default)
 ================================== */
 router.put("/:id", async (req, res) => {
   try {
     const user = getUser(req);
     if (user.error) return res.status(401).json({ error: user.error });
-    if (!isPM(user.role)) {
-      return res
-        .status(403)
-        .json({ error: "Only PROJECT_MANAGER can update requests" });
-    }
     if (!user.username) {
       return res.status(401).json({ error: "Missing x-username" });
     }
@@ -555,20 +515,40 @@ router.put("/:id", async (req, res) => {
     const existing = await db.collection("requests").findOne({ _id: id });
     if (!existing) return res.status(404).json({ error: "Request not found" });
 
-    if (!isOwner(existing, user.username))
-      return res.status(403).json({ error: "Not allowed" });
+    const auth = await authorizeRequestAction(
+      user,
+      "requests.update",
+      existing,
+    );
+    if (auth.error) return res.status(403).json({ error: auth.error });
+    const { perm } = auth;
+
+    if (!perm.statuses.includes(String(existing.status || "").toUpperCase())) {
+      return res.status(403).json({
+        error: `Only ${perm.statuses.join(" / ")} requests can be edited`,
+      });
+    }
 
-    if (String(existing.status || "").toUpperCase() !== STATUS.DRAFT) {
+    const checked = validateRequestPayload(req.body || {}, { existing });
+    if (checked.violations) {
       return res
-        .status(403)
-        .json({ error: "Only DRAFT requests can be edited" });
+        .status(400)
+        .json({ error: "Invalid request", violations: checked.violations });
     }
 
-    await db
-      .collection("requests")
-      .updateOne({ _id: id }, { $set: { ...req.body, updatedAt: new Date() } });
+    await db.collection("requests").updateOne(
+      { _id: id },
+      {
+        $set: {
+          ...checked.data,
+          ...actorFields("updated", actor),
+          updatedAt: new Date(),
+        },
+      },
+    );
 
     const updated = await db.collection("requests").findOne({ _id: id });
+    await saveRevision(updated, { trigger: "update", actor });
     return res.json(updated);
   } catch (e) {
     console.error("Update request error:", e);
@@ -577,17 +557,12 @@ router.put("/:id", async (req, res) => {
 });
 
 /* ================================
-   DELETE (PM own + DRAFT only)
+   DELETE (requests.delete: own + DRAFT by default)
 ================================== */
 router.delete("/:id", async (req, res) => {
   try {
     const user = getUser(req);
     if (user.error) return res.status(401).json({ error: user.error });
-    if (!isPM(user.role)) {
-      return res
-        .status(403)
-        .json({ error: "Only PROJECT_MANAGER can delete requests" });
-    }
     if (!user.username) {
       return res.status(401).json({ error: "Missing x-username" });
     }
@@ -598,16 +573,22 @@ router.delete("/:id", async (req, res) => {
     const existing = await db.collection("requests").findOne({ _id: id });
     if (!existing) return res.status(404).json({ error: "Request not found" });
 
-    if (!isOwner(existing, user.username))
-      return res.status(403).json({ error: "Not allowed" });
+    const auth = await authorizeRequestAction(
+      user,
+      "requests.delete",
+      existing,
+    );
+    if (auth.error) return res.status(403).json({ error: auth.error });
+    const { perm } = auth;
 
-    if (String(existing.status || "").toUpperCase() !== STATUS.DRAFT) {
-      return res
-        .status(403)
-        .json({ error: "Only DRAFT requests can be deleted" });
+    if (!perm.statuses.includes(String(existing.status || "").toUpperCase())) {
+      return res.status(403).json({
+        error: `Only ${perm.statuses.join(" / ")} requests can be deleted`,
+      });
     }
 
     await db.collection("requests").deleteOne({ _id: id });
+    await deleteRevisions(String(id));
     return res.json({ success: true });
   } catch (e) {
     console.error("Delete request error:", e);
@@ -615,605 +596,433 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
-/* ================================
-   TRANSITIONS
-================================== */
-
-// PM: DRAFT -> IN_REVIEW
-router.post("/:id/submit-for-review", async (req, res) => {
-  try {
-    const user = getUser(req);
-    if (user.error) return res.status(401).json({ error: user.error });
-    if (!isPM(user.role)) {
-      return res
-        .status(403)
-        .json({ error: "Only PROJECT_MANAGER can submit for review" });
-    }
-    if (!user.username) {
-      return res.status(401).json({ error: "Missing x-username" });
-    }
+/* =========================================================
+   ✅ HISTORY (requests.read)
+   GET /api/requests/:id/history
+        -> { requestId, status, history, timeline }
+   history:  status changes (append-only statusHistory)
+   timeline: status changes + offers received + orders placed, oldest first
+             (offers / orders only as far as the user may read them)
+========================================================= */
+/**
+ * Offers / orders filter for the timeline, following the offers.* and
+ * orders.* permissions. null: none visible.
+ */
+async function timelineOffersFilter(user, doc, matrix) {
+  const requestId = String(doc._id);
+  if (matrix["offers.readAll"].roles.includes(user.role)) return { requestId };
+
+  const own = await authorizeRequestAction(
+    user,
+    "offers.readForOwnRequest",
+    doc,
+  );
+  if (!own.error) return { requestId };
 
-    const id = parseId(req.params.id);
-    if (!id) return res.status(400).json({ error: "Invalid request id" });
+  if (matrix["offers.readOwn"].roles.includes(user.role) && user.username) {
+    return { requestId, providerUsername: normalizeUsername(user.username) };
+  }
+  return null;
+}
 
-    const doc = await db.collection("requests").findOne({ _id: id });
-    if (!doc) return res.status(404).json({ error: "Request not found" });
-    if (!isOwner(doc, user.username))
-      return res.status(403).json({ error: "Not allowed" });
+async function timelineOrdersFilter(user, doc, matrix) {
+  const requestId = String(doc._id);
+  if (matrix["orders.readAll"].roles.includes(user.role)) return { requestId };
 
-    if (String(doc.status || "").toUpperCase() !== STATUS.DRAFT) {
-      return res
-        .status(403)
-        .json({ error: "Only DRAFT can be submitted for review" });
-    }
+  const own = await authorizeRequestAction(
+    user,
+    "orders.readForOwnRequest",
+    doc,
+  );
+  if (!own.error) return { requestId };
 
-    const now = new Date();
+  if (matrix["orders.readOwnOrdered"].roles.includes(user.role)) {
+    return { requestId, orderedBy: normalizeUsername(user.username) };
+  }
+  return null;
+}
 
-    await db.collection("requests").updateOne(
-      { _id: id },
-      {
-        $set: {
-          status: STATUS.IN_REVIEW,
-          submittedAt: now,
-          submittedBy: normalizeUsername(user.username),
-          updatedAt: now,
-        },
-      },
-    );
+/**
+ * Caller + request for the read-only audit routes (requests.read).
+ * Returns { user, doc } or { status, error }.
+ */
+async function loadReadable(req) {
+  const user = getUser(req);
+  if (user.error) return { status: 401, error: user.error };
+  if (!(await roleCan(user.role, "requests.read")))
+    return { status: 403, error: "Not allowed to view requests." };
+
+  const id = parseId(req.params.id);
+  if (!id) return { status: 400, error: "Invalid request id" };
+
+  const doc = await db.collection("requests").findOne({ _id: id });
+  if (!doc) return { status: 404, error: "Request not found" };
+  return { user, doc };
+}
 
-    await createNotification({
-      uniqKey: `${String(id)}:SUBMITTED_FOR_REVIEW_REVIEWER`,
-      toRole: ROLE_REVIEWER,
-      type: "REQUEST_STATUS",
-      title: "New request in review",
-      message: `Request "${doc.title || "Untitled"}" submitted for review.`,
-      requestId: String(id),
-    });
+router.get("/:id/history", async (req, res) => {
+  try {
+    const loaded = await loadReadable(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+    const { user, doc } = loaded;
+
+    const history = statusHistoryOf(doc);
+    const matrix = await getPermissionMatrix();
+
+    const offersFilter = await timelineOffersFilter(user, doc, matrix);
+    const offers = offersFilter
+      ? await db
+          .collection("offers")
+          .find(offersFilter, {
+            projection: {
+              providerUsername: 1,
+              providerName: 1,
+              price: 1,
+              currency: 1,
+              createdAt: 1,
+            },
+          })
+          .toArray()
+      : [];
+
+    const ordersFilter = await timelineOrdersFilter(user, doc, matrix);
+    const orders = ordersFilter
+      ? await db
+          .collection("purchase_orders")
+          .find(ordersFilter, {
+            projection: {
+              offerId: 1,
+              orderedBy: 1,
+              orderedOnBehalfOf: 1,
+              orderedAt: 1,
+              createdAt: 1,
+              totalPrice: 1,
+              currency: 1,
+              providerUsername: 1,
+            },
+          })
+          .toArray()
+      : [];
+
+    const timeline = [
+      ...history.map((h) => ({ type: "STATUS_CHANGE", ...h })),
+      ...offers.map((o) => ({
+        type: "OFFER_RECEIVED",
+        at: o.createdAt || null,
+        by: o.providerUsername || "",
+        offerId: String(o._id),
+        providerName: o.providerName || "",
+        price: o.price ?? null,
+        currency: o.currency || "EUR",
+      })),
+      ...orders.map((o) => ({
+        type: "ORDER_PLACED",
+        at: o.orderedAt || o.createdAt || null,
+        by: o.orderedBy || "",
+        onBehalfOf: o.orderedOnBehalfOf || null,
+        orderId: String(o._id),
+        offerId: o.offerId || "",
+        providerUsername: o.providerUsername || "",
+        totalPrice: o.totalPrice ?? null,
+        currency: o.currency || "EUR",
+      })),
+    ].sort((a, b) => new Date(a.at || 0) - new Date(b.at || 0));
 
-    await createNotification({
-      uniqKey: `${String(id)}:SUBMITTED_FOR_REVIEW_PM`,
-      toUsername: doc.createdBy,
-      type: "REQUEST_STATUS",
-      title: "Submitted for review",
-      message: `Your request "${doc.title || "Untitled"}" is now IN_REVIEW.`,
-      requestId: String(id),
+    return res.json({
+      requestId: String(doc._id),
+      status: String(doc.status || "").toUpperCase(),
+      history,
+      timeline,
     });
-
-    const updated = await db.collection("requests").findOne({ _id: id });
-    return res.json(updated);
   } catch (e) {
-    console.error("submit-for-review error:", e);
+    console.error("request history error:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-// Reviewer (swapped): IN_REVIEW -> APPROVED_FOR_SUBMISSION
-router.post("/:id/rp-approve", async (req, res) => {
+/* =========================================================
+   ✅ REVISIONS (requests.read)
+   GET /api/requests/:id/revisions                 -> list (no content)
+   GET /api/requests/:id/revisions/diff?from=&to=  -> field-by-field changes
+       (defaults: to = latest, from = the one before)
+   GET /api/requests/:id/revisions/:number         -> one revision
+========================================================= */
+router.get("/:id/revisions", async (req, res) => {
   try {
-    const user = getUser(req);
-    if (user.error) return res.status(401).json({ error: user.error });
-
-    if (!isReviewer(user.role)) {
-      return res
-        .status(403)
-        .json({ error: `Only ${ROLE_REVIEWER} can approve` });
-    }
-
-    if (!user.username)
-      return res.status(401).json({ error: "Missing x-username" });
+    const loaded = await loadReadable(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+    const requestId = String(loaded.doc._id);
 
-    const id = parseId(req.params.id);
-    if (!id) return res.status(400).json({ error: "Invalid request id" });
-
-    const doc = await db.collection("requests").findOne({ _id: id });
-    if (!doc) return res.status(404).json({ error: "Request not found" });
-
-    if (String(doc.status || "").toUpperCase() !== STATUS.IN_REVIEW) {
-      return res
-        .status(403)
-        .json({ error: "Only IN_REVIEW requests can be approved" });
-    }
-
-    const now = new Date();
-
-    await db.collection("requests").updateOne(
-      { _id: id },
-      {
-        $set: {
-          status: STATUS.APPROVED_FOR_SUBMISSION,
-          rpApprovedAt: now,
-          rpApprovedBy: normalizeUsername(user.username),
-          updatedAt: now,
-        },
-      },
-    );
-
-    await createNotification({
-      uniqKey: `${String(id)}:REVIEW_APPROVED`,
-      toUsername: doc.createdBy,
-      type: "REQUEST_STATUS",
-      title: "Request approved",
-      message: `Your request "${doc.title || "Untitled"}" was approved for submission.`,
-      requestId: String(id),
+    const list = await listRevisions(requestId);
+    return res.json({
+      requestId,
+      revisions: list.map((r) => revisionView(r, { withContent: false })),
     });
-
-    const updated = await db.collection("requests").findOne({ _id: id });
-    return res.json(updated);
   } catch (e) {
-    console.error("rp-approve error:", e);
+    console.error("list revisions error:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-// Reviewer (swapped): IN_REVIEW -> REJECTED
-router.post("/:id/rp-reject", async (req, res) => {
+router.get("/:id/revisions/diff", async (req, res) => {
   try {
-    const user = getUser(req);
-    if (user.error) return res.status(401).json({ error: user.error });
-
-    if (!isReviewer(user.role)) {
+    const loaded = await loadReadable(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+    const requestId = String(loaded.doc._id);
+
+    const latest = Number(loaded.doc.revisionCount || 0);
+    const to = clampInt(req.query.to, latest, 1, 1000000);
+    const from = clampInt(req.query.from, to - 1, 1, 1000000);
+    if (!latest || from >= to) {
       return res
-        .status(403)
-        .json({ error: `Only ${ROLE_REVIEWER} can reject` });
-    }
-
-    if (!user.username)
-      return res.status(401).json({ error: "Missing x-username" });
-
-    const id = parseId(req.params.id);
-    if (!id) return res.status(400).json({ error: "Invalid request id" });
-
-    const doc = await db.collection("requests").findOne({ _id: id });
-    if (!doc) return res.status(404).json({ error: "Request not found" });
-
-    if (String(doc.status || "").toUpperCase() !== STATUS.IN_REVIEW) {
-      return res
-        .status(403)
-        .json({ error: "Only IN_REVIEW requests can be rejected" });
+        .status(400)
+        .json({ error: "Two revisions are needed (from < to)" });
     }
 
-    const reason = String(req.body?.reason || "").trim();
-    const now = new Date();
-
-    await db.collection("requests").updateOne(
-      { _id: id },
-      {
-        $set: {
-          status: STATUS.REJECTED,
-          rpRejectedAt: now,
-          rpRejectedBy: normalizeUsername(user.username),
-          rpRejectReason: reason,
-          updatedAt: now,
-        },
-      },
-    );
+    const [a, b] = await Promise.all([
+      findRevision(requestId, from),
+      findRevision(requestId, to),
+    ]);
+    if (!a || !b) return res.status(404).json({ error: "Revision not found" });
 
-    await createNotification({
-      uniqKey: `${String(id)}:REVIEW_REJECTED`,
-      toUsername: doc.createdBy,
-      type: "REQUEST_STATUS",
-      title: "Request rejected",
-      message: `Your request "${doc.title || "Untitled"}" was rejected. ${
-        reason ? `Reason: ${reason}` : ""
-      }`.trim(),
-      requestId: String(id),
+    return res.json({
+      requestId,
+      from: revisionView(a, { withContent: false }),
+      to: revisionView(b, { withContent: false }),
+      changes: diffRevisions(a, b),
     });
-
-    const updated = await db.collection("requests").findOne({ _id: id });
-    return res.json(updated);
   } catch (e) {
-    console.error("rp-reject error:", e);
+    console.error("diff revisions error:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-// PM: APPROVED_FOR_SUBMISSION -> BIDDING
-router.post("/:id/submit-for-bidding", async (req, res) => {
+router.get("/:id/revisions/:number", async (req, res) => {
   try {
-    const user = getUser(req);
-    if (user.error) return res.status(401).json({ error: user.error });
-    if (!isPM(user.role)) {
-      return res
-        .status(403)
-        .json({ error: "Only PROJECT_MANAGER can submit for bidding" });
-    }
-    if (!user.username)
-      return res.status(401).json({ error: "Missing x-username" });
-
-    const id = parseId(req.params.id);
-    if (!id) return res.status(400).json({ error: "Invalid request id" });
-
-    const doc = await db.collection("requests").findOne({ _id: id });
-    if (!doc) return res.status(404).json({ error: "Request not found" });
-    if (!isOwner(doc, user.username))
-      return res.status(403).json({ error: "Not allowed" });
+    const loaded = await loadReadable(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
 
-    if (
-      String(doc.status || "").toUpperCase() !== STATUS.APPROVED_FOR_SUBMISSION
-    ) {
-      return res
-        .status(403)
-        .json({ error: "Only APPROVED_FOR_SUBMISSION can go to BIDDING" });
+    const number = Number(req.params.number);
+    if (!Number.isInteger(number) || number < 1) {
+      return res.status(400).json({ error: "Invalid revision number" });
     }
 
-    const now = new Date();
+    const revision = await findRevision(String(loaded.doc._id), number);
+    if (!revision) return res.status(404).json({ error: "Revision not found" });
 
-    await db.collection("requests").updateOne(
-      { _id: id },
-      {
-        $set: {
-          status: STATUS.BIDDING,
-          biddingStartedAt: now,
-          biddingStartedBy: normalizeUsername(user.username),
-          updatedAt: now,
-        },
-      },
-    );
-
-    await createNotification({
-      uniqKey: `${String(id)}:BIDDING_OPEN_SP`,
-      toRole: "SERVICE_PROVIDER",
-      type: "REQUEST_STATUS",
-      title: "New bidding request",
-      message: `New request "${doc.title || "Untitled"}" is open for bidding.`,
-      requestId: String(id),
-    });
-
-    await createNotification({
-      uniqKey: `${String(id)}:BIDDING_OPEN_PM`,
-      toUsername: doc.createdBy,
-      type: "REQUEST_STATUS",
-      title: "Bidding started",
-      message: `Your request "${doc.title || "Untitled"}" is now BIDDING.`,
-      requestId: String(id),
-    });
-
-    const updated = await db.collection("requests").findOne({ _id: id });
-    return res.json(updated);
+    return res.json(revisionView(revision));
   } catch (e) {
-    console.error("submit-for-bidding error:", e);
+    console.error("load revision error:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-// PM: EXPIRED -> APPROVED_FOR_SUBMISSION
-router.post("/:id/reactivate", async (req, res) => {
+/* =========================================================
+   ✅ REVIEW COMMENTS (rework loop)
+   Reviewers send IN_REVIEW requests back to DRAFT with
+   POST /api/requests/:id/transitions/request-changes
+        Body: { comments: [{ field?, comment }], summary?, onBehalfOf? }
+   GET  /api/requests/:id/review-comments        (requests.read)
+        -> { requestId, round, summary, comments[+fieldChanged] }
+   POST /api/requests/:id/review-comments/:commentId/resolve  Body: { note? }
+   POST /api/requests/:id/review-comments/:commentId/reopen
+        (requests.update: owner / delegate, editable status)
+========================================================= */
+router.get("/:id/review-comments", async (req, res) => {
   try {
-    const user = getUser(req);
-    if (user.error) return res.status(401).json({ error: user.error });
-    if (!isPM(user.role)) {
-      return res
-        .status(403)
-        .json({ error: "Only PROJECT_MANAGER can reactivate" });
-    }
-    if (!user.username)
-      return res.status(401).json({ error: "Missing x-username" });
-
-    const id = parseId(req.params.id);
-    if (!id) return res.status(400).json({ error: "Invalid request id" });
-
-    const doc = await db.collection("requests").findOne({ _id: id });
-    if (!doc) return res.status(404).json({ error: "Request not found" });
-    if (!isOwner(doc, user.username))
-      return res.status(403).json({ error: "Not allowed" });
-
-    if (String(doc.status || "").toUpperCase() !== STATUS.EXPIRED) {
-      return res
-        .status(403)
-        .json({ error: "Only EXPIRED requests can be reactivated" });
-    }
-
-    const now = new Date();
-
-    await db.collection("requests").updateOne(
-      { _id: id, status: STATUS.EXPIRED },
-      {
-        $set: {
-          status: STATUS.APPROVED_FOR_SUBMISSION,
-          reactivatedAt: now,
-          reactivatedBy: normalizeUsername(user.username),
-          updatedAt: now,
-        },
-        $unset: {
-          biddingStartedAt: "",
-          biddingStartedBy: "",
-          expiredAt: "",
-        },
-      },
-    );
+    const loaded = await loadReadable(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+    const { doc } = loaded;
 
-    await createNotification({
-      uniqKey: `${String(id)}:REACTIVATED`,
-      toUsername: doc.createdBy,
-      type: "REQUEST_STATUS",
-      title: "Request reactivated",
-      message: `Your request "${doc.title || "Untitled"}" was reactivated to APPROVED_FOR_SUBMISSION.`,
-      requestId: String(id),
+    return res.json({
+      requestId: String(doc._id),
+      round: Number(doc.reviewRound || 0),
+      summary: reviewSummary(doc),
+      comments: await reviewCommentsWithChanges(doc),
     });
-
-    const updated = await db.collection("requests").findOne({ _id: id });
-    return res.json(updated);
   } catch (e) {
-    console.error("reactivate error:", e);
+    console.error("list review comments error:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-// =====================================================
-// ✅ Evaluator (PO): BID_EVALUATION -> RECOMMENDED
-// POST /api/requests/:id/rp-recommend-offer
-// Body: { offerId: "..." }
-// Allowed: PROCUREMENT_OFFICER, SYSTEM_ADMIN
-// =====================================================
-
-router.post("/:id/rp-recommend-offer", async (req, res) => {
-  try {
-    const user = getUser(req);
-    if (user.error) return res.status(401).json({ error: user.error });
-
-    // ✅ Evaluator = RESOURCE_PLANNER (your workflow)
-    if (!(isEvaluator(user.role) || user.role === "SYSTEM_ADMIN")) {
-      return res.status(403).json({ error: "Not allowed" });
-    }
-
-    if (!user.username)
-      return res.status(401).json({ error: "Missing x-username" });
-
-    const id = parseId(req.params.id);
-    if (!id) return res.status(400).json({ error: "Invalid request id" });
-
-    const offerIdRaw = String(req.body?.offerId || "").trim();
-    if (!offerIdRaw) return res.status(400).json({ error: "offerId missing" });
-
-    const reqDoc = await db.collection("requests").findOne({ _id: id });
-    if (!reqDoc) return res.status(404).json({ error: "Request not found" });
+function reviewCommentResolution(resolved) {
+  return async (req, res) => {
+    try {
+      const loaded = await loadForTransition(req);
+      if (loaded.error)
+        return res.status(loaded.status).json({ error: loaded.error });
+      const { user, doc } = loaded;
+
+      const auth = await authorizeRequestAction(user, "requests.update", doc);
+      if (auth.error) return res.status(403).json({ error: auth.error });
+      const { actor, perm } = auth;
+
+      if (!perm.statuses.includes(String(doc.status || "").toUpperCase())) {
+        return res.status(403).json({
+          error: `Only ${perm.statuses.join(" / ")} requests can be edited`,
+        });
+      }
 
-    const status = String(reqDoc.status || "").toUpperCase();
-    if (status !== "BID_EVALUATION") {
-      return res.status(400).json({
-        error: `Cannot recommend when status is ${status}. Must be BID_EVALUATION.`,
+      const commentId = String(req.params.commentId || "").trim();
+      const found = await setReviewCommentResolved(doc, commentId, {
+        resolved,
+        actor,
+        note: req.body?.note,
       });
-    }
-
-    // ✅ Works for both string _id and ObjectId _id
-    const offer = await findOfferByAnyId(offerIdRaw);
-    if (!offer) return res.status(404).json({ error: "Offer not found" });
+      if (!found) return res.status(404).json({ error: "Comment not found" });
 
-    // ✅ Offer must belong to this request
-    if (String(offer.requestId) !== String(reqDoc._id)) {
-      return res
-        .status(403)
-        .json({ error: "Offer does not belong to this request" });
+      const updated = await db.collection("requests").findOne({ _id: doc._id });
+      return res.json({
+        success: true,
+        comment: updated.reviewComments.find((c) => c.id === commentId),
+        summary: reviewSummary(updated),
+      });
+    } catch (e) {
+      console.error("review comment error:", e);
+      return res.status(500).json({ error: "Server error" });
     }
+  };
+}
 
-    const now = new Date();
-    const offerIdNormalized = String(offer._id); // always store as string
+router.post(
+  "/:id/review-comments/:commentId/resolve",
+  reviewCommentResolution(true),
+);
+router.post(
+  "/:id/review-comments/:commentId/reopen",
+  reviewCommentResolution(false),
+);
+
+/* =========================================================
+   ✅ TRANSITIONS (state machine: utils/requestWorkflow.js)
+   GET  /api/requests/:id/transitions         -> what the user may do now
+   POST /api/requests/:id/transitions/:name   Body: { onBehalfOf?, ...input }
+        -> { success, transition, request, ...result }
+========================================================= */
+/**
+ * Caller + request for a transition route.
+ * Returns { user, doc } or { status, error }.
+ */
+async function loadForTransition(req) {
+  const user = getUser(req);
+  if (user.error) return { status: 401, error: user.error };
+  if (!user.username) return { status: 401, error: "Missing x-username" };
 
-    await db.collection("requests").updateOne(
-      { _id: id },
-      {
-        $set: {
-          status: "RECOMMENDED",
-          recommendedOfferId: offerIdNormalized,
-          recommendedBy: normalizeUsername(user.username),
-          recommendedAt: now,
-          updatedAt: now,
-        },
-      },
-    );
+  const id = parseId(req.params.id);
+  if (!id) return { status: 400, error: "Invalid request id" };
 
-    const updated = await db.collection("requests").findOne({ _id: id });
-    return res.json({ success: true, data: updated });
-  } catch (e) {
-    console.error("rp-recommend-offer error:", e);
-    return res.status(500).json({ error: "Server error" });
-  }
-});
+  const doc = await db.collection("requests").findOne({ _id: id });
+  if (!doc) return { status: 404, error: "Request not found" };
+  return { user, doc };
+}
 
-/* ================================
-   PM: RECOMMENDED -> SENT_TO_RP
-================================== */
-router.post("/:id/send-to-rp", async (req, res) => {
+router.get("/:id/transitions", async (req, res) => {
   try {
-    const user = getUser(req);
-    if (user.error) return res.status(401).json({ error: user.error });
-    if (!isPM(user.role))
-      return res.status(403).json({ error: "Only PROJECT_MANAGER" });
-    if (!user.username)
-      return res.status(401).json({ error: "Missing x-username" });
-
-    const id = parseId(req.params.id);
-    if (!id) return res.status(400).json({ error: "Invalid request id" });
+    const loaded = await loadForTransition(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+    const { user, doc } = loaded;
 
-    const doc = await db.collection("requests").findOne({ _id: id });
-    if (!doc) return res.status(404).json({ error: "Request not found" });
-    if (!isOwner(doc, user.username))
-      return res.status(403).json({ error: "Not allowed" });
-
-    if (String(doc.status || "").toUpperCase() !== STATUS.RECOMMENDED) {
-      return res
-        .status(403)
-        .json({ error: "Only RECOMMENDED can be sent to PO" });
-    }
-
-    const now = new Date();
-
-    await db.collection("requests").updateOne(
-      { _id: id, status: STATUS.RECOMMENDED },
-      {
-        $set: {
-          status: STATUS.SENT_TO_RP,
-          sentToPoAt: now,
-          sentToPoBy: normalizeUsername(user.username),
-          updatedAt: now,
-        },
-      },
-    );
-
-    // swapped: notify ordering role (RP)
-    await createNotification({
-      uniqKey: `${String(id)}:SENT_TO_RP`,
-      toRole: ROLE_ORDERING,
-      type: "REQUEST_SENT_TO_RP",
-      title: "New request for ordering",
-      message: `A request "${doc.title || "Untitled"}" is ready for ordering.`,
-      requestId: String(doc._id),
-    });
-
-    await createNotification({
-      uniqKey: `${String(id)}:SENT_TO_RP_PM`,
-      toUsername: doc.createdBy,
-      type: "REQUEST_STATUS",
-      title: "Sent to procurement",
-      message: `Your request "${doc.title || "Untitled"}" is now SENT_TO_RP.`,
+    return res.json({
       requestId: String(doc._id),
+      status: String(doc.status || "").toUpperCase(),
+      transitions: await availableTransitions(user, doc),
     });
-
-    const updated = await db.collection("requests").findOne({ _id: id });
-    return res.json({ success: true, request: updated });
   } catch (e) {
-    console.error("send-to-rp error:", e);
+    console.error("list transitions error:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-/* ================================
-   ✅ Ordering swapped: SENT_TO_RP -> ORDERED (RP orders)
-================================== */
-router.post("/:id/order", async (req, res) => {
+router.post("/:id/transitions/:name", async (req, res) => {
   try {
-    const user = getUser(req);
-    if (user.error) return res.status(401).json({ error: user.error });
-
-    if (!isOrderingRole(user.role)) {
-      return res.status(403).json({ error: `Only ${ROLE_ORDERING} can order` });
-    }
-    if (!user.username) {
-      return res.status(401).json({ error: "Missing x-username" });
-    }
-
-    const id = parseId(req.params.id);
-    if (!id) return res.status(400).json({ error: "Invalid request id" });
-
-    const requestDoc = await db.collection("requests").findOne({ _id: id });
-    if (!requestDoc)
-      return res.status(404).json({ error: "Request not found" });
-
-    const st = String(requestDoc.status || "").toUpperCase();
-    if (st !== STATUS.SENT_TO_RP) {
-      return res
-        .status(403)
-        .json({ error: "Only SENT_TO_RP can be ordered", status: st });
+    const loaded = await loadForTransition(req);
+    if (loaded.error)
+      return res.status(loaded.status).json({ error: loaded.error });
+
+    const name = String(req.params.name || "").trim();
+    const out = await runTransition(name, { ...loaded, body: req.body || {} });
+    if (out.error) {
+      const { status, ...body } = out;
+      return res.status(status).json(body);
     }
 
-    const offerId = String(
-      req.body?.offerId || requestDoc.recommendedOfferId || "",
-    ).trim();
-
-    if (!offerId) {
-      return res
-        .status(400)
-        .json({ error: "offerId missing (no recommended offer)" });
-    }
-
-    // ✅ supports string _id and ObjectId _id offers
-    const offer = await findOfferByAnyId(offerId);
-    if (!offer) return res.status(404).json({ error: "Offer not found" });
-
-    // ✅ must belong to this request
-    if (String(offer.requestId) !== String(requestDoc._id)) {
-      return res
-        .status(403)
-        .json({ error: "Offer does not belong to request" });
-    }
-
-    const now = new Date();
-
-    const po = {
-      requestId: String(requestDoc._id),
-      offerId: String(offer._id),
-      orderedBy: normalizeUsername(user.username),
-      orderedAt: now,
-
-      totalPrice: offer.price ?? null,
-      currency: offer.currency || "EUR",
-      providerUsername: offer.providerUsername || "",
-      providerName: offer.providerName || "",
-
-      rolesProvided: offer.rolesProvided || [],
-      deliveryDays: offer.deliveryDays ?? null,
-
-      snapshot: {
-        requestTitle: requestDoc.title || "",
-        requestType: requestDoc.type || "",
-        projectId: requestDoc.projectId || "",
-        projectName: requestDoc.projectName || "",
-        supplier: requestDoc.contractSupplier || "",
-        offer: {
-          price: offer.price ?? null,
-          currency: offer.currency || "EUR",
-          deliveryDays: offer.deliveryDays ?? null,
-          notes: offer.notes || "",
-        },
-      },
-
-      createdAt: now,
-      updatedAt: now,
-    };
-
-    const insert = await db.collection("purchase_orders").insertOne(po);
-
-    // ✅ FIXED: update using the real offer._id (string OR ObjectId)
-    await db
-      .collection("offers")
-      .updateOne(
-        { _id: offer._id },
-        { $set: { status: "ORDERED", updatedAt: now } },
-      );
-
-    await db.collection("requests").updateOne(
-      { _id: id, status: STATUS.SENT_TO_RP },
-      {
-        $set: {
-          status: STATUS.ORDERED,
-          orderId: String(insert.insertedId),
-          orderedAt: now,
-          orderedBy: normalizeUsername(user.username),
-          orderedOfferId: String(offer._id),
-          updatedAt: now,
-        },
-      },
-    );
-
-    await createNotification({
-      uniqKey: `${String(id)}:ORDERED_PM`,
-      toUsername: requestDoc.createdBy,
-      type: "REQUEST_STATUS",
-      title: "Request ordered",
-      message: `Your request "${requestDoc.title || "Untitled"}" is now ORDERED.`,
-      requestId: String(id),
-    });
-
-    await createNotification({
-      uniqKey: `${String(id)}:ORDERED_ORDERING_ROLE`,
-      toRole: ROLE_ORDERING,
-      type: "REQUEST_STATUS",
-      title: "Order placed",
-      message: `Order placed for request "${requestDoc.title || "Untitled"}".`,
-      requestId: String(id),
-    });
-
-    const updated = await db.collection("requests").findOne({ _id: id });
     return res.json({
       success: true,
-      orderId: String(insert.insertedId),
-      request: updated,
+      transition: name,
+      request: out.request,
+      ...out.result,
     });
   } catch (e) {
-    console.error("order error:", e);
+    console.error("transition error:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
+/* =========================================================
+   Legacy transition endpoints (aliases, original response shapes)
+   POST /api/requests/:id/submit-for-review
+   POST /api/requests/:id/rp-approve
+   POST /api/requests/:id/rp-reject            Body: { reason?, onBehalfOf? }
+   POST /api/requests/:id/submit-for-bidding
+   POST /api/requests/:id/reactivate
+   POST /api/requests/:id/rp-recommend-offer   Body: { offerId, onBehalfOf? }
+   POST /api/requests/:id/send-to-rp
+   POST /api/requests/:id/order                Body: { offerId?, onBehalfOf? }
+========================================================= */
+function legacyTransition(name, respond = (request) => request) {
+  return async (req, res) => {
+    try {
+      const loaded = await loadForTransition(req);
+      if (loaded.error)
+        return res.status(loaded.status).json({ error: loaded.error });
+
+      const out = await runTransition(name, {
+        ...loaded,
+        body: req.body || {},
+      });
+      if (out.error) {
+        const { status, ...body } = out;
+        return res.status(status).json(body);
+      }
+
+      return res.json(respond(out.request, out.result));
+    } catch (e) {
+      console.error(`${name} error:`, e);
+      return res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+router.post("/:id/submit-for-review", legacyTransition("submit-for-review"));
+router.post("/:id/rp-approve", legacyTransition("rp-approve"));
+router.post("/:id/rp-reject", legacyTransition("rp-reject"));
+router.post("/:id/submit-for-bidding", legacyTransition("submit-for-bidding"));
+router.post("/:id/reactivate", legacyTransition("reactivate"));
+router.post(
+  "/:id/rp-recommend-offer",
+  legacyTransition("rp-recommend-offer", (request) => ({
+    success: true,
+    data: request,
+  })),
+);
+router.post(
+  "/:id/send-to-rp",
+  legacyTransition("send-to-rp", (request) => ({ success: true, request })),
+);
+router.post(
+  "/:id/order",
+  legacyTransition("order", (request, result) => ({
+    success: true,
+    ...result,
+    request,
+  })),
+);
 
 export default router;
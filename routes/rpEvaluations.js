@@ -1,5 +1,7 @@
 import express from "express";
 import { db } from "../db.js";
+import { getUser } from "../middleware/authMiddleware.js";
+import { roleCan } from "../utils/permissions.js";
 
 const router = express.Router();
 
@@ -20,38 +22,14 @@ router.use((req, res, next) => {
 /* =========================
    Helpers
 ========================= */
-function normalizeRole(raw) {
-  const s = String(raw || "").trim();
-  if (!s) return "";
-  const upper = s.toUpperCase().replace(/\s+/g, "_");
-  const noUnderscore = upper.replace(/_/g, "");
-
-  const map = {
-    RESOURCEPLANNER: "RESOURCE_PLANNER",
-    RESOURCE_PLANNER: "RESOURCE_PLANNER",
-    SYSTEMADMIN: "SYSTEM_ADMIN",
-    SYSTEM_ADMIN: "SYSTEM_ADMIN",
-    ADMIN: "SYSTEM_ADMIN",
-  };
-
-  return map[noUnderscore] || map[upper] || upper;
-}
-
 function normalizeUsername(raw) {
   return String(raw || "")
     .trim()
     .toLowerCase();
 }
 
-function getUser(req) {
-  const role = normalizeRole(req.headers["x-user-role"]);
-  if (!role) return { error: "Missing x-user-role" };
-  const username = normalizeUsername(req.headers["x-username"]);
-  return { role, username };
-}
-
-function canUse(role) {
-  return role === "RESOURCE_PLANNER" || role === "SYSTEM_ADMIN";
+async function canUse(role) {
+  return await roleCan(role, "rpEvaluations.manage");
 }
 
 const COLL = "rp_evaluations";
@@ -62,7 +40,8 @@ const COLL = "rp_evaluations";
 async function handleGet(req, res) {
   const user = getUser(req);
   if (user.error) return res.status(401).json({ error: user.error });
-  if (!canUse(user.role)) return res.status(403).json({ error: "Not allowed" });
+  if (!(await canUse(user.role)))
+    return res.status(403).json({ error: "Not allowed" });
 
   const requestId = String(req.params.requestId || "").trim();
   if (!requestId) return res.status(400).json({ error: "requestId missing" });
@@ -74,7 +53,8 @@ async function handleGet(req, res) {
 async function handlePost(req, res) {
   const user = getUser(req);
   if (user.error) return res.status(401).json({ error: user.error });
-  if (!canUse(user.role)) return res.status(403).json({ error: "Not allowed" });
+  if (!(await canUse(user.role)))
+    return res.status(403).json({ error: "Not allowed" });
 
   if (!user.username)
     return res.status(401).json({ error: "Missing x-username" });
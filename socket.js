@@ -1,8 +1,25 @@
 // socket.js
 import { Server } from "socket.io";
+import {
+  identifyToken,
+  identifyUnverified,
+} from "./middleware/authMiddleware.js";
+import { tenantRoom } from "./utils/tenants.js";
 
 let io = null;
 
+/**
+ * Who joins: the verified token wins; legacy clients send { username, role },
+ * accepted under the same rules as header identities (not in strict mode,
+ * single tenant only).
+ */
+async function joinIdentity({ token, username, role }) {
+  const identity = token
+    ? await identifyToken(token)
+    : await identifyUnverified({ username, role });
+  return identity;
+}
+
 export function initSocket(server) {
   io = new Server(server, {
     cors: {
@@ -12,10 +29,23 @@ export function initSocket(server) {
   });
 
   io.on("connection", (socket) => {
-    // client will send { username, role }
-    socket.on("join", ({ username, role }) => {
-      if (username) socket.join(`user:${String(username).toLowerCase()}`);
-      if (role) socket.join(`role:${String(role).toUpperCase()}`);
+    // client will send { token } (or legacy { username, role })
+    socket.on("join", async (payload = {}) => {
+      try {
+        const identity = await joinIdentity(payload || {});
+        if (identity.error) {
+          return socket.emit(
+            "join_error",
+            payload?.token ? "Invalid token" : identity.error,
+          );
+        }
+
+        const { tenantId, username, role } = identity;
+        if (username) socket.join(tenantRoom(tenantId, "user", username));
+        if (role) socket.join(tenantRoom(tenantId, "role", role));
+      } catch (err) {
+        console.error("Socket join failed:", err.message);
+      }
     });
   });
 
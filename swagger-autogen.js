@@ -20,20 +20,29 @@ const doc = {
         type: "http",
         scheme: "bearer",
         bearerFormat: "JWT",
-        description: "Use: Bearer <token> (optional in your current backend)",
+        description:
+          "Use: Bearer <token>. Role and username are taken from the token (required when AUTH_IDENTITY_MODE=strict)",
       },
       userRole: {
         type: "apiKey",
         in: "header",
         name: "x-user-role",
         description:
-          "Required: PROJECT_MANAGER / RESOURCE_PLANNER / PROCUREMENT_OFFICER / SYSTEM_ADMIN",
+          "Deprecated: only used without a token while AUTH_IDENTITY_MODE=transition",
+      },
+      providerApiKey: {
+        type: "apiKey",
+        in: "header",
+        name: "x-api-key",
+        description:
+          "Provider API key for POST /offers/public-push (issued by SYSTEM_ADMIN)",
       },
       username: {
         type: "apiKey",
         in: "header",
         name: "x-username",
-        description: "Required for PM actions and ownership checks",
+        description:
+          "Deprecated: only used without a token while AUTH_IDENTITY_MODE=transition",
       },
     },
   },
@@ -0,0 +1,103 @@
+// test/approvalPolicies.test.js
+import { beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { seed } from "./support/fakeDb.js";
+import {
+  buildApprovalSteps,
+  openApprovalSteps,
+} from "../utils/approvalPolicies.js";
+
+function policy(rules) {
+  seed("settings", [{ key: "approvalPolicy", rules }]);
+}
+
+const LEGAL = { key: "legal", label: "Legal", roles: ["RP"], stage: 2 };
+
+beforeEach(() => policy([]));
+
+test("without rules the chain is the procurement review only", async () => {
+  const steps = await buildApprovalSteps({ estimatedValue: 1e6 });
+  assert.deepEqual(
+    steps.map((s) => [s.key, s.stage, s.status]),
+    [["review", 1, "PENDING"]],
+  );
+});
+
+test("rules match by minValue and type", async () => {
+  policy([
+    { name: "big", minValue: 100000, types: [], steps: [LEGAL] },
+    {
+      name: "fixed price",
+      minValue: null,
+      types: ["Fixed Price"],
+      steps: [{ key: "cfo", roles: [], users: ["cfo"], stage: 3 }],
+    },
+  ]);
+
+  const keys = async (doc) => (await buildApprovalSteps(doc)).map((s) => s.key);
+  assert.deepEqual(await keys({ estimatedValue: 99999 }), ["review"]);
+  // only values above minValue
+  assert.deepEqual(await keys({ estimatedValue: 100000 }), ["review"]);
+  assert.deepEqual(await keys({ estimatedValue: 100001 }), ["review", "legal"]);
+  assert.deepEqual(await keys({ estimatedValue: "250000" }), [
+    "review",
+    "legal",
+  ]);
+  assert.deepEqual(await keys({ type: "Fixed Price" }), ["review", "cfo"]);
+  assert.deepEqual(
+    await keys({ estimatedValue: 250000, type: "Fixed Price" }),
+    ["review", "legal", "cfo"],
+  );
+});
+
+test("steps with the same key from several rules are merged", async () => {
+  policy([
+    { name: "big", minValue: 100000, types: [], steps: [LEGAL] },
+    {
+      name: "huge",
+      minValue: 1000000,
+      types: [],
+      steps: [
+        {
+          key: "legal",
+          label: "Legal (board)",
+          roles: ["RP", "SYSTEM_ADMIN"],
+          users: ["counsel"],
+          stage: 3,
+        },
+      ],
+    },
+  ]);
+
+  const steps = await buildApprovalSteps({ estimatedValue: 2000000 });
+  assert.equal(steps.length, 2);
+  const legal = steps.find((s) => s.key === "legal");
+  assert.equal(legal.label, "Legal");
+  assert.deepEqual(legal.roles, ["RP", "SYSTEM_ADMIN"]);
+  assert.deepEqual(legal.users, ["counsel"]);
+  assert.equal(legal.stage, 3);
+  assert.equal(legal.rule, "big, huge");
+});
+
+test("only the lowest pending stage is open", async () => {
+  policy([
+    {
+      name: "big",
+      minValue: 0,
+      types: [],
+      steps: [LEGAL, { key: "cfo", roles: ["RP"], stage: 2 }],
+    },
+  ]);
+
+  const steps = await buildApprovalSteps({ estimatedValue: 1 });
+  assert.deepEqual(
+    openApprovalSteps(steps).map((s) => s.key),
+    ["review"],
+  );
+
+  steps[0].status = "APPROVED";
+  assert.deepEqual(
+    openApprovalSteps(steps).map((s) => s.key),
+    ["legal", "cfo"],
+  );
+});
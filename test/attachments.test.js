@@ -0,0 +1,70 @@
+// test/attachments.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkUpload, sha256 } from "../utils/attachments.js";
+
+function upload(originalname, mimetype, content) {
+  const buffer = Buffer.from(content, "latin1");
+  return { originalname, mimetype, size: buffer.length, buffer };
+}
+
+const PDF = "%PDF-1.7\nbody";
+
+test("accepts a matching file and returns its checksum", () => {
+  const file = upload("offer.pdf", "application/pdf", PDF);
+  assert.deepEqual(checkUpload(file), {
+    filename: "offer.pdf",
+    contentType: "application/pdf",
+    sha256: sha256(file.buffer),
+  });
+});
+
+test("client checksum must match (422)", () => {
+  const file = upload("offer.pdf", "application/pdf", PDF);
+  const digest = sha256(file.buffer);
+
+  assert.equal(
+    checkUpload(file, { checksum: ` ${digest.toUpperCase()} ` }).sha256,
+    digest,
+  );
+  const out = checkUpload(file, { checksum: "0".repeat(64) });
+  assert.equal(out.status, 422);
+  assert.equal(out.actual, digest);
+});
+
+test("content type, extension and leading bytes must agree (415)", () => {
+  const notAllowed = checkUpload(
+    upload("x.exe", "application/x-dosexec", "MZ"),
+  );
+  assert.equal(notAllowed.status, 415);
+  assert.ok(notAllowed.allowed.includes("application/pdf"));
+
+  assert.equal(
+    checkUpload(upload("offer.png", "application/pdf", PDF)).status,
+    415,
+  );
+  assert.equal(
+    checkUpload(upload("offer.pdf", "application/pdf", "MZ\x90\x00")).status,
+    415,
+  );
+  // text types have no magic bytes to check
+  assert.equal(
+    checkUpload(upload("rates.csv", "text/csv; charset=utf-8", "a,b\n1,2"))
+      .contentType,
+    "text/csv",
+  );
+});
+
+test("missing and empty files are rejected (400)", () => {
+  assert.equal(checkUpload(undefined).status, 400);
+  assert.equal(checkUpload(upload("a.txt", "text/plain", "")).status, 400);
+});
+
+test("filenames lose paths, control and reserved characters", () => {
+  const name = (originalname) =>
+    checkUpload(upload(originalname, "text/plain", "hi")).filename;
+
+  assert.equal(name("C:\\Users\\pm\\notes.txt"), "notes.txt");
+  assert.equal(name("../../etc/notes.txt"), "notes.txt");
+  assert.equal(name('a\u0000b\u001f"c?.txt'), "a_b__c_.txt");
+});
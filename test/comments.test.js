@@ -0,0 +1,74 @@
+// test/comments.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { docs, resetDb, seed } from "./support/fakeDb.js";
+import { addComment, commentAccess, parseMentions } from "../utils/comments.js";
+
+test("finds mentions anywhere in the body, lowercased and unique", () => {
+  assert.deepEqual(
+    parseMentions("@Alice please check with @bob.smith and @alice again"),
+    ["alice", "bob.smith"],
+  );
+  assert.deepEqual(parseMentions("line one\n@carol_k: done?"), ["carol_k"]);
+});
+
+test("trailing punctuation is not part of the username", () => {
+  assert.deepEqual(parseMentions("Thanks @bob. Ask @dave-, or @eve..."), [
+    "bob",
+    "dave",
+    "eve",
+  ]);
+});
+
+test("email addresses and bare @ are not mentions", () => {
+  assert.deepEqual(parseMentions("mail pm@example.com or @ or @@"), []);
+  assert.deepEqual(parseMentions("(@frank)"), ["frank"]);
+});
+
+test("empty bodies have no mentions", () => {
+  assert.deepEqual(parseMentions(""), []);
+  assert.deepEqual(parseMentions(undefined), []);
+});
+
+test("mentioned users are only notified when they can read the thread", async () => {
+  const requestId = new ObjectId();
+  seed("requests", [{ _id: requestId, title: "Java team", createdBy: "pm-a" }]);
+  seed("offers", [
+    { _id: "o1", requestId: String(requestId), providerUsername: "acme" },
+  ]);
+  seed("users", [
+    { username: "pm-a", role: "PROJECT_MANAGER" },
+    // another PM's request: no access to its offers
+    { username: "pm-b", role: "PROJECT_MANAGER" },
+    { username: "acme", role: "SERVICE_PROVIDER" },
+    { username: "rp", role: "RESOURCE_PLANNER" },
+  ]);
+  const rp = { username: "rp", role: "RESOURCE_PLANNER" };
+  const notified = () =>
+    docs("notifications")
+      .filter((n) => n.type === "COMMENT_MENTION")
+      .map((n) => n.toUsername)
+      .sort();
+
+  const access = await commentAccess(rp, { offerId: "o1" });
+  assert.equal(access.error, undefined);
+
+  await addComment(rp, access, { body: "@pm-a @pm-b @acme @rp rates?" });
+  assert.deepEqual(notified(), ["pm-a"]);
+
+  resetDb();
+  seed("requests", [{ _id: requestId, title: "Java team", createdBy: "pm-a" }]);
+  seed("offers", [
+    { _id: "o1", requestId: String(requestId), providerUsername: "acme" },
+  ]);
+  seed("users", [
+    { username: "pm-b", role: "PROJECT_MANAGER" },
+    { username: "acme", role: "SERVICE_PROVIDER" },
+  ]);
+  await addComment(rp, access, {
+    body: "@acme @pm-b please confirm",
+    visibility: "provider",
+  });
+  assert.deepEqual(notified(), ["acme"]);
+});
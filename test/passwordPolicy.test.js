@@ -0,0 +1,70 @@
+// test/passwordPolicy.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import {
+  isPasswordReused,
+  passwordUpdate,
+  validatePassword,
+} from "../utils/passwordPolicy.js";
+
+// default policy: 10+ chars, upper, lower, digit, no symbol required
+function codes(password, context) {
+  return validatePassword(password, context)
+    .map((v) => v.code)
+    .sort();
+}
+
+test("a strong password passes", () => {
+  assert.deepEqual(codes("Kettle-Drum42"), []);
+  assert.deepEqual(codes("Tangerine7Lamp"), []);
+});
+
+test("length and character classes", () => {
+  assert.deepEqual(codes("Ab1"), ["TOO_SHORT"]);
+  assert.deepEqual(codes("alllowercase1"), ["MISSING_UPPERCASE"]);
+  assert.deepEqual(codes("ALLUPPERCASE1"), ["MISSING_LOWERCASE"]);
+  assert.deepEqual(codes("NoDigitsHere"), ["MISSING_DIGIT"]);
+  assert.deepEqual(codes(`Aa1${"x".repeat(200)}`), ["TOO_LONG"]);
+  assert.deepEqual(codes(undefined), [
+    "MISSING_DIGIT",
+    "MISSING_LOWERCASE",
+    "MISSING_UPPERCASE",
+    "TOO_SHORT",
+  ]);
+});
+
+test("common passwords are rejected case-insensitively", () => {
+  assert.ok(codes("Password123").includes("COMMON_PASSWORD"));
+  assert.ok(codes("1234567890").includes("COMMON_PASSWORD"));
+});
+
+test("username, email and name parts are rejected", () => {
+  const context = {
+    username: "jdoe",
+    email: "john.doe@example.com",
+    name: "John Doe",
+  };
+  assert.deepEqual(codes("MyJdoeSecret9", context), ["CONTAINS_PERSONAL_INFO"]);
+  assert.deepEqual(codes("X1john.doeXY", context), ["CONTAINS_PERSONAL_INFO"]);
+  assert.deepEqual(codes("Quiet-River88", context), []);
+  // parts shorter than 3 characters are not checked
+  assert.deepEqual(codes("Quiet-Al-River88", { name: "Al" }), []);
+});
+
+test("current and previous passwords count as reused", async () => {
+  const user = {
+    password: await bcrypt.hash("Current-Pass1", 4),
+    passwordHistory: [await bcrypt.hash("Older-Pass1", 4)],
+  };
+  assert.equal(await isPasswordReused(user, "Current-Pass1"), true);
+  assert.equal(await isPasswordReused(user, "Older-Pass1"), true);
+  assert.equal(await isPasswordReused(user, "Brand-New-Pass1"), false);
+});
+
+test("passwordUpdate moves the old hash into the history", () => {
+  const update = passwordUpdate({ password: "old-hash" }, "new-hash");
+  assert.equal(update.$set.password, "new-hash");
+  assert.deepEqual(update.$push.passwordHistory.$each, ["old-hash"]);
+  assert.equal(passwordUpdate({}, "new-hash").$push, undefined);
+});
@@ -0,0 +1,139 @@
+// test/requestSchema.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateRequestPayload } from "../utils/requestSchema.js";
+
+function codes(out) {
+  return (out.violations || []).map((v) => `${v.field}:${v.code}`);
+}
+
+test("create: whitelists and normalizes schema fields", () => {
+  const out = validateRequestPayload({
+    title: "  Java team  ",
+    maxOffers: "3",
+    roles: [{ roleName: "Developer", manDays: "20" }],
+  });
+  assert.deepEqual(out.data, {
+    title: "Java team",
+    maxOffers: 3,
+    roles: [{ roleName: "Developer", manDays: 20 }],
+  });
+});
+
+test("create: title is required", () => {
+  assert.deepEqual(codes(validateRequestPayload({ type: "T&M" })), [
+    "title:REQUIRED",
+  ]);
+});
+
+test("create: unknown, nested and managed fields are rejected", () => {
+  const out = validateRequestPayload({
+    title: "A",
+    foo: 1,
+    status: "ORDERED",
+    roles: [{ roleName: "Dev", salary: 1 }],
+  });
+  assert.deepEqual(codes(out).sort(), [
+    "foo:UNKNOWN_FIELD",
+    "roles[0].salary:UNKNOWN_FIELD",
+    "status:READ_ONLY",
+  ]);
+});
+
+test("create: type and range checks", () => {
+  const out = validateRequestPayload({
+    title: "A",
+    maxOffers: 1.5,
+    biddingCycleDays: 0,
+    startDate: "not a date",
+  });
+  assert.deepEqual(codes(out).sort(), [
+    "biddingCycleDays:TOO_SMALL",
+    "maxOffers:INVALID_TYPE",
+    "startDate:INVALID_TYPE",
+  ]);
+});
+
+test("endDate must not be before startDate, also against the stored doc", () => {
+  assert.deepEqual(
+    codes(
+      validateRequestPayload({
+        title: "A",
+        startDate: "2026-03-01",
+        endDate: "2026-02-01",
+      }),
+    ),
+    ["endDate:BEFORE_START"],
+  );
+
+  const existing = { title: "A", startDate: "2026-03-01" };
+  assert.deepEqual(
+    codes(validateRequestPayload({ endDate: "2026-02-01" }, { existing })),
+    ["endDate:BEFORE_START"],
+  );
+});
+
+test("update: partial payloads do not need the title", () => {
+  const existing = { title: "A", status: "DRAFT" };
+  const out = validateRequestPayload({ maxOffers: 2 }, { existing });
+  assert.deepEqual(out.data, { maxOffers: 2 });
+});
+
+test("update: PUT of the loaded document is accepted", () => {
+  const existing = {
+    _id: "r1",
+    title: "A",
+    status: "DRAFT",
+    createdBy: "pm",
+    createdAt: "2026-01-01T00:00:00.000Z",
+    statusHistory: [{ to: "DRAFT" }],
+  };
+  // offersCount is added on read and never stored
+  const loaded = { ...existing, offersCount: 0, title: "B" };
+
+  const out = validateRequestPayload(loaded, { existing });
+  assert.equal(out.violations, undefined);
+  assert.deepEqual(out.data, { title: "B" });
+});
+
+test("update: changed managed fields are READ_ONLY", () => {
+  const existing = { title: "A", status: "DRAFT", createdBy: "pm" };
+  const out = validateRequestPayload(
+    { status: "ORDERED", createdBy: "pm", submittedAt: "2026-01-01" },
+    { existing },
+  );
+  assert.deepEqual(codes(out).sort(), [
+    "status:READ_ONLY",
+    "submittedAt:READ_ONLY",
+  ]);
+});
+
+test("non-object bodies are rejected", () => {
+  assert.deepEqual(codes(validateRequestPayload([])), [":INVALID_TYPE"]);
+});
+
+test("update: unchanged fields stored before the schema are ignored", () => {
+  const existing = {
+    title: "A",
+    costCenter: "4711",
+    roles: [{ roleName: "Dev", manDays: 5, grade: "senior" }],
+  };
+  const out = validateRequestPayload({ ...existing, title: "B" }, { existing });
+  assert.equal(out.violations, undefined);
+  assert.deepEqual(out.data, { title: "B" });
+
+  // changing them is still rejected
+  assert.deepEqual(
+    codes(validateRequestPayload({ costCenter: "0815" }, { existing })),
+    ["costCenter:UNKNOWN_FIELD"],
+  );
+  assert.deepEqual(
+    codes(
+      validateRequestPayload(
+        { roles: [{ roleName: "Dev", manDays: 6, grade: "senior" }] },
+        { existing },
+      ),
+    ),
+    ["roles[0].grade:UNKNOWN_FIELD"],
+  );
+});
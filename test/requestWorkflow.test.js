@@ -0,0 +1,62 @@
+// test/requestWorkflow.test.js
+import { beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { resetDb, seed } from "./support/fakeDb.js";
+import { TRANSITIONS, runTransition } from "../utils/requestWorkflow.js";
+
+beforeEach(() => resetDb());
+
+test("cancel notifies every provider with an offer, API key or not", async () => {
+  seed("offers", [
+    { requestId: "r1", providerUsername: "Acme", submittedWithApiKey: "k1" },
+    // pushed before provider API keys existed
+    { requestId: "r1", providerUsername: "legacy-co" },
+    { requestId: "r1", providerUsername: "acme" },
+    { requestId: "r2", providerUsername: "other" },
+  ]);
+
+  const ctx = {
+    doc: { _id: "r1", createdBy: "pm", statusHistory: [] },
+    requestId: "r1",
+    actor: { username: "pm" },
+    body: { reason: "Budget cut" },
+  };
+  assert.equal(await TRANSITIONS.cancel.guard(ctx), null);
+  assert.deepEqual(ctx.providers.sort(), ["acme", "legacy-co"]);
+});
+
+test("cancel needs a reason", async () => {
+  const ctx = { doc: {}, requestId: "r1", actor: {}, body: {} };
+  assert.deepEqual(await TRANSITIONS.cancel.guard(ctx), {
+    status: 400,
+    error: "reason is required",
+  });
+});
+
+test("reviewers may approve requests they created themselves", async () => {
+  seed("requests", [
+    { _id: "r1", title: "A", status: "IN_REVIEW", createdBy: "po" },
+  ]);
+  const doc = { _id: "r1", title: "A", status: "IN_REVIEW", createdBy: "po" };
+
+  const out = await runTransition("rp-approve", {
+    user: { username: "po", role: "PROCUREMENT_OFFICER" },
+    doc,
+  });
+  assert.equal(out.error, undefined);
+  assert.equal(out.request.status, "APPROVED_FOR_SUBMISSION");
+});
+
+test("role errors name the roles of the action", async () => {
+  const doc = { _id: "r1", title: "A", status: "IN_REVIEW", createdBy: "pm" };
+  const pm = { username: "pm", role: "PROJECT_MANAGER" };
+
+  assert.deepEqual(await runTransition("rp-approve", { user: pm, doc }), {
+    status: 403,
+    error: "Only PROCUREMENT_OFFICER can approve",
+  });
+  assert.deepEqual(await runTransition("rp-reject", { user: pm, doc }), {
+    status: 403,
+    error: "Only PROCUREMENT_OFFICER can reject",
+  });
+});
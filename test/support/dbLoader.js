@@ -0,0 +1,9 @@
+// test/support/dbLoader.js
+const REAL_DB = new URL("../../db.js", import.meta.url).href;
+const FAKE_DB = new URL("./fakeDb.js", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  if (resolved.url === REAL_DB) return { ...resolved, url: FAKE_DB };
+  return resolved;
+}
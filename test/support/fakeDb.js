@@ -0,0 +1,147 @@
+// test/support/fakeDb.js
+
+/**
+ * Minimal in-memory stand-in for the db handle of db.js: equality,
+ * $in / $nin / $ne / $exists / $gt(e) / $lt(e), $or / $and filters and
+ * $set / $setOnInsert updates, enough for the utils under test.
+ */
+const collections = new Map();
+
+function same(a, b) {
+  // null matches missing fields, like in MongoDB
+  if (b === null) return a === null || a === undefined;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isOperatorObject(value) {
+  return (
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every((k) => k.startsWith("$"))
+  );
+}
+
+function matchesValue(actual, cond) {
+  if (!isOperatorObject(cond)) {
+    if (Array.isArray(actual) && !Array.isArray(cond))
+      return actual.some((a) => same(a, cond));
+    return same(actual, cond);
+  }
+  return Object.entries(cond).every(([op, arg]) => {
+    switch (op) {
+      case "$in":
+        return arg.some((v) => matchesValue(actual, v));
+      case "$nin":
+        return !arg.some((v) => matchesValue(actual, v));
+      case "$ne":
+        return !matchesValue(actual, arg);
+      case "$exists":
+        return (actual !== undefined) === !!arg;
+      case "$gt":
+        return actual > arg;
+      case "$gte":
+        return actual >= arg;
+      case "$lt":
+        return actual < arg;
+      case "$lte":
+        return actual <= arg;
+      default:
+        throw new Error(`fakeDb: unsupported operator ${op}`);
+    }
+  });
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter || {}).every(([key, cond]) => {
+    if (key === "$or") return cond.some((f) => matches(doc, f));
+    if (key === "$and") return cond.every((f) => matches(doc, f));
+    return matchesValue(doc[key], cond);
+  });
+}
+
+function docsOf(name) {
+  if (!collections.has(name)) collections.set(name, []);
+  return collections.get(name);
+}
+
+function collection(name) {
+  return {
+    async findOne(filter) {
+      return docsOf(name).find((d) => matches(d, filter)) || null;
+    },
+    find(filter) {
+      const list = docsOf(name).filter((d) => matches(d, filter));
+      return {
+        sort() {
+          return this;
+        },
+        limit() {
+          return this;
+        },
+        async toArray() {
+          return list;
+        },
+      };
+    },
+    aggregate() {
+      return {
+        async toArray() {
+          return [];
+        },
+      };
+    },
+    async distinct(field, filter) {
+      const values = docsOf(name)
+        .filter((d) => matches(d, filter))
+        .map((d) => d[field]);
+      return [...new Set(values)];
+    },
+    async insertOne(doc) {
+      docsOf(name).push(doc);
+      return { insertedId: doc._id };
+    },
+    async updateOne(filter, update, { upsert = false } = {}) {
+      const doc = docsOf(name).find((d) => matches(d, filter));
+      if (doc) {
+        Object.assign(doc, update.$set || {});
+        return { matchedCount: 1, modifiedCount: 1 };
+      }
+      if (upsert)
+        docsOf(name).push({
+          ...filter,
+          ...(update.$setOnInsert || {}),
+          ...(update.$set || {}),
+        });
+      return { matchedCount: 0, modifiedCount: 0 };
+    },
+  };
+}
+
+export const db = { collection };
+
+export async function connectDB() {
+  return db;
+}
+
+/**
+ * Replaces the documents of a collection.
+ */
+export function seed(name, docs) {
+  collections.set(
+    name,
+    docs.map((d) => ({ ...d })),
+  );
+}
+
+/**
+ * Documents of a collection (for assertions).
+ */
+export function docs(name) {
+  return docsOf(name);
+}
+
+export function resetDb() {
+  collections.clear();
+}
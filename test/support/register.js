@@ -0,0 +1,8 @@
+// test/support/register.js
+import { register } from "node:module";
+
+/**
+ * Loaded with `node --import` by `npm test`: utils import ../db.js, which
+ * connects to MongoDB on import. Tests get the in-memory fakeDb.js instead.
+ */
+register("./dbLoader.js", import.meta.url);
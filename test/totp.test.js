@@ -0,0 +1,60 @@
+// test/totp.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildOtpauthUri,
+  currentTotpStep,
+  generateTotpSecret,
+  verifyTotp,
+} from "../utils/totp.js";
+
+// RFC 6238 appendix B: ASCII "12345678901234567890", SHA-1, last 6 digits
+const SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+];
+
+test("RFC 6238 test vectors verify at their own step", () => {
+  for (const [seconds, code] of VECTORS) {
+    const now = seconds * 1000;
+    assert.equal(
+      verifyTotp(SECRET, code, { window: 0, now }),
+      currentTotpStep(now),
+    );
+  }
+});
+
+test("codes one step off are accepted within the window only", () => {
+  const now = (1234567890 + 30) * 1000;
+  const step = currentTotpStep(now);
+  assert.equal(verifyTotp(SECRET, "005924", { now }), step - 1);
+  assert.equal(verifyTotp(SECRET, "005924", { window: 0, now }), null);
+  assert.equal(
+    verifyTotp(SECRET, "005924", { now: (1234567890 + 90) * 1000 }),
+    null,
+  );
+});
+
+test("wrong and malformed codes are rejected", () => {
+  const now = 1234567890 * 1000;
+  assert.equal(verifyTotp(SECRET, "005925", { now }), null);
+  assert.equal(verifyTotp(SECRET, "12345", { now }), null);
+  assert.equal(verifyTotp(SECRET, "abcdef", { now }), null);
+  assert.equal(verifyTotp(SECRET, "", { now }), null);
+  assert.equal(verifyTotp(SECRET, "005 924", { now }), currentTotpStep(now));
+});
+
+test("generated secrets are base32 and go into the otpauth URI", () => {
+  const secret = generateTotpSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+
+  const uri = new URL(
+    buildOtpauthUri({ secret, accountName: "pm@x", issuer: "Portal" }),
+  );
+  assert.equal(uri.protocol, "otpauth:");
+  assert.equal(uri.searchParams.get("secret"), secret);
+  assert.equal(uri.searchParams.get("period"), "30");
+});
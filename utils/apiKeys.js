@@ -0,0 +1,153 @@
+// utils/apiKeys.js
+import crypto from "crypto";
+import { db } from "../db.js";
+import { runUnscoped, tenantOf } from "./tenants.js";
+
+/**
+ * Per-provider API keys for machine-to-machine endpoints
+ * (POST /api/offers/public-push).
+ *
+ * Raw key format: smk_<prefix>_<secret>
+ * Only the prefix (lookup) and a sha256 hash of the whole key are stored,
+ * the raw key is shown once on create / rotate.
+ */
+const COLL = "api_keys";
+const KEY_PREFIX = "smk";
+
+// only providers push offers
+export const API_KEY_OWNER_ROLE = "SERVICE_PROVIDER";
+
+function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+function hashKey(raw) {
+  return crypto.createHash("sha256").update(String(raw)).digest("hex");
+}
+
+function parseKey(raw) {
+  const parts = String(raw || "")
+    .trim()
+    .split("_");
+  if (parts.length !== 3 || parts[0] !== KEY_PREFIX) return null;
+  if (!parts[1] || !parts[2]) return null;
+  return { prefix: parts[1] };
+}
+
+/**
+ * Admin-facing view (never contains the hash).
+ */
+export function apiKeyView(doc) {
+  return {
+    _id: String(doc._id),
+    prefix: doc.prefix,
+    name: doc.name || "",
+    ownerUsername: doc.ownerUsername,
+    createdAt: doc.createdAt,
+    createdBy: doc.createdBy || null,
+    lastUsedAt: doc.lastUsedAt || null,
+    revokedAt: doc.revokedAt || null,
+    revokedBy: doc.revokedBy || null,
+    rotatedFromId: doc.rotatedFromId || null,
+    active: !doc.revokedAt,
+  };
+}
+
+/**
+ * Returns { key, doc } - key is the raw value, show it only once.
+ */
+export async function createApiKey({
+  ownerUsername,
+  name = "",
+  by,
+  rotatedFromId = null,
+}) {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(32).toString("hex");
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+
+  const doc = {
+    prefix,
+    keyHash: hashKey(key),
+    ownerUsername: normalizeUsername(ownerUsername),
+    name: String(name || "").trim(),
+    createdAt: new Date(),
+    createdBy: by || null,
+    lastUsedAt: null,
+    revokedAt: null,
+    rotatedFromId,
+  };
+
+  const result = await db.collection(COLL).insertOne(doc);
+  return { key, doc: { ...doc, _id: result.insertedId } };
+}
+
+export async function revokeApiKey(doc, { by, reason = "REVOKED" } = {}) {
+  await db.collection(COLL).updateOne(
+    { _id: doc._id, revokedAt: null },
+    {
+      $set: {
+        revokedAt: new Date(),
+        revokedBy: by || null,
+        revokedReason: reason,
+      },
+    },
+  );
+}
+
+/**
+ * Revokes the old key and issues a new one for the same owner.
+ */
+export async function rotateApiKey(doc, { by } = {}) {
+  await revokeApiKey(doc, { by, reason: "ROTATED" });
+  return await createApiKey({
+    ownerUsername: doc.ownerUsername,
+    name: doc.name,
+    by,
+    rotatedFromId: String(doc._id),
+  });
+}
+
+/**
+ * The key's owner while it may still push: an enabled provider of the key's
+ * tenant. Returns the user or null.
+ */
+async function activeKeyOwner(doc) {
+  const owner = await runUnscoped(() =>
+    db.collection("users").findOne({ username: doc.ownerUsername }),
+  );
+  if (!owner || owner.disabled) return null;
+  if (owner.role !== API_KEY_OWNER_ROLE) return null;
+  if (tenantOf(owner) !== tenantOf(doc)) return null;
+  return owner;
+}
+
+/**
+ * Checks a raw key. Returns the active key doc (and stamps lastUsedAt) or null.
+ * Keys are looked up across tenants; doc.tenantId tells the caller's tenant.
+ * Keys of disabled or deleted owners are rejected.
+ */
+export async function verifyApiKey(raw) {
+  const parsed = parseKey(raw);
+  if (!parsed) return null;
+
+  const doc = await runUnscoped(() =>
+    db.collection(COLL).findOne({ prefix: parsed.prefix, revokedAt: null }),
+  );
+  if (!doc) return null;
+
+  const a = Buffer.from(hashKey(String(raw).trim()), "hex");
+  const b = Buffer.from(String(doc.keyHash), "hex");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  if (!(await activeKeyOwner(doc))) return null;
+
+  await runUnscoped(() =>
+    db
+      .collection(COLL)
+      .updateOne({ _id: doc._id }, { $set: { lastUsedAt: new Date() } }),
+  );
+
+  return doc;
+}
@@ -0,0 +1,253 @@
+// utils/approvalPolicies.js
+import { db } from "../db.js";
+import { resolveActor } from "./delegations.js";
+import { ROLES, permissionFor } from "./permissions.js";
+
+/**
+ * Multi-level approval of IN_REVIEW requests.
+ * Every request needs the procurement review step (requests.review); policy
+ * rules add further steps for large or special requests:
+ *
+ * settings { key: "approvalPolicy", rules: [{
+ *   name,
+ *   minValue?  estimatedValue > minValue (above the threshold)
+ *   types?     request type is one of them
+ *   steps: [{ key, label, roles?, users?, stage? }]
+ * }] }
+ *
+ * Steps with the same stage run in parallel, stages run one after another
+ * (review is stage 1, rule steps default to stage 2). submit-for-review
+ * stores the chain on the request (requests.approvalSteps); rp-approve
+ * approves one step and only the last one moves the request on.
+ */
+const SETTINGS_COLL = "settings";
+const POLICY_KEY = "approvalPolicy";
+
+const REVIEW_STEP = {
+  key: "review",
+  label: "Procurement review",
+  action: "requests.review",
+  stage: 1,
+};
+
+function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+export async function getApprovalPolicy() {
+  const doc = await db.collection(SETTINGS_COLL).findOne({ key: POLICY_KEY });
+  return {
+    rules: Array.isArray(doc?.rules) ? doc.rules : [],
+    updatedAt: doc?.updatedAt || null,
+    updatedBy: doc?.updatedBy || null,
+  };
+}
+
+function cleanStep(raw, i, violations) {
+  const path = `steps[${i}]`;
+  const key = String(raw?.key || "")
+    .trim()
+    .toLowerCase();
+  const roles = Array.isArray(raw?.roles)
+    ? [...new Set(raw.roles.map((r) => String(r || "").trim()))]
+    : [];
+  const users = Array.isArray(raw?.users)
+    ? [...new Set(raw.users.map(normalizeUsername).filter(Boolean))]
+    : [];
+  const stage = raw?.stage === undefined ? 2 : Number(raw.stage);
+
+  if (!/^[a-z0-9_-]+$/.test(key) || key === REVIEW_STEP.key)
+    violations.push(`${path}.key must be a-z0-9_- and not "review"`);
+  if (!roles.length && !users.length)
+    violations.push(`${path} needs roles or users`);
+  const invalid = roles.filter((r) => !ROLES.includes(r));
+  if (invalid.length)
+    violations.push(`${path}.roles: invalid ${invalid.join(", ")}`);
+  if (!Number.isInteger(stage) || stage < 1 || stage > 10)
+    violations.push(`${path}.stage must be 1..10`);
+
+  return {
+    key,
+    label: String(raw?.label || key).trim(),
+    roles,
+    users,
+    stage,
+  };
+}
+
+/**
+ * Validates and stores the rules. Returns the policy or { error, violations }.
+ */
+export async function setApprovalPolicy({ rules }, by) {
+  if (!Array.isArray(rules)) return { error: "rules must be an array" };
+
+  const violations = [];
+  const clean = rules.map((raw, r) => {
+    const before = violations.length;
+    const name = String(raw?.name || "").trim();
+    const minValue =
+      raw?.minValue === undefined || raw?.minValue === null
+        ? null
+        : Number(raw.minValue);
+    const types = Array.isArray(raw?.types)
+      ? [...new Set(raw.types.map((t) => String(t || "").trim()))].filter(
+          Boolean,
+        )
+      : [];
+    const rawSteps = Array.isArray(raw?.steps) ? raw.steps : [];
+
+    if (!name) violations.push("name is required");
+    if (minValue !== null && (!Number.isFinite(minValue) || minValue < 0))
+      violations.push("minValue must be a number >= 0");
+    if (minValue === null && !types.length)
+      violations.push("minValue or types is required");
+    if (!rawSteps.length) violations.push("at least one step is required");
+
+    const steps = rawSteps.map((s, i) => cleanStep(s, i, violations));
+    const keys = steps.map((s) => s.key);
+    if (new Set(keys).size !== keys.length)
+      violations.push("step keys must be unique");
+
+    for (let i = before; i < violations.length; i++)
+      violations[i] = `rules[${r}]: ${violations[i]}`;
+    return { name, minValue, types, steps };
+  });
+
+  if (violations.length)
+    return { error: "Invalid approval policy", violations };
+
+  await db
+    .collection(SETTINGS_COLL)
+    .updateOne(
+      { key: POLICY_KEY },
+      { $set: { rules: clean, updatedAt: new Date(), updatedBy: by } },
+      { upsert: true },
+    );
+  return await getApprovalPolicy();
+}
+
+function ruleMatches(rule, doc) {
+  const value = Number(doc?.estimatedValue);
+  if (rule.minValue !== null && rule.minValue !== undefined) {
+    if (!Number.isFinite(value) || value <= rule.minValue) return false;
+  }
+  if (rule.types?.length && !rule.types.includes(String(doc?.type || "")))
+    return false;
+  return true;
+}
+
+function mergeStep(a, b, ruleName) {
+  return {
+    ...a,
+    roles: [...new Set([...(a.roles || []), ...(b.roles || [])])],
+    users: [...new Set([...(a.users || []), ...(b.users || [])])],
+    stage: Math.max(a.stage, b.stage),
+    rule: a.rule === ruleName ? a.rule : `${a.rule}, ${ruleName}`,
+  };
+}
+
+/**
+ * Approval chain for a request as it is submitted for review.
+ * Steps of several matching rules with the same key are merged: the label of
+ * the first rule, the roles and users of all of them, the latest stage.
+ */
+export async function buildApprovalSteps(doc) {
+  const policy = await getApprovalPolicy();
+  const byKey = new Map([[REVIEW_STEP.key, { ...REVIEW_STEP, rule: null }]]);
+
+  for (const rule of policy.rules.filter((r) => ruleMatches(r, doc))) {
+    for (const step of rule.steps) {
+      const seen = byKey.get(step.key);
+      byKey.set(
+        step.key,
+        seen ? mergeStep(seen, step, rule.name) : { ...step, rule: rule.name },
+      );
+    }
+  }
+
+  return [...byKey.values()]
+    .sort((a, b) => a.stage - b.stage)
+    .map((s) => ({
+      ...s,
+      status: "PENDING",
+      approvedBy: null,
+      approvedOnBehalfOf: null,
+      approvedAt: null,
+    }));
+}
+
+/**
+ * Pending steps of the lowest stage that still has pending steps.
+ */
+export function openApprovalSteps(steps) {
+  const pending = (steps || []).filter((s) => s.status === "PENDING");
+  if (!pending.length) return [];
+  const stage = Math.min(...pending.map((s) => s.stage));
+  return pending.filter((s) => s.stage === stage);
+}
+
+async function stepRoles(step) {
+  if (step.action) return (await permissionFor(step.action)).roles;
+  return step.roles || [];
+}
+
+async function actorForStep(user, step, onBehalfOf) {
+  const me = normalizeUsername(user?.username);
+  if (step.users?.includes(me) && !onBehalfOf)
+    return { username: me, onBehalfOf: null, delegationId: null };
+  const roles = await stepRoles(step);
+  if (!roles.length) return null;
+  return await resolveActor(user, { roles, onBehalfOf });
+}
+
+/**
+ * Which open step the user may decide on.
+ * forApproval: somebody who already approved a step of the chain cannot
+ * approve another one (four-eyes).
+ * Requests without a chain (IN_REVIEW before approval policies) fall back
+ * to requests.review.
+ * Returns { actor, step } (step null without chain) or { error }.
+ */
+export async function authorizeApprovalStep(
+  user,
+  doc,
+  { onBehalfOf = null, forApproval = true } = {},
+) {
+  const steps = doc?.approvalSteps;
+  if (!Array.isArray(steps) || !steps.length) {
+    const actor = await resolveActor(user, {
+      roles: await stepRoles(REVIEW_STEP),
+      onBehalfOf,
+    });
+    return actor ? { actor, step: null } : { error: "Not allowed" };
+  }
+
+  for (const step of openApprovalSteps(steps)) {
+    const actor = await actorForStep(user, step, onBehalfOf);
+    if (!actor) continue;
+    const approvedBefore = steps.some(
+      (s) => s.status === "APPROVED" && s.approvedBy === actor.username,
+    );
+    if (forApproval && approvedBefore) continue;
+    return { actor, step };
+  }
+  return { error: "Not allowed" };
+}
+
+/**
+ * Roles / users to notify for the open steps.
+ * Returns { roles, users }.
+ */
+export async function approversOf(steps) {
+  const roles = new Set();
+  const users = new Set();
+  for (const step of openApprovalSteps(steps)) {
+    for (const r of await stepRoles(step)) {
+      if (r !== "SYSTEM_ADMIN" || step.roles?.includes(r)) roles.add(r);
+    }
+    for (const u of step.users || []) users.add(u);
+  }
+  return { roles: [...roles], users: [...users] };
+}
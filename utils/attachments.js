@@ -0,0 +1,379 @@
+// utils/attachments.js
+import crypto from "crypto";
+import path from "path";
+import dotenv from "dotenv";
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import { getStorage, storageName } from "./fileStorage.js";
+import { getPermissionMatrix, roleCan } from "./permissions.js";
+import { authorizeRequestAction, findOfferByAnyId } from "./requestWorkflow.js";
+import { currentTenant, tenantOf } from "./tenants.js";
+
+dotenv.config();
+
+/**
+ * Files attached to requests (statements of work), offers (CVs, price
+ * sheets) and purchase orders (signed PDFs).
+ *
+ * attachments = {
+ *   parentType: "request" | "offer" | "order", parentId, requestId,
+ *   filename, contentType, size, sha256, storage, storageKey,
+ *   uploadedBy, createdAt
+ * }
+ *
+ * Reading follows the read permissions of the parent; uploading needs:
+ * - request: requests.update (owner / delegate, editable status)
+ * - offer:   the offer's provider
+ * - order:   requests.order roles or orders.readAll
+ */
+const COLL = "attachments";
+
+export const ATTACHMENT_MAX_BYTES =
+  Number(process.env.ATTACHMENT_MAX_MB || 20) * 1024 * 1024;
+
+// content type -> extensions and leading bytes (null: text, not checked)
+const CONTENT_TYPES = {
+  "application/pdf": { ext: [".pdf"], magic: ["%PDF"] },
+  "image/png": { ext: [".png"], magic: ["\x89PNG"] },
+  "image/jpeg": { ext: [".jpg", ".jpeg"], magic: ["\xff\xd8\xff"] },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    ext: [".docx"],
+    magic: ["PK\x03\x04"],
+  },
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": {
+    ext: [".xlsx"],
+    magic: ["PK\x03\x04"],
+  },
+  "text/csv": { ext: [".csv"], magic: null },
+  "text/plain": { ext: [".txt"], magic: null },
+};
+
+export const ATTACHMENT_CONTENT_TYPES = (
+  process.env.ATTACHMENT_CONTENT_TYPES || Object.keys(CONTENT_TYPES).join(",")
+)
+  .split(",")
+  .map((t) => t.trim().toLowerCase())
+  .filter((t) => CONTENT_TYPES[t]);
+
+const PARENT_TYPES = {
+  request: "request",
+  requests: "request",
+  offer: "offer",
+  offers: "offer",
+  order: "order",
+  orders: "order",
+};
+
+function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+function parseId(idStr) {
+  try {
+    return new ObjectId(String(idStr));
+  } catch {
+    return null;
+  }
+}
+
+export function normalizeParentType(raw) {
+  return (
+    PARENT_TYPES[
+      String(raw || "")
+        .trim()
+        .toLowerCase()
+    ] || null
+  );
+}
+
+export function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+export function attachmentView(a) {
+  return {
+    _id: String(a._id),
+    parentType: a.parentType,
+    parentId: a.parentId,
+    requestId: a.requestId,
+    filename: a.filename,
+    contentType: a.contentType,
+    size: a.size,
+    sha256: a.sha256,
+    uploadedBy: a.uploadedBy,
+    createdAt: a.createdAt,
+  };
+}
+
+/* =========================
+   Access
+========================= */
+async function findRequest(requestId) {
+  const id = parseId(requestId);
+  if (!id) return null;
+  return await db.collection("requests").findOne({ _id: id });
+}
+
+async function canReadOffer(user, offer, matrix) {
+  if (matrix["offers.readAll"].roles.includes(user.role)) return true;
+  if (
+    matrix["offers.readOwn"].roles.includes(user.role) &&
+    normalizeUsername(offer.providerUsername) ===
+      normalizeUsername(user.username)
+  )
+    return true;
+
+  const reqDoc = await findRequest(offer.requestId);
+  if (!reqDoc) return false;
+  const auth = await authorizeRequestAction(
+    user,
+    "offers.readForOwnRequest",
+    reqDoc,
+  );
+  return !auth.error;
+}
+
+async function canReadOrder(user, order, matrix) {
+  if (matrix["orders.readAll"].roles.includes(user.role)) return true;
+  if (
+    matrix["orders.readOwnOrdered"].roles.includes(user.role) &&
+    normalizeUsername(order.orderedBy) === normalizeUsername(user.username)
+  )
+    return true;
+
+  const reqDoc = await findRequest(order.requestId);
+  if (!reqDoc) return false;
+  const auth = await authorizeRequestAction(
+    user,
+    "orders.readForOwnRequest",
+    reqDoc,
+  );
+  return !auth.error;
+}
+
+/**
+ * Loads the parent and checks read (or write) access.
+ * Returns { parent: { type, id, requestId } } or { status, error }.
+ */
+export async function attachmentParentAccess(
+  user,
+  { parentType, parentId },
+  { write = false } = {},
+) {
+  const type = normalizeParentType(parentType);
+  if (!type)
+    return { status: 400, error: "parentType must be request, offer or order" };
+
+  const matrix = await getPermissionMatrix();
+
+  if (type === "request") {
+    const doc = await findRequest(parentId);
+    if (!doc) return { status: 404, error: "Request not found" };
+    const parent = { type, id: String(doc._id), requestId: String(doc._id) };
+
+    if (!write) {
+      if (!(await roleCan(user.role, "requests.read")))
+        return { status: 403, error: "Not allowed" };
+      return { parent };
+    }
+
+    const auth = await authorizeRequestAction(user, "requests.update", doc);
+    if (auth.error) return { status: 403, error: auth.error };
+    if (!auth.perm.statuses.includes(String(doc.status || "").toUpperCase()))
+      return {
+        status: 403,
+        error: `Only ${auth.perm.statuses.join(" / ")} requests can be edited`,
+      };
+    return { parent };
+  }
+
+  if (type === "offer") {
+    const offer = await findOfferByAnyId(parentId);
+    if (!offer) return { status: 404, error: "Offer not found" };
+    const parent = {
+      type,
+      id: String(offer._id),
+      requestId: String(offer.requestId || ""),
+    };
+
+    const own =
+      normalizeUsername(offer.providerUsername) ===
+      normalizeUsername(user.username);
+    const allowed = write ? own : await canReadOffer(user, offer, matrix);
+    if (!allowed) return { status: 403, error: "Not allowed" };
+    return { parent };
+  }
+
+  const id = parseId(parentId);
+  const order = id
+    ? await db.collection("purchase_orders").findOne({ _id: id })
+    : null;
+  if (!order) return { status: 404, error: "Order not found" };
+  const parent = {
+    type,
+    id: String(order._id),
+    requestId: String(order.requestId || ""),
+  };
+
+  const allowed = write
+    ? (await roleCan(user.role, "requests.order")) ||
+      matrix["orders.readAll"].roles.includes(user.role)
+    : await canReadOrder(user, order, matrix);
+  if (!allowed) return { status: 403, error: "Not allowed" };
+  return { parent };
+}
+
+/**
+ * Attachment by id plus read access to its parent.
+ * Returns { attachment, parent } or { status, error }.
+ */
+export async function findReadableAttachment(user, idStr) {
+  const id = parseId(idStr);
+  if (!id) return { status: 400, error: "Invalid attachment id" };
+
+  const attachment = await db.collection(COLL).findOne({ _id: id });
+  if (!attachment) return { status: 404, error: "Attachment not found" };
+
+  const access = await attachmentParentAccess(user, attachment);
+  if (access.error) return access;
+  return { attachment, parent: access.parent };
+}
+
+/* =========================
+   Files
+========================= */
+// besides control characters (< 32)
+const UNSAFE_FILENAME_CHARS = '"<>:|?*';
+
+function cleanFilename(raw) {
+  const base = path.basename(String(raw || "").replace(/\\/g, "/"));
+  const clean = Array.from(base, (ch) =>
+    ch.charCodeAt(0) < 32 || UNSAFE_FILENAME_CHARS.includes(ch) ? "_" : ch,
+  )
+    .join("")
+    .trim();
+  return clean.slice(-200) || "file";
+}
+
+/**
+ * Checks type, size and the client checksum of an uploaded file.
+ * file: { originalname, mimetype, size, buffer } (multer)
+ * Returns { filename, contentType, sha256 } or { status, error }.
+ */
+export function checkUpload(file, { checksum = "" } = {}) {
+  if (!file?.buffer) return { status: 400, error: "file is required" };
+  if (!file.size) return { status: 400, error: "File is empty" };
+  if (file.size > ATTACHMENT_MAX_BYTES)
+    return { status: 413, error: "File too large" };
+
+  const filename = cleanFilename(file.originalname);
+  const contentType = String(file.mimetype || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  const spec = CONTENT_TYPES[contentType];
+  if (!spec || !ATTACHMENT_CONTENT_TYPES.includes(contentType)) {
+    return {
+      status: 415,
+      error: "Content type not allowed",
+      allowed: ATTACHMENT_CONTENT_TYPES,
+    };
+  }
+  if (!spec.ext.includes(path.extname(filename).toLowerCase())) {
+    return {
+      status: 415,
+      error: `File extension does not match ${contentType}`,
+    };
+  }
+  if (spec.magic) {
+    const head = file.buffer.subarray(0, 8).toString("latin1");
+    if (!spec.magic.some((m) => head.startsWith(m)))
+      return {
+        status: 415,
+        error: `File content does not match ${contentType}`,
+      };
+  }
+
+  const digest = sha256(file.buffer);
+  const expected = String(checksum || "")
+    .trim()
+    .toLowerCase();
+  if (expected && expected !== digest) {
+    return {
+      status: 422,
+      error: "Checksum mismatch",
+      expected,
+      actual: digest,
+    };
+  }
+
+  return { filename, contentType, sha256: digest };
+}
+
+export async function saveAttachment(parent, file, checked, user) {
+  const _id = new ObjectId();
+  const backend = storageName();
+  const storageKey = [
+    tenantOf({ tenantId: currentTenant() }),
+    parent.type,
+    parent.id,
+    String(_id),
+  ].join("/");
+
+  await getStorage(backend).put(storageKey, file.buffer, {
+    contentType: checked.contentType,
+  });
+
+  const attachment = {
+    _id,
+    parentType: parent.type,
+    parentId: parent.id,
+    requestId: parent.requestId,
+    filename: checked.filename,
+    contentType: checked.contentType,
+    size: file.size,
+    sha256: checked.sha256,
+    storage: backend,
+    storageKey,
+    uploadedBy: normalizeUsername(user.username),
+    createdAt: new Date(),
+  };
+  try {
+    await db.collection(COLL).insertOne(attachment);
+  } catch (err) {
+    await getStorage(backend).remove(storageKey);
+    throw err;
+  }
+  return attachment;
+}
+
+export async function listAttachments(parent) {
+  return await db
+    .collection(COLL)
+    .find({ parentType: parent.type, parentId: parent.id })
+    .sort({ createdAt: -1 })
+    .toArray();
+}
+
+/**
+ * File content, verified against the stored checksum.
+ * Returns { buffer } or { status, error }.
+ */
+export async function readAttachment(attachment) {
+  const buffer = await getStorage(attachment.storage).get(
+    attachment.storageKey,
+  );
+  if (!buffer) return { status: 404, error: "File missing in storage" };
+  if (sha256(buffer) !== attachment.sha256) {
+    console.error(`Attachment ${attachment._id} failed checksum verification`);
+    return { status: 500, error: "File failed checksum verification" };
+  }
+  return { buffer };
+}
+
+export async function deleteAttachment(attachment) {
+  await db.collection(COLL).deleteOne({ _id: attachment._id });
+  await getStorage(attachment.storage).remove(attachment.storageKey);
+}
@@ -0,0 +1,355 @@
+// utils/comments.js
+import dotenv from "dotenv";
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import { createNotification } from "./notify.js";
+import { getPermissionMatrix, roleCan } from "./permissions.js";
+import { authorizeRequestAction, findOfferByAnyId } from "./requestWorkflow.js";
+
+dotenv.config();
+
+/**
+ * Comment threads on requests and on single offers (evaluation).
+ *
+ * comments = {
+ *   targetType: "request" | "offer", targetId, requestId,
+ *   threadId (root comment, null for roots), parentId,
+ *   body, mentions: [username], visibility: "internal" | "provider",
+ *   author, authorRole, createdAt, editedAt
+ * }
+ *
+ * Request comments are always internal. Offer comments are internal unless
+ * written with visibility "provider", which the offer's provider can read
+ * and answer. Service providers never see internal comments.
+ */
+const COLL = "comments";
+const PROVIDER_ROLE = "SERVICE_PROVIDER";
+const MAX_BODY_LENGTH = 5000;
+
+export const COMMENT_EDIT_GRACE_MINUTES = Number(
+  process.env.COMMENT_EDIT_GRACE_MINUTES || 15,
+);
+
+function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+function parseId(idStr) {
+  try {
+    return new ObjectId(String(idStr));
+  } catch {
+    return null;
+  }
+}
+
+export function isProvider(user) {
+  return user?.role === PROVIDER_ROLE;
+}
+
+/**
+ * @username mentions in a comment body (lowercased, unique).
+ */
+export function parseMentions(body) {
+  const found = String(body || "").match(/(^|[^\w.])@([a-z0-9._-]+)/gi) || [];
+  return [
+    ...new Set(
+      found.map((m) =>
+        // trailing punctuation ("@bob.") is not part of the username
+        normalizeUsername(m.slice(m.indexOf("@") + 1)).replace(/[._-]+$/, ""),
+      ),
+    ),
+  ].filter(Boolean);
+}
+
+export function commentView(c) {
+  return {
+    _id: String(c._id),
+    targetType: c.targetType,
+    targetId: c.targetId,
+    requestId: c.requestId,
+    threadId: c.threadId || null,
+    parentId: c.parentId || null,
+    body: c.body,
+    mentions: c.mentions || [],
+    visibility: c.visibility,
+    author: c.author,
+    authorRole: c.authorRole,
+    createdAt: c.createdAt,
+    editedAt: c.editedAt || null,
+    editableUntil: new Date(
+      new Date(c.createdAt).getTime() + COMMENT_EDIT_GRACE_MINUTES * 60000,
+    ),
+  };
+}
+
+/* =========================
+   Access
+========================= */
+
+/**
+ * Who may read / write the thread of a request or offer.
+ * Returns { target: { type, id, requestId, title, providerUsername },
+ *           internal } or { status, error }.
+ * internal: the user may see internal comments.
+ */
+export async function commentAccess(user, { requestId, offerId }) {
+  if (offerId) {
+    const offer = await findOfferByAnyId(offerId);
+    if (!offer) return { status: 404, error: "Offer not found" };
+
+    const target = {
+      type: "offer",
+      id: String(offer._id),
+      requestId: String(offer.requestId || ""),
+      title: `offer of ${offer.providerUsername || "provider"}`,
+      providerUsername: normalizeUsername(offer.providerUsername),
+    };
+    const matrix = await getPermissionMatrix();
+
+    if (isProvider(user)) {
+      const own =
+        matrix["offers.readOwn"].roles.includes(user.role) &&
+        target.providerUsername === normalizeUsername(user.username);
+      if (!own) return { status: 403, error: "Not allowed" };
+      return { target, internal: false };
+    }
+
+    if (matrix["offers.readAll"].roles.includes(user.role))
+      return { target, internal: true };
+
+    const reqDoc = await findRequest(target.requestId);
+    if (reqDoc) {
+      const auth = await authorizeRequestAction(
+        user,
+        "offers.readForOwnRequest",
+        reqDoc,
+      );
+      if (!auth.error) return { target, internal: true };
+    }
+    return { status: 403, error: "Not allowed" };
+  }
+
+  if (requestId) {
+    if (isProvider(user) || !(await roleCan(user.role, "requests.read")))
+      return { status: 403, error: "Not allowed" };
+
+    const reqDoc = await findRequest(requestId);
+    if (!reqDoc) return { status: 404, error: "Request not found" };
+    return {
+      target: {
+        type: "request",
+        id: String(reqDoc._id),
+        requestId: String(reqDoc._id),
+        title: reqDoc.title || "Untitled",
+        providerUsername: null,
+      },
+      internal: true,
+    };
+  }
+
+  return { status: 400, error: "requestId or offerId is required" };
+}
+
+async function findRequest(requestId) {
+  const id = parseId(requestId);
+  if (!id) return null;
+  return await db.collection("requests").findOne({ _id: id });
+}
+
+function visibleMatch(target, internal) {
+  return {
+    targetType: target.type,
+    targetId: target.id,
+    ...(internal ? {} : { visibility: "provider" }),
+  };
+}
+
+/**
+ * Thread of a target as roots with their replies (oldest first).
+ */
+export async function listComments(target, { internal }) {
+  const list = await db
+    .collection(COLL)
+    .find(visibleMatch(target, internal))
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  const roots = list
+    .filter((c) => !c.threadId)
+    .map((c) => ({ ...commentView(c), replies: [] }));
+  const byId = new Map(roots.map((r) => [r._id, r]));
+
+  for (const c of list.filter((c) => c.threadId)) {
+    byId.get(c.threadId)?.replies.push(commentView(c));
+  }
+  return roots;
+}
+
+/* =========================
+   Write
+========================= */
+function cleanBody(raw) {
+  const body = String(raw || "").trim();
+  if (!body) return { error: "Comment must not be empty" };
+  if (body.length > MAX_BODY_LENGTH)
+    return { error: `At most ${MAX_BODY_LENGTH} characters` };
+  return { body };
+}
+
+/**
+ * Mentioned users that exist and may read the comment: the same
+ * commentAccess check as for reading the thread, internal comments only for
+ * users who see internal comments.
+ */
+async function mentionableUsers(usernames, comment, target) {
+  if (!usernames.length) return [];
+  const users = await db
+    .collection("users")
+    .find(
+      { username: { $in: usernames }, disabled: { $ne: true } },
+      { projection: { username: 1, role: 1 } },
+    )
+    .toArray();
+
+  const where =
+    target.type === "offer"
+      ? { offerId: target.id }
+      : { requestId: target.requestId };
+  const allowed = [];
+  for (const u of users) {
+    const username = normalizeUsername(u.username);
+    if (username === comment.author) continue;
+
+    const access = await commentAccess({ username, role: u.role }, where);
+    if (access.error) continue;
+    if (comment.visibility !== "provider" && !access.internal) continue;
+    allowed.push(username);
+  }
+  return allowed;
+}
+
+async function notifyMentions(usernames, comment, target) {
+  for (const username of await mentionableUsers(usernames, comment, target)) {
+    await createNotification({
+      uniqKey: `COMMENT_MENTION:${String(comment._id)}:${username}`,
+      toUsername: username,
+      type: "COMMENT_MENTION",
+      title: "You were mentioned",
+      message: `${comment.author} mentioned you on ${target.type} "${
+        target.title
+      }": ${comment.body.slice(0, 140)}`,
+      requestId: target.requestId,
+    });
+  }
+}
+
+/**
+ * Adds a comment or reply. Returns { comment } or { status, error }.
+ * body: { body, parentId?, visibility? }
+ */
+export async function addComment(user, { target, internal }, input) {
+  const cleaned = cleanBody(input?.body);
+  if (cleaned.error) return { status: 400, error: cleaned.error };
+
+  let parent = null;
+  if (input?.parentId) {
+    const pid = parseId(input.parentId);
+    parent = pid
+      ? await db
+          .collection(COLL)
+          .findOne({ _id: pid, ...visibleMatch(target, internal) })
+      : null;
+    if (!parent) return { status: 404, error: "Parent comment not found" };
+  }
+
+  // replies inherit the visibility of their thread
+  let visibility = "internal";
+  if (parent) visibility = parent.visibility;
+  else if (!internal) visibility = "provider";
+  else if (target.type === "offer" && input?.visibility === "provider")
+    visibility = "provider";
+
+  const mentions = parseMentions(cleaned.body);
+  const comment = {
+    targetType: target.type,
+    targetId: target.id,
+    requestId: target.requestId,
+    threadId: parent ? parent.threadId || String(parent._id) : null,
+    parentId: parent ? String(parent._id) : null,
+    body: cleaned.body,
+    mentions,
+    visibility,
+    author: normalizeUsername(user.username),
+    authorRole: user.role || "",
+    createdAt: new Date(),
+    editedAt: null,
+  };
+  const result = await db.collection(COLL).insertOne(comment);
+  comment._id = result.insertedId;
+
+  await notifyMentions(mentions, comment, target);
+
+  if (parent && parent.author !== comment.author) {
+    await createNotification({
+      toUsername: parent.author,
+      type: "COMMENT_REPLY",
+      title: "New reply",
+      message: `${comment.author} replied on ${target.type} "${target.title}".`,
+      requestId: target.requestId,
+    });
+  }
+
+  return { comment };
+}
+
+/**
+ * Author-only edit within COMMENT_EDIT_GRACE_MINUTES; new mentions are
+ * notified. Returns { comment } or { status, error }.
+ */
+export async function editComment(user, idStr, input) {
+  const id = parseId(idStr);
+  if (!id) return { status: 400, error: "Invalid comment id" };
+
+  const existing = await db.collection(COLL).findOne({ _id: id });
+  if (!existing) return { status: 404, error: "Comment not found" };
+
+  const access = await commentAccess(
+    user,
+    existing.targetType === "offer"
+      ? { offerId: existing.targetId }
+      : { requestId: existing.targetId },
+  );
+  if (access.error) return access;
+  if (!access.internal && existing.visibility !== "provider")
+    return { status: 404, error: "Comment not found" };
+
+  if (existing.author !== normalizeUsername(user.username))
+    return { status: 403, error: "Only the author can edit a comment" };
+
+  const editableUntil =
+    new Date(existing.createdAt).getTime() + COMMENT_EDIT_GRACE_MINUTES * 60000;
+  if (Date.now() > editableUntil)
+    return {
+      status: 403,
+      error: `Comments can only be edited within ${COMMENT_EDIT_GRACE_MINUTES} minutes`,
+    };
+
+  const cleaned = cleanBody(input?.body);
+  if (cleaned.error) return { status: 400, error: cleaned.error };
+
+  const mentions = parseMentions(cleaned.body);
+  const updated = await db
+    .collection(COLL)
+    .findOneAndUpdate(
+      { _id: id },
+      { $set: { body: cleaned.body, mentions, editedAt: new Date() } },
+      { returnDocument: "after" },
+    );
+
+  const added = mentions.filter((m) => !(existing.mentions || []).includes(m));
+  await notifyMentions(added, updated, access.target);
+
+  return { comment: updated };
+}
@@ -1,5 +1,6 @@
 import { db } from "../db.js";
 import { getIO } from "../socket.js";
+import { currentTenant, tenantRoom } from "./tenants.js";
 
 export async function createNotification({
   title,
@@ -34,7 +35,10 @@ export async function createNotification({
   try {
     const io = getIO();
     roles.forEach((role) => {
-      io.to(`role:${role}`).emit("notification", saved);
+      io.to(tenantRoom(saved.tenantId || currentTenant(), "role", role)).emit(
+        "notification",
+        saved,
+      );
     });
   } catch (err) {
     console.error("Socket emit failed:", err.message);
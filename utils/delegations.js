@@ -0,0 +1,181 @@
+// utils/delegations.js
+import { db } from "../db.js";
+
+/**
+ * Out-of-office delegation.
+ * A principal lets a delegate act on their behalf between from and to.
+ *
+ * delegations = {
+ *   principal, delegate, role (principal's role when granted),
+ *   from, to, reason, createdAt, createdBy, revokedAt, revokedBy
+ * }
+ *
+ * - PROJECT_MANAGER work (own requests) can only be delegated to another
+ *   PROJECT_MANAGER
+ * - reviewers / evaluators (SUBSTITUTABLE_ROLES) may nominate any internal
+ *   user as substitute
+ */
+const COLL = "delegations";
+
+export const SUBSTITUTABLE_ROLES = new Set([
+  "PROCUREMENT_OFFICER",
+  "RESOURCE_PLANNER",
+]);
+
+const DELEGATE_ROLES = new Set([
+  "PROJECT_MANAGER",
+  "PROCUREMENT_OFFICER",
+  "RESOURCE_PLANNER",
+  "SYSTEM_ADMIN",
+]);
+
+function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Can a user with delegateRole stand in for principalRole?
+ */
+export function canDelegateTo(principalRole, delegateRole) {
+  if (principalRole === delegateRole) return true;
+  return (
+    SUBSTITUTABLE_ROLES.has(principalRole) && DELEGATE_ROLES.has(delegateRole)
+  );
+}
+
+export function delegationView(d) {
+  const now = new Date();
+  return {
+    _id: String(d._id),
+    principal: d.principal,
+    delegate: d.delegate,
+    role: d.role,
+    from: d.from,
+    to: d.to,
+    reason: d.reason || "",
+    createdAt: d.createdAt,
+    createdBy: d.createdBy || null,
+    revokedAt: d.revokedAt || null,
+    revokedBy: d.revokedBy || null,
+    active: !d.revokedAt && new Date(d.from) <= now && new Date(d.to) > now,
+  };
+}
+
+export async function createDelegation({
+  principal,
+  delegate,
+  role,
+  from,
+  to,
+  reason = "",
+  by,
+}) {
+  const doc = {
+    principal: normalizeUsername(principal),
+    delegate: normalizeUsername(delegate),
+    role,
+    from,
+    to,
+    reason: String(reason || "").trim(),
+    createdAt: new Date(),
+    createdBy: normalizeUsername(by),
+    revokedAt: null,
+    revokedBy: null,
+  };
+  const result = await db.collection(COLL).insertOne(doc);
+  return { ...doc, _id: result.insertedId };
+}
+
+export async function revokeDelegation(d, { by }) {
+  await db
+    .collection(COLL)
+    .updateOne(
+      { _id: d._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: normalizeUsername(by) } },
+    );
+}
+
+/**
+ * Active delegation for (delegate, one of roles[, principal]) right now, or null.
+ */
+export async function findActiveDelegation({ delegate, roles, principal }) {
+  const now = new Date();
+  const match = {
+    delegate: normalizeUsername(delegate),
+    role: { $in: roles },
+    revokedAt: null,
+    from: { $lte: now },
+    to: { $gt: now },
+  };
+  if (principal) match.principal = normalizeUsername(principal);
+
+  return await db.collection(COLL).findOne(match, { sort: { createdAt: -1 } });
+}
+
+/**
+ * Usernames that currently delegate one of roles to the delegate.
+ */
+export async function listActivePrincipals({ delegate, roles }) {
+  const now = new Date();
+  return await db.collection(COLL).distinct("principal", {
+    delegate: normalizeUsername(delegate),
+    role: { $in: roles },
+    revokedAt: null,
+    from: { $lte: now },
+    to: { $gt: now },
+  });
+}
+
+/**
+ * Who performs a workflow action.
+ * user: getUser(req) result
+ * roles: roles the action allows (permission matrix)
+ * owner: username that owns the document (ownership-based actions)
+ * onBehalfOf: explicitly requested principal (role-based actions)
+ *
+ * Returns { username, onBehalfOf, delegationId } or null when not allowed.
+ * onBehalfOf is null when the user acts for themselves.
+ */
+export async function resolveActor(
+  user,
+  { roles, owner = null, onBehalfOf = null },
+) {
+  const me = normalizeUsername(user?.username);
+  if (!me) return null;
+
+  const self = { username: me, onBehalfOf: null, delegationId: null };
+  const wanted = normalizeUsername(onBehalfOf);
+  const hasRole = roles.includes(user.role);
+
+  if (owner) {
+    if (hasRole && normalizeUsername(owner) === me) return self;
+  } else if (hasRole && (!wanted || wanted === me)) {
+    return self;
+  }
+
+  const delegation = await findActiveDelegation({
+    delegate: me,
+    roles: roles.filter((r) => canDelegateTo(r, user.role)),
+    principal: owner || wanted || null,
+  });
+  if (!delegation) return null;
+
+  return {
+    username: me,
+    onBehalfOf: delegation.principal,
+    delegationId: String(delegation._id),
+  };
+}
+
+/**
+ * Fields recorded for an action, e.g. actorFields("submitted", actor) ->
+ * { submittedBy, submittedOnBehalfOf }
+ */
+export function actorFields(prefix, actor) {
+  return {
+    [`${prefix}By`]: actor.username,
+    [`${prefix}OnBehalfOf`]: actor.onBehalfOf,
+  };
+}
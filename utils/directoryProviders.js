@@ -0,0 +1,316 @@
+// utils/directoryProviders.js
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+import { XMLParser } from "fast-xml-parser";
+
+dotenv.config();
+
+/**
+ * Pluggable employee directory sources.
+ * EMPLOYEES_PROVIDER selects the adapter:
+ * - "http" (default): EMPLOYEES_API_URL answering JSON or XML
+ * - "file": local CSV or JSON export (EMPLOYEES_FILE)
+ * - "ldap": LDAP-compatible directory (EMPLOYEES_LDAP_*)
+ * Other sources plug in via registerDirectoryProvider().
+ *
+ * Every adapter returns raw records; mapEmployee() turns them into the shape
+ * the rest of the app reads (email, username, role, firstName, lastName,
+ * department, position, tenant) using the adapter's default field mapping,
+ * overridable with EMPLOYEES_FIELD_MAP (JSON, e.g. {"email":"mail"}).
+ */
+const PROVIDER = String(process.env.EMPLOYEES_PROVIDER || "http")
+  .trim()
+  .toLowerCase();
+
+const MAPPED_FIELDS = [
+  "email",
+  "username",
+  "role",
+  "firstName",
+  "lastName",
+  "department",
+  "position",
+  "tenant",
+];
+
+const IDENTITY_MAPPING = Object.fromEntries(MAPPED_FIELDS.map((f) => [f, f]));
+
+const LDAP_MAPPING = {
+  email: "mail",
+  username: "uid",
+  role: "employeeType",
+  firstName: "givenName",
+  lastName: "sn",
+  department: "departmentNumber",
+  position: "title",
+  tenant: "o",
+};
+
+function readPath(obj, dotted) {
+  if (!dotted) return obj;
+  return String(dotted)
+    .split(".")
+    .reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function firstValue(v) {
+  return Array.isArray(v) ? v[0] : v;
+}
+
+function parseFieldMapOverride() {
+  const raw = process.env.EMPLOYEES_FIELD_MAP;
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (e) {
+    console.error("EMPLOYEES_FIELD_MAP is not valid JSON:", e.message);
+    return {};
+  }
+}
+
+/**
+ * Applies a field mapping ({ appField: sourcePath }) to one raw record.
+ * Unmapped source fields are kept, so ids etc. stay available.
+ */
+export function mapEmployee(raw, mapping) {
+  const out = { ...raw };
+  for (const field of MAPPED_FIELDS) {
+    const source = mapping[field];
+    if (!source) continue;
+    const value = firstValue(readPath(raw, source));
+    out[field] = value == null ? "" : String(value).trim();
+  }
+  return out;
+}
+
+/* =========================
+   http (JSON / XML)
+========================= */
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  trimValues: true,
+});
+
+function toList(v) {
+  return Array.isArray(v) ? v : v ? [v] : [];
+}
+
+function createHttpProvider() {
+  const url =
+    process.env.EMPLOYEES_API_URL ||
+    "https://workforcemangementtool.onrender.com/api/employees";
+  const timeoutMs = Number(process.env.EMPLOYEES_API_TIMEOUT_MS || 8000);
+  const jsonItemsPath = process.env.EMPLOYEES_JSON_ITEMS_PATH || "data";
+  const xmlItemsPath = process.env.EMPLOYEES_XML_ITEMS_PATH || "List.item";
+
+  return {
+    source: url,
+    defaultMapping: IDENTITY_MAPPING,
+    async fetchEmployees() {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+      let res;
+      try {
+        res = await fetch(url, {
+          headers: { Accept: "application/xml, text/xml, application/json" },
+          signal: controller.signal,
+        });
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      if (!res.ok) throw new Error(`Employees API failed: ${res.status}`);
+
+      const contentType = (res.headers.get("content-type") || "").toLowerCase();
+      const raw = await res.text();
+
+      // JSON
+      if (contentType.includes("application/json")) {
+        const json = JSON.parse(raw);
+        const employees = Array.isArray(json)
+          ? json
+          : readPath(json, jsonItemsPath);
+        if (!Array.isArray(employees))
+          throw new Error("Employees JSON invalid");
+        return employees;
+      }
+
+      // XML
+      return toList(readPath(xmlParser.parse(raw), xmlItemsPath));
+    },
+  };
+}
+
+/* =========================
+   file (CSV / JSON export)
+========================= */
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, "" escapes, CRLF).
+ * First row is the header.
+ */
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter((r) =>
+    r.some((c) => c.trim() !== ""),
+  );
+  const keys = header.map((h) => h.replace(/^\uFEFF/, "").trim());
+  return body.map((r) =>
+    Object.fromEntries(keys.map((k, idx) => [k, (r[idx] ?? "").trim()])),
+  );
+}
+
+function createFileProvider() {
+  const file = process.env.EMPLOYEES_FILE;
+  const delimiter = process.env.EMPLOYEES_CSV_DELIMITER || ",";
+
+  return {
+    source: file ? `file:${file}` : "file:(EMPLOYEES_FILE not set)",
+    defaultMapping: IDENTITY_MAPPING,
+    async fetchEmployees() {
+      if (!file) throw new Error("EMPLOYEES_FILE is not set");
+
+      const text = await fs.readFile(file, "utf8");
+      if (path.extname(file).toLowerCase() === ".json") {
+        const json = JSON.parse(text);
+        const employees = Array.isArray(json) ? json : json?.data;
+        if (!Array.isArray(employees))
+          throw new Error("Employees file JSON invalid");
+        return employees;
+      }
+      return parseCsv(text, delimiter);
+    },
+  };
+}
+
+/* =========================
+   ldap
+========================= */
+function createLdapProvider() {
+  const url = process.env.EMPLOYEES_LDAP_URL;
+  const baseDN = process.env.EMPLOYEES_LDAP_BASE_DN;
+  const filter = process.env.EMPLOYEES_LDAP_FILTER || "(objectClass=person)";
+  const bindDN = process.env.EMPLOYEES_LDAP_BIND_DN;
+  const bindPassword = process.env.EMPLOYEES_LDAP_BIND_PASSWORD;
+  const timeoutMs = Number(process.env.EMPLOYEES_API_TIMEOUT_MS || 8000);
+
+  return {
+    source: url
+      ? `${url}/${baseDN || ""}`
+      : "ldap:(EMPLOYEES_LDAP_URL not set)",
+    defaultMapping: LDAP_MAPPING,
+    async fetchEmployees() {
+      if (!url || !baseDN)
+        throw new Error(
+          "EMPLOYEES_LDAP_URL and EMPLOYEES_LDAP_BASE_DN required",
+        );
+
+      // loaded lazily: only LDAP deployments need the client
+      const { Client } = await import("ldapts");
+      const client = new Client({
+        url,
+        timeout: timeoutMs,
+        connectTimeout: timeoutMs,
+      });
+
+      try {
+        if (bindDN) await client.bind(bindDN, bindPassword || "");
+        const { searchEntries } = await client.search(baseDN, {
+          scope: "sub",
+          filter,
+          paged: { pageSize: 500 },
+        });
+        return searchEntries;
+      } finally {
+        await client.unbind().catch(() => {});
+      }
+    },
+  };
+}
+
+/* =========================
+   Registry
+========================= */
+const providers = new Map();
+let active = null;
+
+registerDirectoryProvider("http", createHttpProvider);
+registerDirectoryProvider("file", createFileProvider);
+registerDirectoryProvider("ldap", createLdapProvider);
+
+/**
+ * registerDirectoryProvider(name, () => ({ source, defaultMapping?, fetchEmployees }))
+ */
+export function registerDirectoryProvider(name, factory) {
+  if (typeof factory !== "function") {
+    throw new Error("Directory provider must be a factory function");
+  }
+  providers.set(String(name).toLowerCase(), factory);
+  active = null;
+}
+
+/**
+ * The configured provider; fetchEmployees() already returns mapped records.
+ */
+export function getDirectoryProvider() {
+  if (active) return active;
+
+  const factory = providers.get(PROVIDER);
+  if (!factory) throw new Error(`Unknown EMPLOYEES_PROVIDER: ${PROVIDER}`);
+
+  const provider = factory();
+  const mapping = {
+    ...(provider.defaultMapping || IDENTITY_MAPPING),
+    ...parseFieldMapOverride(),
+  };
+
+  active = {
+    name: PROVIDER,
+    source: provider.source || PROVIDER,
+    mapping,
+    async fetchEmployees() {
+      const raw = await provider.fetchEmployees();
+      return raw.map((r) => mapEmployee(r, mapping));
+    },
+  };
+  return active;
+}
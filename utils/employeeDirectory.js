@@ -0,0 +1,218 @@
+// utils/employeeDirectory.js
+import dotenv from "dotenv";
+import { db } from "../db.js";
+import { getDirectoryProvider } from "./directoryProviders.js";
+
+dotenv.config();
+
+/**
+ * Local copy of the external employee directory.
+ * - a periodic job (startEmployeeSync) mirrors the configured directory
+ *   provider (utils/directoryProviders.js) into "employees"
+ * - findEmployeeByEmail only reads the local copy, so /prefill and /register
+ *   keep working while the workforce tool is slow or down
+ */
+const EMPLOYEES_SYNC_INTERVAL_MINUTES = Number(
+  process.env.EMPLOYEES_SYNC_INTERVAL_MINUTES ?? 60,
+);
+
+const COLL = "employees";
+const STATUS_COLL = "employee_sync_status";
+const STATUS_ID = "employees";
+
+export const ALLOWED_EMPLOYEE_ROLES = new Set([
+  "PROJECT_MANAGER",
+  "RESOURCE_PLANNER",
+  "PROCUREMENT_OFFICER",
+  "SYSTEM_ADMIN",
+  "SERVICE_PROVIDER",
+]);
+
+export function normalizeEmployeeRole(role) {
+  return String(role || "")
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, "_");
+}
+
+export function buildFullName(employee) {
+  const fn = String(employee?.firstName || "").trim();
+  const ln = String(employee?.lastName || "").trim();
+  const full = `${fn} ${ln}`.trim();
+  return full || String(employee?.username || "").trim() || "User";
+}
+
+function normalizeEmail(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+async function saveSyncStatus(fields) {
+  await db
+    .collection(STATUS_COLL)
+    .updateOne({ _id: STATUS_ID }, { $set: fields }, { upsert: true });
+}
+
+function providerInfo() {
+  try {
+    const { name, source } = getDirectoryProvider();
+    return { provider: name, source };
+  } catch (err) {
+    return { provider: null, source: String(err?.message || err) };
+  }
+}
+
+let runningSync = null;
+
+/**
+ * Mirrors the remote directory into the employees collection.
+ * Employees that vanished from the remote list are removed locally.
+ * An empty or failed remote response keeps the previous local copy.
+ */
+export async function syncEmployees({ trigger = "schedule", by = null } = {}) {
+  // ✅ one sync at a time (manual resync joins a running one)
+  if (runningSync) return runningSync;
+
+  runningSync = (async () => {
+    const startedAt = new Date();
+    await saveSyncStatus({ running: true, lastAttemptAt: startedAt, trigger });
+
+    try {
+      const remote = await getDirectoryProvider().fetchEmployees();
+
+      const byEmail = new Map();
+      for (const e of remote) {
+        const email = normalizeEmail(e?.email);
+        if (email) byEmail.set(email, e);
+      }
+      if (!byEmail.size)
+        throw new Error("Employee directory returned no employees");
+
+      const ops = [...byEmail].map(([email, data]) => ({
+        updateOne: {
+          filter: { email },
+          update: {
+            $set: { email, data, syncedAt: startedAt },
+            $setOnInsert: { firstSeenAt: startedAt },
+          },
+          upsert: true,
+        },
+      }));
+      await db.collection(COLL).bulkWrite(ops, { ordered: false });
+
+      const removed = await db
+        .collection(COLL)
+        .deleteMany({ syncedAt: { $lt: startedAt } });
+
+      const result = {
+        ok: true,
+        count: byEmail.size,
+        removed: removed.deletedCount || 0,
+      };
+
+      await saveSyncStatus({
+        running: false,
+        lastSuccessAt: new Date(),
+        lastError: null,
+        lastCount: result.count,
+        lastRemoved: result.removed,
+        lastTriggeredBy: by,
+        ...providerInfo(),
+      });
+
+      return result;
+    } catch (err) {
+      await saveSyncStatus({
+        running: false,
+        lastError: String(err?.message || err),
+        lastErrorAt: new Date(),
+        lastTriggeredBy: by,
+        ...providerInfo(),
+      });
+      return { ok: false, error: String(err?.message || err) };
+    }
+  })();
+
+  try {
+    return await runningSync;
+  } finally {
+    runningSync = null;
+  }
+}
+
+export async function getEmployeeSyncStatus() {
+  const status = await db.collection(STATUS_COLL).findOne({ _id: STATUS_ID });
+  const count = await db.collection(COLL).countDocuments({});
+  return {
+    running: !!status?.running,
+    lastAttemptAt: status?.lastAttemptAt || null,
+    lastSuccessAt: status?.lastSuccessAt || null,
+    lastError: status?.lastError || null,
+    lastErrorAt: status?.lastErrorAt || null,
+    lastCount: status?.lastCount ?? null,
+    lastRemoved: status?.lastRemoved ?? null,
+    trigger: status?.trigger || null,
+    lastTriggeredBy: status?.lastTriggeredBy || null,
+    ...providerInfo(),
+    intervalMinutes: EMPLOYEES_SYNC_INTERVAL_MINUTES,
+    cachedEmployees: count,
+  };
+}
+
+/**
+ * Reads one employee from the local directory copy.
+ * Only when the copy is still empty (first start) the remote is synced once.
+ */
+export async function findEmployeeByEmail(email) {
+  const normEmail = normalizeEmail(email);
+  if (!normEmail) return null;
+
+  const hit = await db.collection(COLL).findOne({ email: normEmail });
+  if (hit) return hit.data;
+
+  const anyCached = await db
+    .collection(COLL)
+    .findOne({}, { projection: { _id: 1 } });
+  if (anyCached) return null;
+
+  const sync = await syncEmployees({ trigger: "cold-start" });
+  if (!sync.ok)
+    throw new Error(`Employee directory unavailable: ${sync.error}`);
+
+  const afterSync = await db.collection(COLL).findOne({ email: normEmail });
+  return afterSync?.data || null;
+}
+
+/**
+ * Whole local directory as Map(email -> employee), no remote call.
+ */
+export async function loadEmployeeDirectory() {
+  const docs = await db
+    .collection(COLL)
+    .find({}, { projection: { email: 1, data: 1 } })
+    .toArray();
+  return new Map(docs.map((d) => [d.email, d.data]));
+}
+
+let syncTimer = null;
+
+/**
+ * Starts the periodic sync (EMPLOYEES_SYNC_INTERVAL_MINUTES, 0 = off).
+ * onSynced(result) runs after every successful scheduled sync.
+ */
+export function startEmployeeSync({ onSynced = null } = {}) {
+  if (syncTimer || !(EMPLOYEES_SYNC_INTERVAL_MINUTES > 0)) return;
+
+  const run = () =>
+    syncEmployees({ trigger: "schedule" })
+      .then(async (r) => {
+        if (!r.ok) return console.error("Employee sync failed:", r.error);
+        if (onSynced) await onSynced(r);
+      })
+      .catch((err) => console.error("Employee sync job error:", err));
+
+  run();
+  syncTimer = setInterval(run, EMPLOYEES_SYNC_INTERVAL_MINUTES * 60000);
+  syncTimer.unref?.();
+}
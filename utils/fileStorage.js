@@ -0,0 +1,77 @@
+// utils/fileStorage.js
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Pluggable binary storage for attachments.
+ * ATTACHMENTS_STORAGE selects the backend:
+ * - "local" (default): files below ATTACHMENTS_DIR
+ * Other backends (e.g. an S3-compatible bucket) plug in via
+ * registerStorageBackend(). A backend stores opaque keys like
+ * "<tenant>/<parentType>/<parentId>/<attachmentId>", the same shape as S3
+ * object keys:
+ *
+ * {
+ *   put(key, buffer, { contentType }) -> void
+ *   get(key)                          -> Buffer (null when missing)
+ *   remove(key)                       -> void
+ * }
+ */
+const ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || "./.attachments";
+
+const backends = new Map();
+
+function localPath(key) {
+  const root = path.resolve(ATTACHMENTS_DIR);
+  const file = path.resolve(root, key);
+  // keys are generated server-side, this only guards against bugs
+  if (!file.startsWith(root + path.sep)) throw new Error("Invalid storage key");
+  return file;
+}
+
+registerStorageBackend("local", {
+  async put(key, buffer) {
+    const file = localPath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  },
+  async get(key) {
+    try {
+      return await fs.readFile(localPath(key));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  },
+  async remove(key) {
+    await fs.rm(localPath(key), { force: true });
+  },
+});
+
+/**
+ * registerStorageBackend(name, { put, get, remove })
+ */
+export function registerStorageBackend(name, backend) {
+  for (const fn of ["put", "get", "remove"]) {
+    if (typeof backend?.[fn] !== "function")
+      throw new Error(`Storage backend needs ${fn}()`);
+  }
+  backends.set(String(name).toLowerCase(), backend);
+}
+
+export function storageName() {
+  return String(process.env.ATTACHMENTS_STORAGE || "local").toLowerCase();
+}
+
+/**
+ * Backend by name (default: ATTACHMENTS_STORAGE). Files keep the backend
+ * they were written to.
+ */
+export function getStorage(name = storageName()) {
+  const backend = backends.get(String(name).toLowerCase());
+  if (!backend) throw new Error(`Unknown ATTACHMENTS_STORAGE: ${name}`);
+  return backend;
+}
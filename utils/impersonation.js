@@ -0,0 +1,198 @@
+// utils/impersonation.js
+import dotenv from "dotenv";
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import { signImpersonationToken } from "./tokens.js";
+import { runWithTenant } from "./tenants.js";
+
+dotenv.config();
+
+/**
+ * Admin impersonation ("view as user") for support.
+ * A SYSTEM_ADMIN opens a session for one user of their tenant and gets an
+ * access token acting as that user, marked with the impersonation claim:
+ * - read-only by default (only GET / HEAD / OPTIONS pass)
+ * - expires after IMPERSONATION_TTL_MINUTES (or earlier when ended)
+ * - every API request made with it is written to impersonation_audit
+ *
+ * impersonation_sessions = {
+ *   admin, adminUserId, target, targetUserId, targetRole, reason, readOnly,
+ *   createdAt, expiresAt, endedAt, endedBy, lastUsedAt
+ * }
+ *
+ * impersonation_audit also holds the other admin actions (no sessionId):
+ * { action, admin, target?, ...details, ip, at }
+ */
+const COLL = "impersonation_sessions";
+const AUDIT_COLL = "impersonation_audit";
+
+export const IMPERSONATION_TTL_MINUTES = Number(
+  process.env.IMPERSONATION_TTL_MINUTES || 30,
+);
+
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+export function isReadMethod(method) {
+  return READ_METHODS.has(String(method || "").toUpperCase());
+}
+
+export function impersonationView(s) {
+  return {
+    _id: String(s._id),
+    admin: s.admin,
+    target: s.target,
+    targetRole: s.targetRole,
+    reason: s.reason || "",
+    readOnly: !!s.readOnly,
+    createdAt: s.createdAt,
+    expiresAt: s.expiresAt,
+    endedAt: s.endedAt || null,
+    endedBy: s.endedBy || null,
+    lastUsedAt: s.lastUsedAt || null,
+    active: !s.endedAt && new Date(s.expiresAt) > new Date(),
+  };
+}
+
+/**
+ * Opens a session and signs its token.
+ * minutes is capped at IMPERSONATION_TTL_MINUTES.
+ */
+export async function startImpersonation({
+  admin,
+  target,
+  reason,
+  readOnly = true,
+  minutes = IMPERSONATION_TTL_MINUTES,
+}) {
+  const ttl = Math.min(
+    Math.max(1, Number(minutes) || IMPERSONATION_TTL_MINUTES),
+    IMPERSONATION_TTL_MINUTES,
+  );
+  const now = new Date();
+
+  const session = {
+    admin: admin.username,
+    adminUserId: admin.userId || "",
+    target: target.username,
+    targetUserId: String(target._id),
+    targetRole: target.role || "",
+    reason: String(reason || "").trim(),
+    readOnly: readOnly !== false,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + ttl * 60000),
+    endedAt: null,
+    endedBy: null,
+    lastUsedAt: null,
+  };
+  const result = await db.collection(COLL).insertOne(session);
+  session._id = result.insertedId;
+
+  return { session, token: signImpersonationToken(target, session) };
+}
+
+export async function endImpersonation(session, { by }) {
+  await db
+    .collection(COLL)
+    .updateOne(
+      { _id: session._id, endedAt: null },
+      { $set: { endedAt: new Date(), endedBy: by } },
+    );
+}
+
+/**
+ * Session behind an impersonation token, or null when ended / expired.
+ */
+export async function findActiveImpersonation(sessionId) {
+  const session = await db.collection(COLL).findOne({ _id: sessionId });
+  if (!session || session.endedAt) return null;
+  if (new Date(session.expiresAt) <= new Date()) return null;
+  return session;
+}
+
+/**
+ * Audits one request made with an impersonation token once it finished.
+ * identity.impersonation = { sessionId (string), by, readOnly }
+ */
+export function auditImpersonatedRequest(req, res, identity) {
+  const startedAt = new Date();
+  const { sessionId, by } = identity.impersonation;
+
+  res.on("finish", () => {
+    const entry = {
+      sessionId,
+      admin: by,
+      target: identity.username,
+      method: req.method,
+      path: req.originalUrl || req.url,
+      status: res.statusCode,
+      blocked: !!res.locals.impersonationBlocked,
+      ip: req.ip || "",
+      at: startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+    };
+
+    // the finish event fires outside the request's tenant context
+    runWithTenant(identity.tenantId, async () => {
+      await db.collection(AUDIT_COLL).insertOne(entry);
+      await db
+        .collection(COLL)
+        .updateOne(
+          { _id: new ObjectId(sessionId) },
+          { $set: { lastUsedAt: startedAt } },
+        );
+    }).catch((err) =>
+      console.error("Impersonation audit failed:", err.message),
+    );
+  });
+}
+
+/**
+ * Records an admin action (impersonation start / end, unlocks, policy
+ * changes, ...). A failed write is logged; the action already happened.
+ */
+export async function auditAdminAction(req, action, details = {}) {
+  const entry = {
+    action,
+    admin: req.admin.username,
+    ...details,
+    ip: req.ip || "",
+    at: new Date(),
+  };
+  try {
+    await db.collection(AUDIT_COLL).insertOne(entry);
+  } catch (err) {
+    console.error("Admin audit failed:", err.message);
+  }
+}
+
+/**
+ * Admin actions, newest first. filter: { action?, admin? }
+ */
+export async function listAdminAudit({ action, admin }, { skip, limit }) {
+  const match = { sessionId: { $exists: false } };
+  if (action) match.action = action;
+  if (admin) match.admin = admin;
+
+  const total = await db.collection(AUDIT_COLL).countDocuments(match);
+  const data = await db
+    .collection(AUDIT_COLL)
+    .find(match, { projection: { tenantId: 0 } })
+    .sort({ at: -1 })
+    .skip(skip)
+    .limit(limit)
+    .toArray();
+  return { data, total };
+}
+
+export async function listImpersonationAudit(sessionId, { skip, limit }) {
+  const match = { sessionId };
+  const total = await db.collection(AUDIT_COLL).countDocuments(match);
+  const data = await db
+    .collection(AUDIT_COLL)
+    .find(match, { projection: { sessionId: 0, tenantId: 0 } })
+    .sort({ at: -1 })
+    .skip(skip)
+    .limit(limit)
+    .toArray();
+  return { data, total };
+}
@@ -0,0 +1,222 @@
+// utils/loginThrottle.js
+import dotenv from "dotenv";
+import { db } from "../db.js";
+
+dotenv.config();
+
+/**
+ * Brute-force protection for POST /api/auth/login.
+ * Failed attempts are counted per username and per IP in MongoDB
+ * (login_throttle), so lockouts survive a restart.
+ *
+ * - progressive delay: after LOGIN_DELAY_AFTER_FAILURES failures the next
+ *   attempt is only accepted after 1s, 2s, 4s ... (max LOGIN_MAX_DELAY_SECONDS)
+ * - lockout: LOGIN_MAX_FAILED_ATTEMPTS failures (per username) or
+ *   LOGIN_IP_MAX_FAILED_ATTEMPTS (per IP) lock the key for LOGIN_LOCKOUT_MINUTES
+ * - failures older than LOGIN_FAILURE_WINDOW_MINUTES are forgotten
+ */
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS || 5);
+const IP_MAX_FAILED_ATTEMPTS = Number(
+  process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS || 20,
+);
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const FAILURE_WINDOW_MINUTES = Number(
+  process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15,
+);
+const DELAY_AFTER_FAILURES = Number(
+  process.env.LOGIN_DELAY_AFTER_FAILURES || 2,
+);
+const MAX_DELAY_SECONDS = Number(process.env.LOGIN_MAX_DELAY_SECONDS || 30);
+
+const COLL = "login_throttle";
+const ATTEMPTS_COLL = "login_attempts";
+
+function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+function userKey(username) {
+  return `user:${normalizeUsername(username)}`;
+}
+function ipKey(ip) {
+  return `ip:${String(ip || "unknown")}`;
+}
+
+function secondsUntil(date, now) {
+  return Math.max(1, Math.ceil((new Date(date) - now) / 1000));
+}
+
+/**
+ * Returns { ok: true } or { ok: false, error, locked, retryAfterSeconds }.
+ */
+export async function checkLoginAllowed({ username, ip }) {
+  const now = new Date();
+  const docs = await db
+    .collection(COLL)
+    .find({ key: { $in: [userKey(username), ipKey(ip)] } })
+    .toArray();
+
+  for (const d of docs) {
+    if (d.lockedUntil && new Date(d.lockedUntil) > now) {
+      return {
+        ok: false,
+        locked: true,
+        error: "Too many failed attempts. Account temporarily locked.",
+        retryAfterSeconds: secondsUntil(d.lockedUntil, now),
+      };
+    }
+  }
+
+  for (const d of docs) {
+    if (d.nextAttemptAt && new Date(d.nextAttemptAt) > now) {
+      return {
+        ok: false,
+        locked: false,
+        error: "Too many failed attempts. Please wait before retrying.",
+        retryAfterSeconds: secondsUntil(d.nextAttemptAt, now),
+      };
+    }
+  }
+
+  return { ok: true };
+}
+
+async function bumpFailures(key, max, now) {
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60000);
+
+  const doc = await db.collection(COLL).findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          key,
+          failures: {
+            $cond: [
+              { $gt: ["$lastFailureAt", windowStart] },
+              { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+              1,
+            ],
+          },
+          lastFailureAt: now,
+        },
+      },
+    ],
+    { upsert: true, returnDocument: "after" },
+  );
+
+  const failures = Number(doc?.failures || 0);
+
+  if (failures >= max) {
+    await db.collection(COLL).updateOne(
+      { key },
+      {
+        $set: {
+          failures: 0,
+          lockedUntil: new Date(now.getTime() + LOCKOUT_MINUTES * 60000),
+          lockedAt: now,
+          nextAttemptAt: null,
+        },
+        $inc: { lockCount: 1 },
+      },
+    );
+    return;
+  }
+
+  if (failures >= DELAY_AFTER_FAILURES) {
+    const delay = Math.min(
+      MAX_DELAY_SECONDS,
+      2 ** (failures - DELAY_AFTER_FAILURES),
+    );
+    await db
+      .collection(COLL)
+      .updateOne(
+        { key },
+        { $set: { nextAttemptAt: new Date(now.getTime() + delay * 1000) } },
+      );
+  }
+}
+
+async function recordAttempt({
+  username,
+  userId,
+  ip,
+  userAgent,
+  success,
+  reason,
+}) {
+  await db.collection(ATTEMPTS_COLL).insertOne({
+    username: normalizeUsername(username),
+    userId: userId ? String(userId) : null,
+    ip: String(ip || ""),
+    userAgent: String(userAgent || ""),
+    success,
+    reason: reason || null,
+    createdAt: new Date(),
+  });
+}
+
+/**
+ * reason: UNKNOWN_USER | BAD_PASSWORD | DISABLED | ...
+ */
+export async function recordLoginFailure({
+  username,
+  userId = null,
+  ip,
+  userAgent,
+  reason,
+}) {
+  const now = new Date();
+  await bumpFailures(userKey(username), MAX_FAILED_ATTEMPTS, now);
+  await bumpFailures(ipKey(ip), IP_MAX_FAILED_ATTEMPTS, now);
+  await recordAttempt({
+    username,
+    userId,
+    ip,
+    userAgent,
+    success: false,
+    reason,
+  });
+}
+
+export async function recordLoginSuccess({ username, userId, ip, userAgent }) {
+  await db.collection(COLL).deleteOne({ key: userKey(username) });
+  await recordAttempt({ username, userId, ip, userAgent, success: true });
+}
+
+/**
+ * Admin unlock: clears failures, delay and lockout of one username.
+ */
+export async function unlockUsername(username) {
+  const r = await db.collection(COLL).deleteOne({ key: userKey(username) });
+  return r.deletedCount > 0;
+}
+
+export async function getLockout(username) {
+  const doc = await db.collection(COLL).findOne({ key: userKey(username) });
+  const now = new Date();
+  return {
+    locked: !!(doc?.lockedUntil && new Date(doc.lockedUntil) > now),
+    lockedUntil: doc?.lockedUntil || null,
+    failures: Number(doc?.failures || 0),
+    lastFailureAt: doc?.lastFailureAt || null,
+    lockCount: Number(doc?.lockCount || 0),
+  };
+}
+
+export async function listLoginAttempts(
+  username,
+  { skip = 0, limit = 50 } = {},
+) {
+  const match = { username: normalizeUsername(username) };
+  const total = await db.collection(ATTEMPTS_COLL).countDocuments(match);
+  const data = await db
+    .collection(ATTEMPTS_COLL)
+    .find(match)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .toArray();
+  return { data, total };
+}
@@ -0,0 +1,66 @@
+// utils/mailer.js
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Pluggable mail delivery.
+ * MAIL_TRANSPORT selects the transport:
+ * - "outbox" (default): writes every mail as a JSON file into MAIL_OUTBOX_DIR
+ *   (local development + tests)
+ * - "console": logs recipient and subject only (bodies carry reset links)
+ * Other transports (SMTP, provider APIs) plug in via registerMailTransport().
+ */
+const MAIL_FROM = process.env.MAIL_FROM || "no-reply@service-management.local";
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || "./.outbox";
+
+const transports = new Map();
+
+registerMailTransport("outbox", async (mail) => {
+  await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+  const file = path.join(
+    MAIL_OUTBOX_DIR,
+    `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.json`,
+  );
+  await fs.writeFile(file, JSON.stringify(mail, null, 2), "utf8");
+  return { id: path.basename(file) };
+});
+
+registerMailTransport("console", async (mail) => {
+  console.log(`📧 Mail to ${mail.to}: ${mail.subject}`);
+  return { id: null };
+});
+
+/**
+ * registerMailTransport(name, async (mail) => ({ id }))
+ */
+export function registerMailTransport(name, send) {
+  if (typeof send !== "function") {
+    throw new Error("Mail transport must be a function");
+  }
+  transports.set(String(name).toLowerCase(), send);
+}
+
+/**
+ * sendMail({ to, subject, text, html? })
+ */
+export async function sendMail({ to, subject, text, html = null }) {
+  const name = String(process.env.MAIL_TRANSPORT || "outbox").toLowerCase();
+  const send = transports.get(name);
+  if (!send) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+
+  const mail = {
+    from: MAIL_FROM,
+    to: String(to || "").trim(),
+    subject: String(subject || ""),
+    text: String(text || ""),
+    html,
+    createdAt: new Date().toISOString(),
+  };
+  if (!mail.to) throw new Error("Mail needs a recipient");
+
+  return await send(mail);
+}
@@ -0,0 +1,203 @@
+// utils/passwordPolicy.js
+import fs from "fs";
+import bcrypt from "bcryptjs";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Password rules for /register, /change-password and /reset-password.
+ * The public part is served by GET /api/auth/password-policy so the
+ * frontend can show the rules before submitting.
+ *
+ * users.passwordHistory = [bcrypt hash, ...] (previous passwords, newest last)
+ * Together with the current password it covers the last PASSWORD_HISTORY_SIZE
+ * passwords, none of which may be reused (0 disables the check).
+ */
+function envBool(name, fallback) {
+  const v = String(process.env[name] ?? "")
+    .trim()
+    .toLowerCase();
+  if (!v) return fallback;
+  return v === "true" || v === "1";
+}
+
+const MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH || 10);
+const MAX_LENGTH = Number(process.env.PASSWORD_MAX_LENGTH || 128);
+const REQUIRE_UPPERCASE = envBool("PASSWORD_REQUIRE_UPPERCASE", true);
+const REQUIRE_LOWERCASE = envBool("PASSWORD_REQUIRE_LOWERCASE", true);
+const REQUIRE_DIGIT = envBool("PASSWORD_REQUIRE_DIGIT", true);
+const REQUIRE_SYMBOL = envBool("PASSWORD_REQUIRE_SYMBOL", false);
+const HISTORY_SIZE = Number(process.env.PASSWORD_HISTORY_SIZE || 5);
+
+// Most common leaked passwords; extend with PASSWORD_DENYLIST_FILE (one per line)
+const COMMON_PASSWORDS = [
+  "123456",
+  "123456789",
+  "12345678",
+  "1234567890",
+  "password",
+  "password1",
+  "password123",
+  "passw0rd",
+  "qwerty",
+  "qwerty123",
+  "qwertyuiop",
+  "abc123",
+  "111111",
+  "123123",
+  "000000",
+  "iloveyou",
+  "admin",
+  "admin123",
+  "administrator",
+  "welcome",
+  "welcome1",
+  "welcome123",
+  "letmein",
+  "monkey",
+  "dragon",
+  "football",
+  "baseball",
+  "sunshine",
+  "princess",
+  "master",
+  "shadow",
+  "superman",
+  "trustno1",
+  "changeme",
+  "secret",
+  "login",
+  "starwars",
+  "whatever",
+  "zaq12wsx",
+  "1q2w3e4r",
+  "1qaz2wsx",
+  "asdfghjkl",
+  "summer2024",
+  "winter2024",
+  "hallo123",
+  "passwort",
+  "passwort1",
+];
+
+function loadDenylist() {
+  const list = new Set(COMMON_PASSWORDS);
+  const file = process.env.PASSWORD_DENYLIST_FILE;
+  if (!file) return list;
+
+  try {
+    fs.readFileSync(file, "utf8")
+      .split(/\r?\n/)
+      .map((l) => l.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach((l) => list.add(l));
+  } catch (e) {
+    console.error("Password denylist load error:", e.message);
+  }
+  return list;
+}
+
+const DENYLIST = loadDenylist();
+
+/**
+ * Rules as shown to users (no denylist contents).
+ */
+export function getPasswordPolicy() {
+  return {
+    minLength: MIN_LENGTH,
+    maxLength: MAX_LENGTH,
+    requireUppercase: REQUIRE_UPPERCASE,
+    requireLowercase: REQUIRE_LOWERCASE,
+    requireDigit: REQUIRE_DIGIT,
+    requireSymbol: REQUIRE_SYMBOL,
+    disallowCommonPasswords: true,
+    disallowPersonalInfo: true,
+    historySize: HISTORY_SIZE,
+  };
+}
+
+/**
+ * Returns [{ code, message }] - empty when the password is acceptable.
+ * context: { username, email, name } of the account (personal info check).
+ */
+export function validatePassword(password, context = {}) {
+  const pw = String(password ?? "");
+  const violations = [];
+  const add = (code, message) => violations.push({ code, message });
+
+  if (pw.length < MIN_LENGTH)
+    add("TOO_SHORT", `At least ${MIN_LENGTH} characters`);
+  if (pw.length > MAX_LENGTH)
+    add("TOO_LONG", `At most ${MAX_LENGTH} characters`);
+  if (REQUIRE_UPPERCASE && !/[A-Z]/.test(pw))
+    add("MISSING_UPPERCASE", "At least one uppercase letter");
+  if (REQUIRE_LOWERCASE && !/[a-z]/.test(pw))
+    add("MISSING_LOWERCASE", "At least one lowercase letter");
+  if (REQUIRE_DIGIT && !/\d/.test(pw))
+    add("MISSING_DIGIT", "At least one digit");
+  if (REQUIRE_SYMBOL && !/[^A-Za-z0-9]/.test(pw))
+    add("MISSING_SYMBOL", "At least one symbol");
+
+  const lower = pw.toLowerCase();
+  if (DENYLIST.has(lower)) add("COMMON_PASSWORD", "Password is too common");
+
+  const email = String(context.email || "")
+    .trim()
+    .toLowerCase();
+  const personal = [
+    context.username,
+    email,
+    email.split("@")[0],
+    ...String(context.name || "").split(/\s+/),
+  ]
+    .map((v) =>
+      String(v || "")
+        .trim()
+        .toLowerCase(),
+    )
+    .filter((v) => v.length >= 3);
+
+  if (personal.some((v) => lower.includes(v)))
+    add(
+      "CONTAINS_PERSONAL_INFO",
+      "Must not contain your username, email or name",
+    );
+
+  return violations;
+}
+
+/**
+ * true when the password is one of the last HISTORY_SIZE passwords
+ * (current one included).
+ */
+export async function isPasswordReused(user, password) {
+  if (HISTORY_SIZE <= 0) return false;
+
+  const hashes = [
+    ...(Array.isArray(user?.passwordHistory) ? user.passwordHistory : []),
+    user?.password,
+  ]
+    .filter(Boolean)
+    .slice(-HISTORY_SIZE);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(String(password), hash)) return true;
+  }
+  return false;
+}
+
+/**
+ * Mongo update that sets the new hash and moves the old one into the history.
+ */
+export function passwordUpdate(user, hashed, extraSet = {}) {
+  const update = {
+    $set: { password: hashed, passwordChangedAt: new Date(), ...extraSet },
+  };
+  if (user?.password && HISTORY_SIZE > 1) {
+    update.$push = {
+      passwordHistory: { $each: [user.password], $slice: -(HISTORY_SIZE - 1) },
+    };
+  }
+  return update;
+}
@@ -0,0 +1,315 @@
+// utils/permissions.js
+import { db } from "../db.js";
+import { resolveActor } from "./delegations.js";
+import { currentTenant } from "./tenants.js";
+
+/**
+ * Central role-permission matrix.
+ * action -> { roles, owner, statuses }
+ * - roles: roles allowed to perform the action
+ * - owner: only the request owner (createdBy) or their delegate
+ * - statuses: request stages in which the action is possible
+ *
+ * Defaults live here; SYSTEM_ADMIN overrides (permission_overrides, one per
+ * tenant and action) change roles / owner of any action and statuses of
+ * actions marked statusesEditable. Stages of workflow transitions are fixed.
+ * /api/admin itself is not part of the matrix (always SYSTEM_ADMIN).
+ */
+const PM = "PROJECT_MANAGER";
+const PO = "PROCUREMENT_OFFICER";
+const RP = "RESOURCE_PLANNER";
+const SP = "SERVICE_PROVIDER";
+const ADMIN = "SYSTEM_ADMIN";
+
+export const ROLES = [PM, PO, RP, SP, ADMIN];
+
+export const DEFAULT_PERMISSIONS = {
+  // requests
+  "requests.read": {
+    roles: [PM, PO, RP, ADMIN],
+    description: "List and view requests",
+  },
+  "requests.create": {
+    roles: [PM],
+    description: "Create requests (and use view=my)",
+  },
+  "requests.update": {
+    roles: [PM],
+    owner: true,
+    statuses: ["DRAFT"],
+    statusesEditable: true,
+    description: "Edit a request",
+  },
+  "requests.delete": {
+    roles: [PM],
+    owner: true,
+    statuses: ["DRAFT"],
+    statusesEditable: true,
+    description: "Delete a request",
+  },
+  "requests.submitForReview": {
+    roles: [PM],
+    owner: true,
+    statuses: ["DRAFT"],
+    description: "DRAFT -> IN_REVIEW",
+  },
+  "requests.review": {
+    roles: [PO],
+    statuses: ["IN_REVIEW"],
+    description: "Approve / reject / request changes on IN_REVIEW requests",
+  },
+  "requests.submitForBidding": {
+    roles: [PM],
+    owner: true,
+    statuses: ["APPROVED_FOR_SUBMISSION"],
+    description: "APPROVED_FOR_SUBMISSION -> BIDDING",
+  },
+  "requests.reactivate": {
+    roles: [PM],
+    owner: true,
+    statuses: ["EXPIRED"],
+    description: "EXPIRED -> APPROVED_FOR_SUBMISSION",
+  },
+  "requests.recommendOffer": {
+    roles: [RP, ADMIN],
+    statuses: ["BID_EVALUATION"],
+    description: "Recommend an offer (BID_EVALUATION -> RECOMMENDED)",
+  },
+  "requests.sendToRp": {
+    roles: [PM],
+    owner: true,
+    statuses: ["RECOMMENDED"],
+    description: "RECOMMENDED -> SENT_TO_RP",
+  },
+  "requests.order": {
+    roles: [RP],
+    statuses: ["SENT_TO_RP"],
+    description: "Place the order (SENT_TO_RP -> ORDERED)",
+  },
+  "requests.cancel": {
+    roles: [PM],
+    owner: true,
+    statuses: [
+      "IN_REVIEW",
+      "APPROVED_FOR_SUBMISSION",
+      "BIDDING",
+      "BID_EVALUATION",
+      "RECOMMENDED",
+      "SENT_TO_RP",
+    ],
+    description: "Cancel a running request (-> CANCELLED, offers cancelled)",
+  },
+
+  // bidding
+  "bidding.skip": {
+    roles: [PM, ADMIN],
+    description: "Skip the rest of a bidding cycle",
+  },
+
+  // offers
+  "offers.readAll": {
+    roles: [RP, ADMIN],
+    description: "Read all offers of any request",
+  },
+  "offers.readForOwnRequest": {
+    roles: [PM],
+    owner: true,
+    description: "Read the offers of own requests",
+  },
+  "offers.readOwn": {
+    roles: [SP],
+    description: "Read own offers",
+  },
+
+  // orders
+  "orders.readAll": {
+    roles: [ADMIN],
+    description: "Read all purchase orders",
+  },
+  "orders.readOwnOrdered": {
+    roles: [RP],
+    description: "Read purchase orders placed by oneself (incl. My Orders)",
+  },
+  "orders.readForOwnRequest": {
+    roles: [PM],
+    owner: true,
+    description: "Read purchase orders of own requests",
+  },
+  "orders.cancel": {
+    roles: [RP],
+    statuses: ["ORDERED"],
+    description: "Cancel a purchase order (ORDERED -> CANCELLED)",
+  },
+
+  // evaluations
+  "rpEvaluations.manage": {
+    roles: [RP, ADMIN],
+    description: "Read and save offer evaluations",
+  },
+};
+
+const OVERRIDES_COLL = "permission_overrides";
+const CACHE_MS = 30000;
+
+// tenantId -> { matrix, at }
+const cache = new Map();
+
+function mergeEntry(action, override) {
+  const def = DEFAULT_PERMISSIONS[action];
+  const entry = {
+    roles: [...def.roles],
+    owner: !!def.owner,
+    statuses: def.statuses ? [...def.statuses] : null,
+    description: def.description,
+    overridden: false,
+  };
+  if (!override) return entry;
+
+  if (Array.isArray(override.roles)) entry.roles = override.roles;
+  if (typeof override.owner === "boolean") entry.owner = override.owner;
+  if (def.statusesEditable && Array.isArray(override.statuses))
+    entry.statuses = override.statuses;
+  entry.overridden = true;
+  entry.updatedAt = override.updatedAt || null;
+  entry.updatedBy = override.updatedBy || null;
+  return entry;
+}
+
+/**
+ * Whole matrix of the current tenant (defaults + admin overrides),
+ * cached for CACHE_MS.
+ */
+export async function getPermissionMatrix() {
+  const tenantId = currentTenant() || "";
+  const hit = cache.get(tenantId);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.matrix;
+
+  const docs = await db.collection(OVERRIDES_COLL).find({}).toArray();
+  const overrides = Object.fromEntries(docs.map((d) => [d.action, d]));
+
+  const matrix = Object.fromEntries(
+    Object.keys(DEFAULT_PERMISSIONS).map((action) => [
+      action,
+      mergeEntry(action, overrides[action]),
+    ]),
+  );
+  cache.set(tenantId, { matrix, at: Date.now() });
+  return matrix;
+}
+
+export async function permissionFor(action) {
+  const matrix = await getPermissionMatrix();
+  const entry = matrix[action];
+  if (!entry) throw new Error(`Unknown permission action: ${action}`);
+  return entry;
+}
+
+/**
+ * Role-only check (no ownership / stage).
+ */
+export async function roleCan(role, action) {
+  const entry = await permissionFor(action);
+  return entry.roles.includes(role);
+}
+
+/**
+ * Validates and stores an override.
+ * Returns the merged entry or { error }.
+ */
+export async function setPermission(action, { roles, owner, statuses }, by) {
+  const def = DEFAULT_PERMISSIONS[action];
+  if (!def) return { error: "Unknown action" };
+
+  const override = {};
+
+  if (roles !== undefined) {
+    if (!Array.isArray(roles)) return { error: "roles must be an array" };
+    const clean = [...new Set(roles.map((r) => String(r || "").trim()))];
+    const invalid = clean.filter((r) => !ROLES.includes(r));
+    if (invalid.length) return { error: "Invalid role", invalid };
+    override.roles = clean;
+  }
+
+  if (owner !== undefined) {
+    if (typeof owner !== "boolean") return { error: "owner must be boolean" };
+    override.owner = owner;
+  }
+
+  if (statuses !== undefined) {
+    if (!def.statusesEditable)
+      return { error: "Statuses of this action are fixed by the workflow" };
+    if (!Array.isArray(statuses) || !statuses.length)
+      return { error: "statuses must be a non-empty array" };
+    override.statuses = [
+      ...new Set(
+        statuses.map((s) =>
+          String(s || "")
+            .trim()
+            .toUpperCase(),
+        ),
+      ),
+    ];
+  }
+
+  if (!Object.keys(override).length)
+    return { error: "Nothing to change (roles, owner, statuses)" };
+
+  const merged = await db
+    .collection(OVERRIDES_COLL)
+    .findOneAndUpdate(
+      { action },
+      { $set: { ...override, updatedAt: new Date(), updatedBy: by } },
+      { upsert: true, returnDocument: "after" },
+    );
+
+  cache.delete(currentTenant() || "");
+  return mergeEntry(action, merged);
+}
+
+export async function resetPermission(action) {
+  if (!DEFAULT_PERMISSIONS[action]) return { error: "Unknown action" };
+
+  await db.collection(OVERRIDES_COLL).deleteOne({ action });
+
+  cache.delete(currentTenant() || "");
+  return mergeEntry(action, null);
+}
+
+/**
+ * What the user may do, for the frontend to hide buttons.
+ * Without request: role (or active delegation) only; ownOnly / statuses tell
+ * the remaining conditions. With request: request actions are evaluated
+ * against its owner and status.
+ *
+ * Returns { [action]: { allowed, ownOnly, statuses, onBehalfOf } }
+ */
+export async function effectivePermissions(user, { request = null } = {}) {
+  const matrix = await getPermissionMatrix();
+  const status = request ? String(request.status || "").toUpperCase() : null;
+  const out = {};
+
+  for (const [action, perm] of Object.entries(matrix)) {
+    const forRequest = !!request && action.startsWith("requests.");
+    const ownerCheck = forRequest && perm.owner;
+
+    const actor =
+      ownerCheck && !request.createdBy
+        ? null
+        : await resolveActor(user, {
+            roles: perm.roles,
+            owner: ownerCheck ? request.createdBy : null,
+          });
+
+    const stageOk =
+      !forRequest || !perm.statuses || perm.statuses.includes(status);
+
+    out[action] = {
+      allowed: !!actor && stageOk,
+      ownOnly: perm.owner,
+      statuses: perm.statuses,
+      onBehalfOf: actor?.onBehalfOf || null,
+    };
+  }
+
+  return out;
+}
@@ -0,0 +1,157 @@
+// utils/requestRevisions.js
+import { db } from "../db.js";
+import { requestContent } from "./requestSchema.js";
+
+/**
+ * Content snapshots of requests, so reviewers can see what changed between
+ * review cycles. A revision is stored when a request is created, on every
+ * PUT and each time it leaves DRAFT.
+ *
+ * request_revisions = {
+ *   requestId, number (1, 2, ... per request), trigger ("create" |
+ *   "from-request" | "from-template" | "update" | transition name), status,
+ *   content (schema fields), by, onBehalfOf, createdAt
+ * }
+ */
+const COLL = "request_revisions";
+
+// arrays of objects matched by this key instead of by position
+const ARRAY_KEYS = {
+  roles: "roleName",
+};
+
+/**
+ * Stores a snapshot of doc's current content. actor: { username, onBehalfOf }.
+ */
+export async function saveRevision(doc, { trigger, actor = null }) {
+  const counted = await db
+    .collection("requests")
+    .findOneAndUpdate(
+      { _id: doc._id },
+      { $inc: { revisionCount: 1 } },
+      { returnDocument: "after", projection: { revisionCount: 1 } },
+    );
+  if (!counted) return null;
+
+  const revision = {
+    requestId: String(doc._id),
+    number: counted.revisionCount,
+    trigger,
+    status: String(doc.status || "").toUpperCase(),
+    content: requestContent(doc),
+    by: actor?.username || "SYSTEM",
+    onBehalfOf: actor?.onBehalfOf || null,
+    createdAt: new Date(),
+  };
+  await db.collection(COLL).insertOne(revision);
+  return revision;
+}
+
+export function revisionView(r, { withContent = true } = {}) {
+  return {
+    number: r.number,
+    trigger: r.trigger,
+    status: r.status,
+    by: r.by,
+    onBehalfOf: r.onBehalfOf || null,
+    createdAt: r.createdAt,
+    ...(withContent ? { content: r.content } : {}),
+  };
+}
+
+export async function listRevisions(requestId) {
+  return await db
+    .collection(COLL)
+    .find({ requestId }, { projection: { content: 0 } })
+    .sort({ number: 1 })
+    .toArray();
+}
+
+export async function findRevision(requestId, number) {
+  return await db.collection(COLL).findOne({ requestId, number });
+}
+
+export async function deleteRevisions(requestId) {
+  await db.collection(COLL).deleteMany({ requestId });
+}
+
+/* =========================
+   Diff
+========================= */
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function change(path, from, to) {
+  if (from === null || from === undefined)
+    return { path, type: "added", from: null, to };
+  if (to === null || to === undefined)
+    return { path, type: "removed", from, to: null };
+  return { path, type: "changed", from, to };
+}
+
+/**
+ * Entries keyed by ARRAY_KEYS[field], or null when a key is missing or used
+ * twice (then the array is compared by position).
+ */
+function keyedEntries(list, key) {
+  const map = new Map();
+  for (const item of list) {
+    const k = isPlainObject(item) ? String(item[key] ?? "").trim() : "";
+    if (!k || map.has(k)) return null;
+    map.set(k, item);
+  }
+  return map;
+}
+
+function diffValues(a, b, path, key, out) {
+  if (same(a, b)) return;
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    for (const k of new Set([...Object.keys(a), ...Object.keys(b)]))
+      diffValues(a[k], b[k], `${path}.${k}`, null, out);
+    return;
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const keyed = key && keyedEntries(a, key);
+    const keyedB = keyed && keyedEntries(b, key);
+    if (keyed && keyedB) {
+      for (const k of new Set([...keyed.keys(), ...keyedB.keys()]))
+        diffValues(
+          keyed.get(k),
+          keyedB.get(k),
+          `${path}[${key}=${k}]`,
+          null,
+          out,
+        );
+      return;
+    }
+
+    if (a.some(isPlainObject) || b.some(isPlainObject)) {
+      for (let i = 0; i < Math.max(a.length, b.length); i++)
+        diffValues(a[i], b[i], `${path}[${i}]`, null, out);
+      return;
+    }
+  }
+
+  out.push(change(path, a, b));
+}
+
+/**
+ * Field-by-field changes from revision a to revision b.
+ * Returns [{ path, type: "added" | "removed" | "changed", from, to }], e.g.
+ * path "roles[roleName=Developer].manDays".
+ */
+export function diffRevisions(a, b) {
+  const out = [];
+  const from = a?.content || {};
+  const to = b?.content || {};
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)]))
+    diffValues(from[field], to[field], field, ARRAY_KEYS[field], out);
+  return out;
+}
@@ -0,0 +1,332 @@
+// utils/requestSchema.js
+import { TRANSITIONS } from "./requestWorkflow.js";
+
+/**
+ * Fields a client may set on a request (POST /api/requests, PUT /:id).
+ * Everything else is either managed by the workflow (status, stamps, chosen
+ * offer, ...) or unknown; both are rejected instead of being stored.
+ *
+ * field -> { type, required?, min?, max?, item?, fields? }
+ * type: string | integer | number | date | array | object
+ */
+export const REQUEST_SCHEMA = {
+  title: { type: "string", required: true, max: 200 },
+  type: { type: "string", max: 100 },
+  projectId: { type: "string", max: 100 },
+  projectName: { type: "string", max: 200 },
+  contractSupplier: { type: "string", max: 200 },
+  roles: {
+    type: "array",
+    max: 50,
+    item: {
+      type: "object",
+      fields: {
+        roleName: { type: "string", required: true, max: 100 },
+        domain: { type: "string", max: 100 },
+        technology: { type: "string", max: 100 },
+        experienceLevel: { type: "string", max: 50 },
+        manDays: { type: "number", min: 0, max: 10000 },
+        onsiteDays: { type: "number", min: 0, max: 10000 },
+      },
+    },
+  },
+  requiredLanguages: {
+    type: "array",
+    max: 20,
+    item: { type: "string", max: 50 },
+  },
+  mustHaveCriteria: {
+    type: "array",
+    max: 50,
+    item: { type: "string", max: 500 },
+  },
+  niceToHaveCriteria: {
+    type: "array",
+    max: 50,
+    item: { type: "string", max: 500 },
+  },
+  performanceLocation: { type: "string", max: 200 },
+  startDate: { type: "date" },
+  endDate: { type: "date" },
+  estimatedValue: { type: "number", min: 0, max: 1000000000 },
+  maxOffers: { type: "integer", min: 1, max: 50 },
+  biddingCycleDays: { type: "integer", min: 1, max: 365 },
+};
+
+// set by the server / workflow only
+const MANAGED_FIELDS = [
+  "_id",
+  "tenantId",
+  "status",
+  "statusHistory",
+  "createdBy",
+  "createdAt",
+  "updatedBy",
+  "updatedOnBehalfOf",
+  "updatedAt",
+  "rpRejectReason",
+  "recommendedOfferId",
+  "orderedOfferId",
+  "orderId",
+  "shortlistedOfferIds",
+  "revisionCount",
+  "reviewRound",
+  "reviewComments",
+  "approvalSteps",
+  "copiedFrom",
+];
+
+// added when a request is read (routes/requests.js), never stored
+const COMPUTED_FIELDS = ["offersCount"];
+
+let managedFields = null;
+
+// built on first use: requestWorkflow.js imports this module (revisions)
+function isManagedField(key) {
+  if (!managedFields) {
+    managedFields = new Set([
+      ...MANAGED_FIELDS,
+      ...Object.values(TRANSITIONS).flatMap((t) =>
+        t.stamp ? [`${t.stamp}At`, `${t.stamp}By`, `${t.stamp}OnBehalfOf`] : [],
+      ),
+    ]);
+  }
+  return managedFields.has(key);
+}
+
+/**
+ * The client-editable content of a request (schema fields only).
+ */
+export function requestContent(doc) {
+  return Object.fromEntries(
+    Object.keys(REQUEST_SCHEMA).map((key) => [key, doc?.[key] ?? null]),
+  );
+}
+
+function copyValue(spec, value) {
+  if (value instanceof Date) return value.toISOString();
+  if (spec.type === "array" && Array.isArray(value))
+    return value.map((item) => copyValue(spec.item, item));
+  if (spec.type === "object" && value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(spec.fields)
+        .filter((key) => value[key] !== null && value[key] !== undefined)
+        .map((key) => [key, copyValue(spec.fields[key], value[key])]),
+    );
+  }
+  return value;
+}
+
+/**
+ * Content of doc as a create payload for a new request (clone / template):
+ * set schema fields only, nested objects without unknown keys, dates as
+ * strings. omit: fields to leave out.
+ */
+export function requestCopy(doc, { omit = [] } = {}) {
+  return Object.fromEntries(
+    Object.entries(REQUEST_SCHEMA)
+      .filter(([key]) => !omit.includes(key))
+      .filter(([key]) => doc?.[key] !== null && doc?.[key] !== undefined)
+      .map(([key, spec]) => [key, copyValue(spec, doc[key])]),
+  );
+}
+
+function typeError(spec) {
+  if (spec.type === "integer") return "Must be a whole number";
+  if (spec.type === "number") return "Must be a number";
+  if (spec.type === "date") return "Must be a date (YYYY-MM-DD or ISO 8601)";
+  if (spec.type === "array") return "Must be a list";
+  if (spec.type === "object") return "Must be an object";
+  return "Must be text";
+}
+
+/**
+ * Checks one value against its spec.
+ * Returns { value } (normalized) or pushes to violations and returns null.
+ */
+function checkValue(spec, raw, field, violations) {
+  const add = (code, message) => violations.push({ field, code, message });
+
+  if (spec.type === "string") {
+    if (typeof raw !== "string" && typeof raw !== "number") {
+      add("INVALID_TYPE", typeError(spec));
+      return null;
+    }
+    const value = String(raw).trim();
+    if (spec.required && !value) {
+      add("REQUIRED", "Must not be empty");
+      return null;
+    }
+    if (spec.max && value.length > spec.max) {
+      add("TOO_LONG", `At most ${spec.max} characters`);
+      return null;
+    }
+    return { value };
+  }
+
+  if (spec.type === "integer" || spec.type === "number") {
+    // form inputs often send numbers as strings
+    const n = typeof raw === "string" && raw.trim() ? Number(raw) : raw;
+    if (
+      typeof n !== "number" ||
+      !Number.isFinite(n) ||
+      (spec.type === "integer" && !Number.isInteger(n))
+    ) {
+      add("INVALID_TYPE", typeError(spec));
+      return null;
+    }
+    if (spec.min !== undefined && n < spec.min) {
+      add("TOO_SMALL", `At least ${spec.min}`);
+      return null;
+    }
+    if (spec.max !== undefined && n > spec.max) {
+      add("TOO_LARGE", `At most ${spec.max}`);
+      return null;
+    }
+    return { value: n };
+  }
+
+  if (spec.type === "date") {
+    const value = typeof raw === "string" ? raw.trim() : "";
+    if (!value || Number.isNaN(new Date(value).getTime())) {
+      add("INVALID_TYPE", typeError(spec));
+      return null;
+    }
+    return { value };
+  }
+
+  if (spec.type === "array") {
+    if (!Array.isArray(raw)) {
+      add("INVALID_TYPE", typeError(spec));
+      return null;
+    }
+    if (spec.max && raw.length > spec.max) {
+      add("TOO_MANY", `At most ${spec.max} entries`);
+      return null;
+    }
+    const before = violations.length;
+    const value = raw.map(
+      (item, i) =>
+        checkValue(spec.item, item, `${field}[${i}]`, violations)?.value,
+    );
+    return violations.length > before ? null : { value };
+  }
+
+  if (spec.type === "object") {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      add("INVALID_TYPE", typeError(spec));
+      return null;
+    }
+    const before = violations.length;
+    const value = checkFields(spec.fields, raw, {
+      prefix: `${field}.`,
+      partial: false,
+      violations,
+    });
+    return violations.length > before ? null : { value };
+  }
+
+  throw new Error(`Unknown schema type: ${spec.type}`);
+}
+
+function checkFields(fields, body, { prefix, partial, violations }) {
+  const out = {};
+
+  for (const [key, raw] of Object.entries(body)) {
+    const field = `${prefix}${key}`;
+    const spec = fields[key];
+    if (!spec) {
+      violations.push({
+        field,
+        code: "UNKNOWN_FIELD",
+        message: "Unknown field",
+      });
+      continue;
+    }
+
+    if (raw === null || raw === undefined || raw === "") {
+      if (spec.required)
+        violations.push({ field, code: "REQUIRED", message: "Required" });
+      else out[key] = null;
+      continue;
+    }
+
+    const checked = checkValue(spec, raw, field, violations);
+    if (checked) out[key] = checked.value;
+  }
+
+  if (!partial) {
+    for (const [key, spec] of Object.entries(fields)) {
+      if (spec.required && !(key in body))
+        violations.push({
+          field: `${prefix}${key}`,
+          code: "REQUIRED",
+          message: "Required",
+        });
+    }
+  }
+
+  return out;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Validates and whitelists a create (existing = null) or update payload.
+ * Updates are partial; values sent back unchanged (e.g. a client PUTting the
+ * loaded document) are ignored, including workflow-managed fields and fields
+ * stored before the schema listed them. Changed managed fields are rejected.
+ * Computed read-only fields (offersCount) are always ignored.
+ *
+ * Returns { data } or { violations: [{ field, code, message }] }.
+ */
+export function validateRequestPayload(body, { existing = null } = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return {
+      violations: [
+        { field: "", code: "INVALID_TYPE", message: "Must be a JSON object" },
+      ],
+    };
+  }
+
+  const violations = [];
+  const input = {};
+
+  for (const [key, value] of Object.entries(body)) {
+    if (COMPUTED_FIELDS.includes(key)) continue;
+    // unchanged stored values need no check (also legacy fields)
+    if (existing && key in existing && sameValue(existing[key], value))
+      continue;
+    if (!isManagedField(key)) {
+      input[key] = value;
+      continue;
+    }
+    if (existing && sameValue(existing[key], value)) continue;
+    violations.push({
+      field: key,
+      code: "READ_ONLY",
+      message: "Managed by the request workflow",
+    });
+  }
+
+  const data = checkFields(REQUEST_SCHEMA, input, {
+    prefix: "",
+    partial: !!existing,
+    violations,
+  });
+
+  const start = "startDate" in data ? data.startDate : existing?.startDate;
+  const end = "endDate" in data ? data.endDate : existing?.endDate;
+  if (start && end && new Date(end) < new Date(start)) {
+    violations.push({
+      field: "endDate",
+      code: "BEFORE_START",
+      message: "Must not be before startDate",
+    });
+  }
+
+  if (violations.length) return { violations };
+  return { data };
+}
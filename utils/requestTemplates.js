@@ -0,0 +1,207 @@
+// utils/requestTemplates.js
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import { requestCopy } from "./requestSchema.js";
+
+/**
+ * Reusable request content for PMs.
+ *
+ * request_templates = {
+ *   name, description, shared (false: only the owner sees it),
+ *   content (request fields without dates), sourceRequestId,
+ *   owner, createdAt, updatedAt
+ * }
+ *
+ * Templates are made from an existing request and turned into a new DRAFT
+ * with POST /api/requests/from-template/:id.
+ */
+const COLL = "request_templates";
+const ADMIN_ROLE = "SYSTEM_ADMIN";
+
+// dates belong to one project, not to the template
+const TEMPLATE_OMIT = ["startDate", "endDate"];
+
+function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+function escapeRegex(s) {
+  return String(s || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function parseId(idStr) {
+  try {
+    return new ObjectId(String(idStr));
+  } catch {
+    return null;
+  }
+}
+
+export function templateView(t) {
+  return {
+    _id: String(t._id),
+    name: t.name,
+    description: t.description || "",
+    shared: !!t.shared,
+    content: t.content || {},
+    sourceRequestId: t.sourceRequestId || null,
+    owner: t.owner,
+    createdAt: t.createdAt,
+    updatedAt: t.updatedAt,
+  };
+}
+
+/**
+ * Validates { name, description, shared }. Returns { data } or { violations }.
+ */
+function checkTemplateFields(body, { partial }) {
+  const violations = [];
+  const data = {};
+
+  if (!partial || body?.name !== undefined) {
+    const name = String(body?.name || "").trim();
+    if (!name)
+      violations.push({ field: "name", code: "REQUIRED", message: "Required" });
+    else if (name.length > 200)
+      violations.push({
+        field: "name",
+        code: "TOO_LONG",
+        message: "At most 200 characters",
+      });
+    data.name = name;
+  }
+  if (!partial || body?.description !== undefined) {
+    const description = String(body?.description || "").trim();
+    if (description.length > 2000)
+      violations.push({
+        field: "description",
+        code: "TOO_LONG",
+        message: "At most 2000 characters",
+      });
+    data.description = description;
+  }
+  if (!partial || body?.shared !== undefined) {
+    if (body?.shared !== undefined && typeof body.shared !== "boolean")
+      violations.push({
+        field: "shared",
+        code: "INVALID_TYPE",
+        message: "Must be true or false",
+      });
+    data.shared = body?.shared === true;
+  }
+
+  if (violations.length) return { violations };
+  return { data };
+}
+
+/**
+ * Own and shared templates, newest first.
+ * scope: "all" (default) | "personal" | "shared"
+ */
+export async function listTemplates(user, { scope = "all", q = "" } = {}) {
+  const me = normalizeUsername(user.username);
+  const filter =
+    scope === "personal"
+      ? { owner: me }
+      : scope === "shared"
+        ? { shared: true }
+        : { $or: [{ owner: me }, { shared: true }] };
+
+  const text = String(q || "").trim();
+  if (text) {
+    const rx = { $regex: escapeRegex(text), $options: "i" };
+    filter.$and = [{ $or: [{ name: rx }, { description: rx }] }];
+  }
+
+  return await db
+    .collection(COLL)
+    .find(filter)
+    .sort({ updatedAt: -1 })
+    .limit(200)
+    .toArray();
+}
+
+/**
+ * Template the user may use (own or shared). Returns the document or null.
+ */
+export async function findUsableTemplate(user, idStr) {
+  const id = parseId(idStr);
+  if (!id) return null;
+  const t = await db.collection(COLL).findOne({ _id: id });
+  if (!t) return null;
+  if (!t.shared && t.owner !== normalizeUsername(user.username)) return null;
+  return t;
+}
+
+/**
+ * Creates a template from a request. Returns { template } or { violations }.
+ */
+export async function createTemplate(user, reqDoc, body) {
+  const checked = checkTemplateFields(body, { partial: false });
+  if (checked.violations) return checked;
+
+  const now = new Date();
+  const template = {
+    ...checked.data,
+    content: requestCopy(reqDoc, { omit: TEMPLATE_OMIT }),
+    sourceRequestId: String(reqDoc._id),
+    owner: normalizeUsername(user.username),
+    createdAt: now,
+    updatedAt: now,
+  };
+  const result = await db.collection(COLL).insertOne(template);
+  template._id = result.insertedId;
+  return { template };
+}
+
+/**
+ * Owner-only update of name / description / shared.
+ * Returns { template } or { status, error, violations? }.
+ */
+export async function updateTemplate(user, idStr, body) {
+  const id = parseId(idStr);
+  if (!id) return { status: 400, error: "Invalid template id" };
+
+  const existing = await findUsableTemplate(user, idStr);
+  if (!existing) return { status: 404, error: "Template not found" };
+  if (existing.owner !== normalizeUsername(user.username))
+    return { status: 403, error: "Only the owner can change a template" };
+
+  const checked = checkTemplateFields(body, { partial: true });
+  if (checked.violations)
+    return {
+      status: 400,
+      error: "Invalid template",
+      violations: checked.violations,
+    };
+
+  const template = await db
+    .collection(COLL)
+    .findOneAndUpdate(
+      { _id: id },
+      { $set: { ...checked.data, updatedAt: new Date() } },
+      { returnDocument: "after" },
+    );
+  return { template };
+}
+
+/**
+ * Deletes a template (owner; SYSTEM_ADMIN for shared ones).
+ * Returns { ok: true } or { status, error }.
+ */
+export async function deleteTemplate(user, idStr) {
+  const id = parseId(idStr);
+  if (!id) return { status: 400, error: "Invalid template id" };
+
+  const existing = await db.collection(COLL).findOne({ _id: id });
+  const own = existing?.owner === normalizeUsername(user.username);
+  if (!existing || (!own && !existing.shared))
+    return { status: 404, error: "Template not found" };
+  if (!own && user.role !== ADMIN_ROLE)
+    return { status: 403, error: "Only the owner can delete a template" };
+
+  await db.collection(COLL).deleteOne({ _id: id });
+  return { ok: true };
+}
@@ -0,0 +1,1157 @@
+// utils/requestWorkflow.js
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import { createNotification } from "./notify.js";
+import { resolveActor, actorFields } from "./delegations.js";
+import { permissionFor } from "./permissions.js";
+import { saveRevision } from "./requestRevisions.js";
+import { buildReviewComments, reviewSummary } from "./reviewComments.js";
+import {
+  approversOf,
+  authorizeApprovalStep,
+  buildApprovalSteps,
+  openApprovalSteps,
+} from "./approvalPolicies.js";
+
+/**
+ * Request workflow as a state machine.
+ * Every status change of a request goes through TRANSITIONS; who may run a
+ * transition comes from the permission matrix (utils/permissions.js).
+ *
+ * submit-for-review:  DRAFT -> IN_REVIEW
+ * rp-approve:         IN_REVIEW -> APPROVED_FOR_SUBMISSION
+ * rp-reject:          IN_REVIEW -> REJECTED
+ * request-changes:    IN_REVIEW -> DRAFT (with review comments)
+ * submit-for-bidding: APPROVED_FOR_SUBMISSION -> BIDDING
+ * expire (system):    BIDDING -> EXPIRED (bidding cycle over)
+ * complete-bidding (system): BIDDING -> BID_EVALUATION (offersCount >= maxOffers)
+ * reactivate:         EXPIRED -> APPROVED_FOR_SUBMISSION
+ * rp-recommend-offer: BID_EVALUATION -> RECOMMENDED
+ * send-to-rp:         RECOMMENDED -> SENT_TO_RP
+ * order:              SENT_TO_RP -> ORDERED
+ * cancel:             IN_REVIEW .. SENT_TO_RP -> CANCELLED (offers cancelled)
+ * cancel-order:       ORDERED -> CANCELLED (purchase order cancelled too)
+ */
+export const STATUS = {
+  DRAFT: "DRAFT",
+  IN_REVIEW: "IN_REVIEW",
+  APPROVED_FOR_SUBMISSION: "APPROVED_FOR_SUBMISSION",
+  BIDDING: "BIDDING",
+  BID_EVALUATION: "BID_EVALUATION",
+  RECOMMENDED: "RECOMMENDED",
+  SENT_TO_RP: "SENT_TO_RP",
+  ORDERED: "ORDERED",
+  REJECTED: "REJECTED",
+  EXPIRED: "EXPIRED",
+  CANCELLED: "CANCELLED",
+};
+
+/* =========================
+   Helpers
+========================= */
+function normalizeUsername(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase();
+}
+
+function parseId(idStr) {
+  try {
+    return new ObjectId(String(idStr));
+  } catch {
+    return null;
+  }
+}
+
+function titleOf(doc) {
+  return doc?.title || "Untitled";
+}
+
+function statusOf(doc) {
+  return String(doc?.status || "").toUpperCase();
+}
+
+/**
+ * Permission matrix check for an action on a request: role (or an active
+ * delegation) plus ownership when the action requires it.
+ * Returns { actor, perm } or { error }.
+ */
+export async function authorizeRequestAction(
+  user,
+  action,
+  doc,
+  onBehalfOf = null,
+) {
+  const perm = await permissionFor(action);
+  if (perm.owner && !doc?.createdBy) return { error: "Not allowed" };
+
+  const actor = await resolveActor(user, {
+    roles: perm.roles,
+    owner: perm.owner ? doc.createdBy : null,
+    onBehalfOf,
+  });
+  if (!actor) return { error: "Not allowed" };
+  return { actor, perm };
+}
+
+/**
+ * Notifies the roles that may perform the next action.
+ */
+export async function notifyActionRoles(action, { uniqKey, ...payload }) {
+  const perm = await permissionFor(action);
+  const roles = perm.roles.filter((r) => r !== "SYSTEM_ADMIN");
+  for (const role of roles) {
+    await createNotification({
+      ...payload,
+      uniqKey: roles.length > 1 ? `${uniqKey}:${role}` : uniqKey,
+      toRole: role,
+    });
+  }
+}
+
+export async function findOfferByAnyId(offerIdRaw) {
+  const oidStr = String(offerIdRaw || "").trim();
+  if (!oidStr) return null;
+
+  // 1) try string _id
+  const byString = await db.collection("offers").findOne({ _id: oidStr });
+  if (byString) return byString;
+
+  // 2) try ObjectId _id
+  const asObj = parseId(oidStr);
+  if (asObj) {
+    const byObj = await db.collection("offers").findOne({ _id: asObj });
+    if (byObj) return byObj;
+  }
+
+  // 3) fallback: match by toString(_id)
+  const arr = await db
+    .collection("offers")
+    .aggregate([
+      { $match: { $expr: { $eq: [{ $toString: "$_id" }, oidStr] } } },
+      { $limit: 1 },
+    ])
+    .toArray();
+
+  return arr?.[0] || null;
+}
+
+/**
+ * authorize() of the review decisions: approvers of the open step of the
+ * approval chain (utils/approvalPolicies.js).
+ */
+function approvalAuthorizer({ forApproval }) {
+  return async (user, doc, onBehalfOf) => {
+    const auth = await authorizeApprovalStep(user, doc, {
+      onBehalfOf,
+      forApproval,
+    });
+    if (auth.error) return auth;
+    return { actor: auth.actor, ctx: { step: auth.step } };
+  };
+}
+
+async function notifyApprovers(steps, { uniqKey, ...payload }) {
+  if (!steps?.length) {
+    await notifyActionRoles("requests.review", { uniqKey, ...payload });
+    return;
+  }
+  const { roles, users } = await approversOf(steps);
+  for (const role of roles)
+    await createNotification({
+      ...payload,
+      uniqKey: `${uniqKey}:${role}`,
+      toRole: role,
+    });
+  for (const username of users)
+    await createNotification({
+      ...payload,
+      uniqKey: `${uniqKey}:${username}`,
+      toUsername: username,
+    });
+}
+
+/* =========================
+   Status history
+========================= */
+
+/**
+ * requests.statusHistory is append-only: one entry per status change
+ * { from, to, transition, by, onBehalfOf, at, reason, metadata }.
+ * System changes have by = "SYSTEM".
+ */
+export function historyEntry({
+  from = null,
+  to,
+  transition,
+  actor = null,
+  at = new Date(),
+  reason = "",
+  metadata = {},
+}) {
+  return {
+    from,
+    to,
+    transition,
+    by: actor?.username || "SYSTEM",
+    onBehalfOf: actor?.onBehalfOf || null,
+    at,
+    reason: reason || "",
+    metadata: metadata || {},
+  };
+}
+
+// timestamp field -> status it marks (requests from before statusHistory)
+const LEGACY_STAMPS = [
+  ["createdAt", STATUS.DRAFT, "create", "createdBy"],
+  ["submittedAt", STATUS.IN_REVIEW, "submit-for-review", "submittedBy"],
+  [
+    "rpApprovedAt",
+    STATUS.APPROVED_FOR_SUBMISSION,
+    "rp-approve",
+    "rpApprovedBy",
+  ],
+  ["rpRejectedAt", STATUS.REJECTED, "rp-reject", "rpRejectedBy"],
+  [
+    "biddingStartedAt",
+    STATUS.BIDDING,
+    "submit-for-bidding",
+    "biddingStartedBy",
+  ],
+  ["expiredAt", STATUS.EXPIRED, "expire", null],
+  [
+    "reactivatedAt",
+    STATUS.APPROVED_FOR_SUBMISSION,
+    "reactivate",
+    "reactivatedBy",
+  ],
+  ["bidEvaluationAt", STATUS.BID_EVALUATION, "complete-bidding", null],
+  ["recommendedAt", STATUS.RECOMMENDED, "rp-recommend-offer", "recommendedBy"],
+  ["sentToPoAt", STATUS.SENT_TO_RP, "send-to-rp", "sentToPoBy"],
+  ["orderedAt", STATUS.ORDERED, "order", "orderedBy"],
+  ["cancelledAt", STATUS.CANCELLED, "cancel", "cancelledBy"],
+];
+
+/**
+ * The request's status history. Requests created before statusHistory get
+ * one rebuilt from their timestamps (marked legacy, may miss overwritten
+ * rounds).
+ */
+export function statusHistoryOf(doc) {
+  if (Array.isArray(doc?.statusHistory) && doc.statusHistory.length)
+    return doc.statusHistory;
+
+  const stamps = LEGACY_STAMPS.filter(([field]) => doc?.[field])
+    .map(([field, to, transition, byField]) => ({
+      at: new Date(doc[field]),
+      to,
+      transition,
+      by: (byField && doc[byField]) || (byField ? null : "SYSTEM"),
+    }))
+    .sort((a, b) => a.at - b.at);
+
+  let from = null;
+  return stamps.map((s) => {
+    const entry = {
+      from,
+      to: s.to,
+      transition: s.transition,
+      by: s.by,
+      onBehalfOf: null,
+      at: s.at,
+      reason: s.transition === "rp-reject" ? doc.rpRejectReason || "" : "",
+      metadata: {},
+      legacy: true,
+    };
+    from = s.to;
+    return entry;
+  });
+}
+
+/* =========================
+   Cancellation
+========================= */
+const MAX_CANCEL_REASON = 2000;
+
+// statuses "cancel" works in; ORDERED needs "cancel-order"
+const CANCELLABLE = [
+  STATUS.IN_REVIEW,
+  STATUS.APPROVED_FOR_SUBMISSION,
+  STATUS.BIDDING,
+  STATUS.BID_EVALUATION,
+  STATUS.RECOMMENDED,
+  STATUS.SENT_TO_RP,
+];
+
+/**
+ * Reviewers / planners who acted on the request (status history, approval
+ * steps), without the owner and the actor.
+ */
+function involvedUsers(doc, actor) {
+  const skip = new Set([
+    "system",
+    normalizeUsername(doc?.createdBy),
+    actor?.username,
+  ]);
+  const users = [
+    ...statusHistoryOf(doc).flatMap((e) => [e.by, e.onBehalfOf]),
+    ...(doc?.approvalSteps || []).flatMap((s) => [
+      s.approvedBy,
+      s.approvedOnBehalfOf,
+    ]),
+  ].map(normalizeUsername);
+  return [...new Set(users)].filter((u) => u && !skip.has(u));
+}
+
+/**
+ * guard() part of both cancel transitions: mandatory reason, who to tell.
+ */
+async function prepareCancellation(ctx) {
+  const reason = String(ctx.body?.reason || "").trim();
+  if (!reason) return { status: 400, error: "reason is required" };
+  if (reason.length > MAX_CANCEL_REASON)
+    return {
+      status: 400,
+      error: `reason must be at most ${MAX_CANCEL_REASON} characters`,
+    };
+
+  ctx.reason = reason;
+  ctx.involved = involvedUsers(ctx.doc, ctx.actor);
+  // every provider with an offer (offers pushed before API keys included)
+  const providers = await db
+    .collection("offers")
+    .distinct("providerUsername", { requestId: ctx.requestId });
+  ctx.providers = [...new Set(providers.map(normalizeUsername))].filter(
+    Boolean,
+  );
+  return null;
+}
+
+/**
+ * Marks the request's offers CANCELLED (previousStatus keeps the old one).
+ * Returns how many changed.
+ */
+async function cancelOffers(requestId, now) {
+  const r = await db
+    .collection("offers")
+    .updateMany({ requestId, status: { $ne: "CANCELLED" } }, [
+      {
+        $set: {
+          previousStatus: "$status",
+          status: "CANCELLED",
+          cancelledAt: now,
+          updatedAt: now,
+        },
+      },
+    ]);
+  return r.modifiedCount;
+}
+
+function cancelMessage(text, reason) {
+  return `${text} Reason: ${reason}`;
+}
+
+const CANCEL_NOTIFY = [
+  {
+    key: "CANCELLED_PM",
+    to: "owner",
+    type: "REQUEST_CANCELLED",
+    title: "Request cancelled",
+    message: ({ doc, reason }) =>
+      cancelMessage(`Your request "${titleOf(doc)}" was cancelled.`, reason),
+  },
+  {
+    key: "CANCELLED_PROVIDER",
+    to: { users: ({ providers }) => providers },
+    type: "REQUEST_CANCELLED",
+    title: "Request cancelled",
+    message: ({ doc, reason }) =>
+      cancelMessage(
+        `Request "${titleOf(doc)}" was cancelled, your offer was withdrawn.`,
+        reason,
+      ),
+  },
+  {
+    key: "CANCELLED_INVOLVED",
+    to: { users: ({ involved }) => involved },
+    type: "REQUEST_CANCELLED",
+    title: "Request cancelled",
+    message: ({ doc, reason }) =>
+      cancelMessage(`Request "${titleOf(doc)}" was cancelled.`, reason),
+  },
+  // whoever has it in their queue right now
+  {
+    key: "CANCELLED_REVIEWERS",
+    to: "approvers",
+    when: ({ doc }) => statusOf(doc) === STATUS.IN_REVIEW,
+    type: "REQUEST_CANCELLED",
+    title: "Request cancelled",
+    message: ({ doc, reason }) =>
+      cancelMessage(
+        `Request "${titleOf(doc)}" was cancelled and needs no review.`,
+        reason,
+      ),
+  },
+  {
+    key: "CANCELLED_EVALUATORS",
+    to: { action: "requests.recommendOffer" },
+    when: ({ doc }) => statusOf(doc) === STATUS.BID_EVALUATION,
+    type: "REQUEST_CANCELLED",
+    title: "Request cancelled",
+    message: ({ doc, reason }) =>
+      cancelMessage(
+        `Request "${titleOf(doc)}" was cancelled and needs no evaluation.`,
+        reason,
+      ),
+  },
+  {
+    key: "CANCELLED_ORDERING",
+    to: { action: "requests.order" },
+    when: ({ doc }) => statusOf(doc) === STATUS.SENT_TO_RP,
+    type: "REQUEST_CANCELLED",
+    title: "Request cancelled",
+    message: ({ doc, reason }) =>
+      cancelMessage(
+        `Request "${titleOf(doc)}" was cancelled and must not be ordered.`,
+        reason,
+      ),
+  },
+];
+
+/* =========================
+   Transitions
+========================= */
+
+/**
+ * name -> {
+ *   from, to           states
+ *   action             permission matrix action (none: system transition)
+ *   authorize(user, doc, onBehalfOf)   replaces the action check
+ *                      -> { actor, ctx? } or { error }
+ *   substitute         body.onBehalfOf may name the principal
+ *   stamp              sets <stamp>At (+ <stamp>By / <stamp>OnBehalfOf)
+ *   stay(ctx)          true: keep the status (partial step, e.g. one of
+ *                      several approvals), recorded in the history anyway
+ *   claim(ctx)         extra filter of the atomic status update (runs
+ *                      after stay, ctx.stayed is set)
+ *   forbidden          error when the role check fails (string, or
+ *                      (roles of the action) -> string)
+ *   wrongStatus, wrongStatusCode   error when the status does not fit
+ *   guard(ctx)         extra checks -> { status, error } stops the transition
+ *   set(ctx), unset    extra fields changed together with the status
+ *   push(ctx)          extra $push (arrays) together with the status
+ *   reason(ctx), metadata(ctx)   stored in the status history entry
+ *   after(ctx)         side effects once the status changed -> { result? }
+ *   notify             [{ key, to: "owner" | "approvers" | { role } |
+ *                         { action } | { users(ctx) }, when(ctx)?, type?,
+ *                         title, message(ctx) }]
+ * }
+ * ctx = { doc, requestId, actor, body, now, ...data from guard }
+ */
+export const TRANSITIONS = {
+  "submit-for-review": {
+    from: [STATUS.DRAFT],
+    to: STATUS.IN_REVIEW,
+    action: "requests.submitForReview",
+    stamp: "submitted",
+    wrongStatus: "Only DRAFT can be submitted for review",
+    // approval chain from the policy, rebuilt on every (re)submission
+    async guard(ctx) {
+      ctx.approvalSteps = await buildApprovalSteps(ctx.doc);
+      return null;
+    },
+    set: ({ approvalSteps }) => ({ approvalSteps }),
+    // resubmission after "request-changes": how many comments were resolved
+    metadata: ({ doc }) => {
+      const review = reviewSummary(doc);
+      return review ? { review } : {};
+    },
+    notify: [
+      {
+        key: "SUBMITTED_FOR_REVIEW_REVIEWER",
+        to: "approvers",
+        title: "New request in review",
+        message: ({ doc }) => {
+          const review = reviewSummary(doc);
+          if (!review) return `Request "${titleOf(doc)}" submitted for review.`;
+          return `Request "${titleOf(doc)}" resubmitted for review (${
+            review.resolved
+          } of ${review.total} comment(s) addressed).`;
+        },
+      },
+      {
+        key: "SUBMITTED_FOR_REVIEW_PM",
+        to: "owner",
+        title: "Submitted for review",
+        message: ({ doc }) =>
+          `Your request "${titleOf(doc)}" is now IN_REVIEW.`,
+      },
+    ],
+  },
+
+  // approves one step of the chain; the last one moves the request on
+  "rp-approve": {
+    from: [STATUS.IN_REVIEW],
+    to: STATUS.APPROVED_FOR_SUBMISSION,
+    action: "requests.review",
+    authorize: approvalAuthorizer({ forApproval: true }),
+    substitute: true,
+    stamp: "rpApproved",
+    forbidden: (roles) => `Only ${roles.join(" / ")} can approve`,
+    wrongStatus: "Only IN_REVIEW requests can be approved",
+    guard(ctx) {
+      if (!ctx.step) return null;
+      ctx.approvalSteps = ctx.doc.approvalSteps.map((s) =>
+        s.key === ctx.step.key
+          ? {
+              ...s,
+              status: "APPROVED",
+              approvedBy: ctx.actor.username,
+              approvedOnBehalfOf: ctx.actor.onBehalfOf || null,
+              approvedAt: ctx.now,
+            }
+          : s,
+      );
+      return null;
+    },
+    stay: ({ approvalSteps }) =>
+      !!approvalSteps && openApprovalSteps(approvalSteps).length > 0,
+    // the step is still open and, matching stay(), others are (not) pending:
+    // of two parallel last approvals one fails with 409 and is retried
+    claim: ({ step, stayed }) => {
+      if (!step) return {};
+      const othersPending = {
+        approvalSteps: {
+          $elemMatch: { key: { $ne: step.key }, status: "PENDING" },
+        },
+      };
+      return {
+        $and: [
+          {
+            approvalSteps: {
+              $elemMatch: { key: step.key, status: "PENDING" },
+            },
+          },
+          stayed ? othersPending : { $nor: [othersPending] },
+        ],
+      };
+    },
+    set: ({ approvalSteps }) => (approvalSteps ? { approvalSteps } : {}),
+    metadata: ({ step, approvalSteps }) =>
+      step
+        ? {
+            step: step.key,
+            open: openApprovalSteps(approvalSteps).map((s) => s.key),
+          }
+        : {},
+    notify: [
+      {
+        key: "APPROVAL_STEP_OPEN",
+        to: "approvers",
+        when: ({ stayed }) => stayed,
+        title: "Approval needed",
+        message: ({ doc, step }) =>
+          `Request "${titleOf(doc)}" passed "${
+            step?.label || "review"
+          }" and needs your approval.`,
+      },
+      {
+        key: "REVIEW_APPROVED",
+        to: "owner",
+        when: ({ stayed }) => !stayed,
+        title: "Request approved",
+        message: ({ doc }) =>
+          `Your request "${titleOf(doc)}" was approved for submission.`,
+      },
+    ],
+  },
+
+  "rp-reject": {
+    from: [STATUS.IN_REVIEW],
+    to: STATUS.REJECTED,
+    action: "requests.review",
+    authorize: approvalAuthorizer({ forApproval: false }),
+    substitute: true,
+    stamp: "rpRejected",
+    forbidden: (roles) => `Only ${roles.join(" / ")} can reject`,
+    wrongStatus: "Only IN_REVIEW requests can be rejected",
+    set: ({ body }) => ({
+      rpRejectReason: String(body?.reason || "").trim(),
+    }),
+    reason: ({ body }) => String(body?.reason || "").trim(),
+    notify: [
+      {
+        key: "REVIEW_REJECTED",
+        to: "owner",
+        title: "Request rejected",
+        message: ({ doc, body }) => {
+          const reason = String(body?.reason || "").trim();
+          return `Your request "${titleOf(doc)}" was rejected. ${
+            reason ? `Reason: ${reason}` : ""
+          }`.trim();
+        },
+      },
+    ],
+  },
+
+  // rework loop: back to DRAFT with per-field comments the PM resolves
+  "request-changes": {
+    from: [STATUS.IN_REVIEW],
+    to: STATUS.DRAFT,
+    action: "requests.review",
+    authorize: approvalAuthorizer({ forApproval: false }),
+    substitute: true,
+    stamp: "changesRequested",
+    forbidden: (roles) => `Only ${roles.join(" / ")} can request changes`,
+    wrongStatus: "Only IN_REVIEW requests can be sent back for changes",
+    guard(ctx) {
+      ctx.round = Number(ctx.doc.reviewRound || 0) + 1;
+      const built = buildReviewComments(ctx.body?.comments, {
+        actor: ctx.actor,
+        now: ctx.now,
+        round: ctx.round,
+        revision: Number(ctx.doc.revisionCount || 0) || null,
+      });
+      if (built.violations)
+        return {
+          status: 400,
+          error: "Invalid review comments",
+          violations: built.violations,
+        };
+      ctx.comments = built.comments;
+      return null;
+    },
+    set: ({ round }) => ({ reviewRound: round }),
+    push: ({ comments }) => ({ reviewComments: { $each: comments } }),
+    reason: ({ body }) => String(body?.summary || "").trim(),
+    metadata: ({ round, comments }) => ({ round, comments: comments.length }),
+    notify: [
+      {
+        key: "CHANGES_REQUESTED",
+        to: "owner",
+        title: "Changes requested",
+        message: ({ doc, comments }) =>
+          `Your request "${titleOf(doc)}" is back in DRAFT with ${
+            comments.length
+          } review comment(s).`,
+      },
+    ],
+  },
+
+  "submit-for-bidding": {
+    from: [STATUS.APPROVED_FOR_SUBMISSION],
+    to: STATUS.BIDDING,
+    action: "requests.submitForBidding",
+    stamp: "biddingStarted",
+    wrongStatus: "Only APPROVED_FOR_SUBMISSION can go to BIDDING",
+    notify: [
+      {
+        key: "BIDDING_OPEN_SP",
+        to: { role: "SERVICE_PROVIDER" },
+        title: "New bidding request",
+        message: ({ doc }) =>
+          `New request "${titleOf(doc)}" is open for bidding.`,
+      },
+      {
+        key: "BIDDING_OPEN_PM",
+        to: "owner",
+        title: "Bidding started",
+        message: ({ doc }) => `Your request "${titleOf(doc)}" is now BIDDING.`,
+      },
+    ],
+  },
+
+  expire: {
+    system: true,
+    from: [STATUS.BIDDING],
+    to: STATUS.EXPIRED,
+    stamp: "expired",
+    notify: [
+      {
+        key: "EXPIRED",
+        to: "owner",
+        type: "REQUEST_EXPIRED",
+        title: "Request expired",
+        message: ({ doc }) =>
+          `Your request "${titleOf(doc)}" has expired after the bidding cycle.`,
+      },
+    ],
+  },
+
+  "complete-bidding": {
+    system: true,
+    from: [STATUS.BIDDING],
+    to: STATUS.BID_EVALUATION,
+    stamp: "bidEvaluation",
+    metadata: ({ offersCount }) => ({ offersCount: offersCount ?? null }),
+    notify: [
+      {
+        key: "AUTO_TO_BID_EVAL_PM",
+        to: "owner",
+        title: "Bidding completed",
+        message: ({ doc }) =>
+          `Your request "${titleOf(doc)}" moved to BID_EVALUATION (offers reached max).`,
+      },
+      {
+        key: "AUTO_TO_BID_EVAL_EVALUATOR",
+        to: { action: "requests.recommendOffer" },
+        title: "Requests ready for evaluation",
+        message: ({ doc }) =>
+          `Request "${titleOf(doc)}" is now in BID_EVALUATION.`,
+      },
+    ],
+  },
+
+  reactivate: {
+    from: [STATUS.EXPIRED],
+    to: STATUS.APPROVED_FOR_SUBMISSION,
+    action: "requests.reactivate",
+    stamp: "reactivated",
+    wrongStatus: "Only EXPIRED requests can be reactivated",
+    unset: [
+      "biddingStartedAt",
+      "biddingStartedBy",
+      "biddingStartedOnBehalfOf",
+      "expiredAt",
+    ],
+    // the unset fields of the finished bidding round stay in the history
+    metadata: ({ doc }) => ({
+      previousBiddingStartedAt: doc.biddingStartedAt || null,
+      previousBiddingStartedBy: doc.biddingStartedBy || null,
+      previousExpiredAt: doc.expiredAt || null,
+    }),
+    notify: [
+      {
+        key: "REACTIVATED",
+        to: "owner",
+        title: "Request reactivated",
+        message: ({ doc }) =>
+          `Your request "${titleOf(doc)}" was reactivated to APPROVED_FOR_SUBMISSION.`,
+      },
+    ],
+  },
+
+  "rp-recommend-offer": {
+    from: [STATUS.BID_EVALUATION],
+    to: STATUS.RECOMMENDED,
+    action: "requests.recommendOffer",
+    substitute: true,
+    stamp: "recommended",
+    wrongStatusCode: 400,
+    wrongStatus: ({ doc }) =>
+      `Cannot recommend when status is ${statusOf(doc)}. Must be BID_EVALUATION.`,
+    async guard(ctx) {
+      const offerIdRaw = String(ctx.body?.offerId || "").trim();
+      if (!offerIdRaw) return { status: 400, error: "offerId missing" };
+
+      // ✅ Works for both string _id and ObjectId _id
+      const offer = await findOfferByAnyId(offerIdRaw);
+      if (!offer) return { status: 404, error: "Offer not found" };
+
+      // ✅ Offer must belong to this request
+      if (String(offer.requestId) !== ctx.requestId)
+        return { status: 403, error: "Offer does not belong to this request" };
+
+      ctx.offer = offer;
+      return null;
+    },
+    set: ({ offer }) => ({ recommendedOfferId: String(offer._id) }),
+    metadata: ({ offer }) => ({ offerId: String(offer._id) }),
+    notify: [],
+  },
+
+  "send-to-rp": {
+    from: [STATUS.RECOMMENDED],
+    to: STATUS.SENT_TO_RP,
+    action: "requests.sendToRp",
+    stamp: "sentToPo",
+    wrongStatus: "Only RECOMMENDED can be sent to PO",
+    notify: [
+      {
+        key: "SENT_TO_RP",
+        to: { action: "requests.order" },
+        type: "REQUEST_SENT_TO_RP",
+        title: "New request for ordering",
+        message: ({ doc }) =>
+          `A request "${titleOf(doc)}" is ready for ordering.`,
+      },
+      {
+        key: "SENT_TO_RP_PM",
+        to: "owner",
+        title: "Sent to procurement",
+        message: ({ doc }) =>
+          `Your request "${titleOf(doc)}" is now SENT_TO_RP.`,
+      },
+    ],
+  },
+
+  order: {
+    from: [STATUS.SENT_TO_RP],
+    to: STATUS.ORDERED,
+    action: "requests.order",
+    substitute: true,
+    stamp: "ordered",
+    forbidden: (roles) => `Only ${roles.join(" / ")} can order`,
+    wrongStatus: "Only SENT_TO_RP can be ordered",
+    async guard(ctx) {
+      const offerId = String(
+        ctx.body?.offerId || ctx.doc.recommendedOfferId || "",
+      ).trim();
+      if (!offerId)
+        return { status: 400, error: "offerId missing (no recommended offer)" };
+
+      // ✅ supports string _id and ObjectId _id offers
+      const offer = await findOfferByAnyId(offerId);
+      if (!offer) return { status: 404, error: "Offer not found" };
+
+      // ✅ must belong to this request
+      if (String(offer.requestId) !== ctx.requestId)
+        return { status: 403, error: "Offer does not belong to request" };
+
+      ctx.offer = offer;
+      ctx.orderId = new ObjectId();
+      return null;
+    },
+    set: ({ offer, orderId }) => ({
+      orderedOfferId: String(offer._id),
+      orderId: String(orderId),
+    }),
+    metadata: ({ offer, orderId }) => ({
+      offerId: String(offer._id),
+      orderId: String(orderId),
+    }),
+    async after({ doc, offer, orderId, actor, now, requestId }) {
+      const po = {
+        _id: orderId,
+        requestId,
+        offerId: String(offer._id),
+        ...actorFields("ordered", actor),
+        orderedAt: now,
+
+        totalPrice: offer.price ?? null,
+        currency: offer.currency || "EUR",
+        providerUsername: offer.providerUsername || "",
+        providerName: offer.providerName || "",
+
+        rolesProvided: offer.rolesProvided || [],
+        deliveryDays: offer.deliveryDays ?? null,
+
+        snapshot: {
+          requestTitle: doc.title || "",
+          requestType: doc.type || "",
+          projectId: doc.projectId || "",
+          projectName: doc.projectName || "",
+          supplier: doc.contractSupplier || "",
+          offer: {
+            price: offer.price ?? null,
+            currency: offer.currency || "EUR",
+            deliveryDays: offer.deliveryDays ?? null,
+            notes: offer.notes || "",
+          },
+        },
+
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await db.collection("purchase_orders").insertOne(po);
+
+      // ✅ update using the real offer._id (string OR ObjectId)
+      await db
+        .collection("offers")
+        .updateOne(
+          { _id: offer._id },
+          { $set: { status: "ORDERED", updatedAt: now } },
+        );
+
+      return { result: { orderId: String(orderId) } };
+    },
+    notify: [
+      {
+        key: "ORDERED_PM",
+        to: "owner",
+        title: "Request ordered",
+        message: ({ doc }) => `Your request "${titleOf(doc)}" is now ORDERED.`,
+      },
+      {
+        key: "ORDERED_ORDERING_ROLE",
+        to: { action: "requests.order" },
+        title: "Order placed",
+        message: ({ doc }) => `Order placed for request "${titleOf(doc)}".`,
+      },
+    ],
+  },
+  // stops a running request; ORDERED ones go through "cancel-order"
+  cancel: {
+    from: CANCELLABLE,
+    to: STATUS.CANCELLED,
+    action: "requests.cancel",
+    stamp: "cancelled",
+    forbidden: "Not allowed to cancel",
+    wrongStatus: ({ doc }) => {
+      const status = statusOf(doc);
+      if (status === STATUS.ORDERED)
+        return "ORDERED requests are cancelled with their purchase order (cancel-order)";
+      if (status === STATUS.DRAFT)
+        return "DRAFT requests are deleted, not cancelled";
+      return `Cannot cancel a ${status} request`;
+    },
+    guard: prepareCancellation,
+    set: ({ doc, reason }) => ({
+      cancelReason: reason,
+      cancelledFromStatus: statusOf(doc),
+    }),
+    reason: ({ reason }) => reason,
+    async after({ requestId, now }) {
+      const offersCancelled = await cancelOffers(requestId, now);
+      return { result: { offersCancelled } };
+    },
+    notify: CANCEL_NOTIFY,
+  },
+
+  "cancel-order": {
+    from: [STATUS.ORDERED],
+    to: STATUS.CANCELLED,
+    action: "orders.cancel",
+    substitute: true,
+    stamp: "cancelled",
+    forbidden: "Not allowed to cancel orders",
+    wrongStatus: "Only ORDERED requests have an order to cancel",
+    async guard(ctx) {
+      const stop = await prepareCancellation(ctx);
+      if (stop) return stop;
+
+      const orderId = parseId(ctx.doc.orderId);
+      const order = orderId
+        ? await db.collection("purchase_orders").findOne({ _id: orderId })
+        : null;
+      if (!order) return { status: 409, error: "Purchase order not found" };
+      if (order.status === STATUS.CANCELLED)
+        return { status: 409, error: "Purchase order is already cancelled" };
+
+      ctx.order = order;
+      const provider = normalizeUsername(order.providerUsername);
+      if (provider && !ctx.providers.includes(provider))
+        ctx.providers.push(provider);
+      return null;
+    },
+    set: ({ doc, reason }) => ({
+      cancelReason: reason,
+      cancelledFromStatus: statusOf(doc),
+    }),
+    reason: ({ reason }) => reason,
+    metadata: ({ order }) => ({ orderId: String(order._id) }),
+    async after({ order, actor, reason, requestId, now }) {
+      await db.collection("purchase_orders").updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            status: STATUS.CANCELLED,
+            ...actorFields("cancelled", actor),
+            cancelledAt: now,
+            cancelReason: reason,
+            updatedAt: now,
+          },
+        },
+      );
+      const offersCancelled = await cancelOffers(requestId, now);
+      return { result: { orderId: String(order._id), offersCancelled } };
+    },
+    notify: CANCEL_NOTIFY,
+  },
+};
+
+async function sendTransitionNotifications(t, ctx) {
+  for (const n of t.notify || []) {
+    if (n.when && !n.when(ctx)) continue;
+    const payload = {
+      // per status change: transitions can repeat (rework, reactivation)
+      uniqKey: `${ctx.requestId}:${n.key}:${statusHistoryOf(ctx.doc).length}`,
+      type: n.type || "REQUEST_STATUS",
+      title: n.title,
+      message: n.message(ctx),
+      requestId: ctx.requestId,
+    };
+
+    if (n.to === "owner") {
+      if (ctx.doc.createdBy)
+        await createNotification({ ...payload, toUsername: ctx.doc.createdBy });
+    } else if (n.to === "approvers") {
+      await notifyApprovers(
+        ctx.approvalSteps || ctx.doc.approvalSteps,
+        payload,
+      );
+    } else if (n.to.role) {
+      await createNotification({ ...payload, toRole: n.to.role });
+    } else if (n.to.action) {
+      await notifyActionRoles(n.to.action, payload);
+    } else if (n.to.users) {
+      for (const username of n.to.users(ctx))
+        await createNotification({
+          ...payload,
+          uniqKey: `${payload.uniqKey}:${username}`,
+          toUsername: username,
+        });
+    }
+  }
+}
+
+/**
+ * Moves the request to t.to if it is still in one of t.from.
+ * Returns false when another change came first.
+ */
+async function applyTransition(t, ctx) {
+  ctx.stayed = t.stay ? t.stay(ctx) : false;
+  const to = ctx.stayed ? statusOf(ctx.doc) : t.to;
+
+  const $set = {
+    status: to,
+    ...(ctx.stayed
+      ? {}
+      : {
+          [`${t.stamp}At`]: ctx.now,
+          ...(ctx.actor ? actorFields(t.stamp, ctx.actor) : {}),
+        }),
+    ...(t.set ? t.set(ctx) : {}),
+    updatedAt: ctx.now,
+  };
+  const entry = historyEntry({
+    from: statusOf(ctx.doc),
+    to,
+    transition: ctx.name,
+    actor: ctx.actor,
+    at: ctx.now,
+    reason: t.reason ? t.reason(ctx) : "",
+    metadata: t.metadata ? t.metadata(ctx) : {},
+  });
+  const update = {
+    $set,
+    $push: { statusHistory: entry, ...(t.push ? t.push(ctx) : {}) },
+  };
+  if (t.unset?.length)
+    update.$unset = Object.fromEntries(t.unset.map((f) => [f, ""]));
+
+  const filter = {
+    _id: ctx.doc._id,
+    status: { $in: t.from },
+    ...(t.claim ? t.claim(ctx) : {}),
+  };
+  const r = await db.collection("requests").updateOne(filter, update);
+  if (!r.matchedCount) return false;
+
+  // content as submitted, for diffs across review cycles
+  if (statusOf(ctx.doc) === STATUS.DRAFT)
+    await saveRevision(ctx.doc, { trigger: ctx.name, actor: ctx.actor });
+
+  const after = t.after ? await t.after(ctx) : null;
+  ctx.result = after?.result || {};
+
+  await sendTransitionNotifications(t, ctx);
+  return true;
+}
+
+async function forbiddenMessage(t, fallback) {
+  if (typeof t.forbidden !== "function") return t.forbidden || fallback;
+  return t.forbidden((await permissionFor(t.action)).roles);
+}
+
+/**
+ * Checks role / ownership of a user transition.
+ * Returns { actor } or { status, error }.
+ */
+async function authorizeTransition(t, user, doc, onBehalfOf) {
+  const principal = t.substitute ? onBehalfOf : null;
+  const auth = t.authorize
+    ? await t.authorize(user, doc, principal)
+    : await authorizeRequestAction(user, t.action, doc, principal);
+  if (auth.error)
+    return { status: 403, error: await forbiddenMessage(t, auth.error) };
+  return { actor: auth.actor, ctx: auth.ctx || {} };
+}
+
+/**
+ * Runs a user transition on a loaded request.
+ * Returns { request, result } or { status, error, ... }.
+ */
+export async function runTransition(name, { user, doc, body = {} }) {
+  const t = TRANSITIONS[name];
+  if (!t || t.system) return { status: 404, error: "Unknown transition" };
+
+  const auth = await authorizeTransition(t, user, doc, body?.onBehalfOf);
+  if (auth.error) return auth;
+
+  const ctx = {
+    ...auth.ctx,
+    name,
+    doc,
+    requestId: String(doc._id),
+    actor: auth.actor,
+    body,
+    now: new Date(),
+  };
+
+  if (!t.from.includes(statusOf(doc))) {
+    const msg =
+      typeof t.wrongStatus === "function" ? t.wrongStatus(ctx) : t.wrongStatus;
+    return {
+      status: t.wrongStatusCode || 403,
+      error: msg || `Not possible in status ${statusOf(doc)}`,
+      currentStatus: statusOf(doc),
+    };
+  }
+
+  if (t.guard) {
+    const stop = await t.guard(ctx);
+    if (stop) return stop;
+  }
+
+  if (!(await applyTransition(t, ctx))) {
+    return { status: 409, error: "Request status changed, reload and retry" };
+  }
+
+  const request = await db.collection("requests").findOne({ _id: doc._id });
+  return { request, result: ctx.result };
+}
+
+/**
+ * Runs a system transition (no actor). data is merged into ctx.
+ * Returns true when it was applied.
+ */
+export async function runSystemTransition(name, doc, data = {}) {
+  const t = TRANSITIONS[name];
+  if (!t?.system) throw new Error(`Unknown system transition: ${name}`);
+  if (!t.from.includes(statusOf(doc))) return false;
+
+  return await applyTransition(t, {
+    ...data,
+    name,
+    doc,
+    requestId: String(doc._id),
+    actor: null,
+    body: {},
+    now: new Date(),
+  });
+}
+
+/**
+ * User transitions the user may run on the request right now.
+ * Guards that need input (e.g. offerId) are not evaluated.
+ */
+export async function availableTransitions(user, doc) {
+  const out = [];
+  for (const [name, t] of Object.entries(TRANSITIONS)) {
+    if (t.system || !t.from.includes(statusOf(doc))) continue;
+
+    const auth = await authorizeTransition(t, user, doc, null);
+    if (auth.error) continue;
+
+    out.push({
+      name,
+      from: statusOf(doc),
+      to: t.to,
+      action: t.action,
+      onBehalfOf: auth.actor.onBehalfOf,
+    });
+  }
+  return out;
+}
@@ -0,0 +1,166 @@
+// utils/reviewComments.js
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import { REQUEST_SCHEMA } from "./requestSchema.js";
+import { diffRevisions, findRevision } from "./requestRevisions.js";
+
+/**
+ * Reviewer feedback of the rework loop ("request-changes" transition).
+ * requests.reviewComments = [{
+ *   id, round, field ("" = whole request, else e.g. "title" or
+ *   "roles[roleName=Developer].manDays"), comment, by, onBehalfOf, createdAt,
+ *   revision (latest revision when the comment was made),
+ *   resolved, resolvedAt, resolvedBy, resolution
+ * }]
+ * requests.reviewRound counts how often changes were requested.
+ */
+const MAX_COMMENTS = 50;
+const MAX_COMMENT_LENGTH = 2000;
+
+function topLevelField(path) {
+  return String(path).split(/[.[]/)[0];
+}
+
+/**
+ * Validates body.comments of "request-changes".
+ * Returns { comments } or { violations: [{ field, code, message }] }.
+ */
+export function buildReviewComments(raw, { actor, now, round, revision }) {
+  const violations = [];
+  const add = (field, code, message) =>
+    violations.push({ field, code, message });
+
+  if (!Array.isArray(raw) || !raw.length) {
+    add("comments", "REQUIRED", "At least one comment is required");
+    return { violations };
+  }
+  if (raw.length > MAX_COMMENTS) {
+    add("comments", "TOO_MANY", `At most ${MAX_COMMENTS} comments`);
+    return { violations };
+  }
+
+  const comments = raw.map((c, i) => {
+    const field = String(c?.field || "").trim();
+    const comment = String(c?.comment || "").trim();
+
+    if (field && !REQUEST_SCHEMA[topLevelField(field)])
+      add(`comments[${i}].field`, "UNKNOWN_FIELD", "Unknown request field");
+    if (!comment)
+      add(`comments[${i}].comment`, "REQUIRED", "Comment must not be empty");
+    else if (comment.length > MAX_COMMENT_LENGTH)
+      add(
+        `comments[${i}].comment`,
+        "TOO_LONG",
+        `At most ${MAX_COMMENT_LENGTH} characters`,
+      );
+
+    return {
+      id: String(new ObjectId()),
+      round,
+      field,
+      comment,
+      by: actor.username,
+      onBehalfOf: actor.onBehalfOf || null,
+      createdAt: now,
+      revision,
+      resolved: false,
+      resolvedAt: null,
+      resolvedBy: null,
+      resolution: "",
+    };
+  });
+
+  if (violations.length) return { violations };
+  return { comments };
+}
+
+/**
+ * Marks a comment resolved (or open again). Returns false when not found.
+ */
+export async function setReviewCommentResolved(
+  doc,
+  commentId,
+  { resolved, actor, note = "" },
+) {
+  const now = new Date();
+  const r = await db.collection("requests").updateOne(
+    { _id: doc._id, "reviewComments.id": commentId },
+    {
+      $set: resolved
+        ? {
+            "reviewComments.$.resolved": true,
+            "reviewComments.$.resolvedAt": now,
+            "reviewComments.$.resolvedBy": actor.username,
+            "reviewComments.$.resolution": String(note || "").trim(),
+            updatedAt: now,
+          }
+        : {
+            "reviewComments.$.resolved": false,
+            "reviewComments.$.resolvedAt": null,
+            "reviewComments.$.resolvedBy": null,
+            "reviewComments.$.resolution": "",
+            updatedAt: now,
+          },
+    },
+  );
+  return r.matchedCount > 0;
+}
+
+/**
+ * Comment counts of the latest round, e.g. for the resubmission.
+ * Returns { round, total, resolved, open } or null without comments.
+ */
+export function reviewSummary(doc) {
+  const round = Number(doc?.reviewRound || 0);
+  if (!round) return null;
+  const current = (doc.reviewComments || []).filter((c) => c.round === round);
+  const resolved = current.filter((c) => c.resolved).length;
+  return {
+    round,
+    total: current.length,
+    resolved,
+    open: current.length - resolved,
+  };
+}
+
+function touches(changePath, field) {
+  return (
+    changePath === field ||
+    changePath.startsWith(`${field}.`) ||
+    changePath.startsWith(`${field}[`) ||
+    field.startsWith(`${changePath}.`) ||
+    field.startsWith(`${changePath}[`)
+  );
+}
+
+/**
+ * Comments with fieldChanged: whether the commented field differs between
+ * the revision the comment was made on and the latest one (null for
+ * comments on the whole request).
+ */
+export async function reviewCommentsWithChanges(doc) {
+  const comments = doc?.reviewComments || [];
+  const latestNumber = Number(doc?.revisionCount || 0);
+  const requestId = String(doc._id);
+
+  const latest = latestNumber
+    ? await findRevision(requestId, latestNumber)
+    : null;
+  const diffs = new Map();
+
+  const out = [];
+  for (const c of comments) {
+    let fieldChanged = null;
+    if (c.field && latest && c.revision) {
+      if (!diffs.has(c.revision)) {
+        const base = await findRevision(requestId, c.revision);
+        diffs.set(c.revision, base ? diffRevisions(base, latest) : null);
+      }
+      const changes = diffs.get(c.revision);
+      if (changes)
+        fieldChanged = changes.some((ch) => touches(ch.path, c.field));
+    }
+    out.push({ ...c, fieldChanged });
+  }
+  return out;
+}
@@ -0,0 +1,287 @@
+// utils/tenants.js
+import { AsyncLocalStorage } from "async_hooks";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Multi-tenant data isolation.
+ * Every user belongs to one tenant (users.tenantId, e.g. a subsidiary) and
+ * every document of a TENANT_COLLECTIONS collection carries a tenantId.
+ *
+ * resolveIdentity runs each API request inside the caller's tenant
+ * (runWithTenant); the db handle from db.js (scopeDatabase) then adds the
+ * tenant to every filter / inserted document of those collections, so routers
+ * and utils keep using plain db.collection(...) calls.
+ *
+ * - no tenant context (login, background jobs, migrations): unscoped
+ * - context without a tenant (identity failed): scoped queries throw
+ *
+ * Usernames / emails stay globally unique; the employee directory copy and
+ * the login / token bookkeeping are shared.
+ */
+export const TENANT_COLLECTIONS = new Set([
+  "users",
+  "requests",
+  "request_revisions",
+  "request_templates",
+  "offers",
+  "purchase_orders",
+  "comments",
+  "attachments",
+  "notifications",
+  "delegations",
+  "api_keys",
+  "user_reconciliations",
+  "permission_overrides",
+  "settings",
+  "impersonation_sessions",
+  "impersonation_audit",
+]);
+
+// collections whose documents used _id as their key before tenants
+const LEGACY_ID_KEYS = {
+  settings: "key",
+  permission_overrides: "action",
+};
+
+export function normalizeTenantId(raw) {
+  return String(raw || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, "");
+}
+
+export const DEFAULT_TENANT =
+  normalizeTenantId(process.env.DEFAULT_TENANT_ID) || "default";
+
+/**
+ * Tenant of a user / document (documents from before tenants -> default).
+ */
+export function tenantOf(doc) {
+  return normalizeTenantId(doc?.tenantId) || DEFAULT_TENANT;
+}
+
+/* =========================
+   Context
+========================= */
+const storage = new AsyncLocalStorage();
+
+/**
+ * undefined: no context (unscoped), null: context without tenant, else id.
+ */
+export function currentTenant() {
+  const store = storage.getStore();
+  return store ? store.tenantId : undefined;
+}
+
+export function runWithTenant(tenantId, fn) {
+  return storage.run({ tenantId: tenantId || null }, fn);
+}
+
+/**
+ * Switches the rest of the current async flow to tenantId
+ * (e.g. after an API key identified its owner).
+ */
+export function enterTenant(tenantId) {
+  storage.enterWith({ tenantId: tenantId || null });
+}
+
+/**
+ * For the few cross-tenant lookups that identify the tenant themselves
+ * (API keys by prefix).
+ */
+export function runUnscoped(fn) {
+  return storage.exit(fn);
+}
+
+/**
+ * Tenant of a public (anonymous) route: the caller's own tenant when the
+ * request carries an identity, else X-Tenant-Id, else DEFAULT_TENANT.
+ */
+export function publicTenantOf(req) {
+  return (
+    req.identity?.tenantId ||
+    normalizeTenantId(req.get?.("x-tenant-id")) ||
+    DEFAULT_TENANT
+  );
+}
+
+/**
+ * Socket.IO room name, e.g. tenantRoom("acme", "role", "PROJECT_MANAGER").
+ */
+export function tenantRoom(tenantId, kind, name) {
+  return `tenant:${tenantOf({ tenantId })}:${kind}:${name}`;
+}
+
+/* =========================
+   Scoped db handle
+========================= */
+const FILTER_FIRST = new Set([
+  "find",
+  "findOne",
+  "countDocuments",
+  "updateOne",
+  "updateMany",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+]);
+
+function requireTenant(name) {
+  const tenantId = currentTenant();
+  if (tenantId === null)
+    throw new Error(`No tenant for ${name} (identity not resolved)`);
+  return tenantId;
+}
+
+function scopeFilter(filter, tenantId) {
+  return { ...(filter || {}), tenantId };
+}
+
+function stamp(doc, tenantId) {
+  if (doc && typeof doc === "object") doc.tenantId = tenantId;
+  return doc;
+}
+
+function scopeBulkOp(op, tenantId) {
+  const [type, spec] = Object.entries(op)[0];
+  if (type === "insertOne")
+    return { insertOne: { ...spec, document: stamp(spec.document, tenantId) } };
+
+  const scoped = { ...spec, filter: scopeFilter(spec.filter, tenantId) };
+  if (spec.replacement) scoped.replacement = stamp(spec.replacement, tenantId);
+  return { [type]: scoped };
+}
+
+function scopeCollection(collection, name) {
+  const wrap = {
+    distinct: (key, filter, ...rest) =>
+      collection.distinct(
+        key,
+        scopeFilter(filter, requireTenant(name)),
+        ...rest,
+      ),
+    insertOne: (doc, ...rest) =>
+      collection.insertOne(stamp(doc, requireTenant(name)), ...rest),
+    insertMany: (docs, ...rest) => {
+      const tenantId = requireTenant(name);
+      return collection.insertMany(
+        docs.map((d) => stamp(d, tenantId)),
+        ...rest,
+      );
+    },
+    replaceOne: (filter, doc, ...rest) => {
+      const tenantId = requireTenant(name);
+      return collection.replaceOne(
+        scopeFilter(filter, tenantId),
+        stamp(doc, tenantId),
+        ...rest,
+      );
+    },
+    aggregate: (pipeline = [], ...rest) =>
+      collection.aggregate(
+        [{ $match: { tenantId: requireTenant(name) } }, ...pipeline],
+        ...rest,
+      ),
+    bulkWrite: (ops, ...rest) => {
+      const tenantId = requireTenant(name);
+      return collection.bulkWrite(
+        ops.map((op) => scopeBulkOp(op, tenantId)),
+        ...rest,
+      );
+    },
+    estimatedDocumentCount: () =>
+      collection.countDocuments({ tenantId: requireTenant(name) }),
+  };
+
+  return new Proxy(collection, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+      if (typeof value !== "function") return value;
+      if (currentTenant() === undefined) return value.bind(target);
+
+      if (wrap[prop]) return wrap[prop];
+      if (FILTER_FIRST.has(prop)) {
+        return (filter, ...rest) =>
+          value.call(target, scopeFilter(filter, requireTenant(name)), ...rest);
+      }
+      return value.bind(target);
+    },
+  });
+}
+
+/**
+ * Wraps a mongodb Db so collection() returns tenant-scoped collections.
+ */
+export function scopeDatabase(database) {
+  return new Proxy(database, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+      if (prop !== "collection") {
+        return typeof value === "function" ? value.bind(target) : value;
+      }
+      return (name, ...rest) => {
+        const collection = target.collection(name, ...rest);
+        return TENANT_COLLECTIONS.has(name)
+          ? scopeCollection(collection, name)
+          : collection;
+      };
+    },
+  });
+}
+
+/**
+ * One-time upgrade of single-tenant data: documents without tenantId move to
+ * DEFAULT_TENANT, legacy _id keys are copied to their key field.
+ * Idempotent, runs at startup (unscoped).
+ */
+export async function migrateToTenants(database) {
+  for (const name of TENANT_COLLECTIONS) {
+    const coll = database.collection(name);
+    const keyField = LEGACY_ID_KEYS[name];
+    if (keyField) {
+      await coll.updateMany({ [keyField]: { $exists: false } }, [
+        { $set: { [keyField]: "$_id" } },
+      ]);
+    }
+
+    const r = await coll.updateMany(
+      { tenantId: { $exists: false } },
+      { $set: { tenantId: DEFAULT_TENANT } },
+    );
+    if (r.modifiedCount) {
+      console.log(
+        `🏢 ${name}: ${r.modifiedCount} document(s) moved to tenant ${DEFAULT_TENANT}`,
+      );
+    }
+  }
+}
+
+/**
+ * Tenants that have at least one user (for per-tenant background jobs).
+ */
+export async function listTenants(database) {
+  const ids = await runUnscoped(() =>
+    database.collection("users").distinct("tenantId"),
+  );
+  return [...new Set(ids.map((t) => tenantOf({ tenantId: t })))];
+}
+
+const SINGLE_TENANT_CACHE_MS = 60000;
+let singleTenant = null; // { value, at }
+
+/**
+ * True while all users belong to DEFAULT_TENANT. Identities that cannot
+ * prove their tenant (legacy headers) are only accepted then.
+ */
+export async function isSingleTenant(database) {
+  if (singleTenant && Date.now() - singleTenant.at < SINGLE_TENANT_CACHE_MS)
+    return singleTenant.value;
+
+  const tenants = await listTenants(database);
+  const value = tenants.every((t) => t === DEFAULT_TENANT);
+  singleTenant = { value, at: Date.now() };
+  return value;
+}
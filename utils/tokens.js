@@ -0,0 +1,238 @@
+// utils/tokens.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+
+dotenv.config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 7);
+
+const COLL = "refresh_tokens";
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function accessClaims(u) {
+  return {
+    _id: String(u._id),
+    employeeId: u.employeeId ? String(u.employeeId) : "",
+    userId: u.userId ? String(u.userId) : "",
+    username: u.username || "",
+    email: u.email || "",
+    role: u.role || "",
+    tokenVersion: Number(u.tokenVersion || 0),
+  };
+}
+
+/**
+ * Short-lived access token.
+ * tokenVersion must match users.tokenVersion, bumping it revokes every
+ * access token issued before (see middleware/authMiddleware.js).
+ */
+export function signAccessToken(u) {
+  return jwt.sign(accessClaims(u), process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+/**
+ * Access token acting as u for an admin impersonation session
+ * (utils/impersonation.js). Marked with the impersonation claim, valid until
+ * the session expires, never paired with a refresh token.
+ */
+export function signImpersonationToken(u, session) {
+  const seconds = Math.floor(
+    (new Date(session.expiresAt).getTime() - Date.now()) / 1000,
+  );
+  return jwt.sign(
+    {
+      ...accessClaims(u),
+      impersonation: {
+        sessionId: String(session._id),
+        by: session.admin,
+        readOnly: !!session.readOnly,
+      },
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, seconds) },
+  );
+}
+
+/**
+ * Stores a new refresh token (hashed) and returns the raw value.
+ * family groups all rotations of one login session.
+ */
+export async function issueRefreshToken(u, { family } = {}) {
+  const raw = crypto.randomBytes(48).toString("hex");
+  const now = new Date();
+  const expiresAt = new Date(now);
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+
+  await db.collection(COLL).insertOne({
+    tokenHash: hashToken(raw),
+    userId: String(u._id),
+    username: u.username || "",
+    family: family || crypto.randomUUID(),
+    tokenVersion: Number(u.tokenVersion || 0),
+    createdAt: now,
+    expiresAt,
+    revokedAt: null,
+  });
+
+  return raw;
+}
+
+/**
+ * Access + refresh token pair for a login/registration response.
+ */
+export async function issueSession(u, { family } = {}) {
+  return {
+    token: signAccessToken(u),
+    refreshToken: await issueRefreshToken(u, { family }),
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+export async function findRefreshToken(raw) {
+  if (!raw) return null;
+  return await db
+    .collection(COLL)
+    .findOne({ tokenHash: hashToken(String(raw).trim()) });
+}
+
+/**
+ * Revokes one refresh token (logout on this device).
+ * Returns false when it was already revoked (e.g. by a concurrent refresh).
+ */
+export async function revokeRefreshToken(doc, reason = "LOGOUT") {
+  if (!doc) return false;
+  const result = await db
+    .collection(COLL)
+    .updateOne(
+      { _id: doc._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Revokes every refresh token of one session family.
+ * Used when an already-rotated refresh token is presented again (token theft).
+ */
+export async function revokeRefreshFamily(family, reason = "REUSE_DETECTED") {
+  if (!family) return;
+  await db
+    .collection(COLL)
+    .updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+}
+
+/**
+ * Ends all sessions of a user: bumps users.tokenVersion (access tokens)
+ * and revokes all refresh tokens. Returns the new tokenVersion.
+ */
+export async function revokeAllSessions(userId, reason = "REVOKE_ALL") {
+  const updated = await db
+    .collection("users")
+    .findOneAndUpdate(
+      { _id: new ObjectId(String(userId)) },
+      { $inc: { tokenVersion: 1 }, $set: { updatedAt: new Date() } },
+      { returnDocument: "after" },
+    );
+
+  await db
+    .collection(COLL)
+    .updateMany(
+      { userId: String(userId), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+
+  return Number(updated?.tokenVersion || 0);
+}
+
+export function isRefreshTokenUsable(doc, user) {
+  if (!doc || !user) return false;
+  if (user.disabled) return false;
+  if (doc.revokedAt) return false;
+  if (new Date(doc.expiresAt) <= new Date()) return false;
+  return Number(doc.tokenVersion || 0) === Number(user.tokenVersion || 0);
+}
+
+/* =========================
+   Password reset (one-time)
+========================= */
+const PASSWORD_RESET_TTL_MINUTES = Number(
+  process.env.PASSWORD_RESET_TTL_MINUTES || 30,
+);
+const RESET_COLL = "password_resets";
+
+/**
+ * Creates a single-use reset token (stored hashed) and returns the raw value.
+ * Any older unused token of the same user stops working.
+ */
+export async function issuePasswordResetToken(u) {
+  const raw = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+  const expiresAt = new Date(
+    now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60000,
+  );
+
+  await db
+    .collection(RESET_COLL)
+    .updateMany(
+      { userId: String(u._id), usedAt: null },
+      { $set: { usedAt: now, invalidatedReason: "SUPERSEDED" } },
+    );
+
+  await db.collection(RESET_COLL).insertOne({
+    tokenHash: hashToken(raw),
+    userId: String(u._id),
+    createdAt: now,
+    expiresAt,
+    usedAt: null,
+  });
+
+  return { token: raw, expiresAt };
+}
+
+function usableResetFilter(raw, now) {
+  return {
+    tokenHash: hashToken(String(raw).trim()),
+    usedAt: null,
+    expiresAt: { $gt: now },
+  };
+}
+
+/**
+ * Looks up a reset token without using it up (e.g. to check the new password
+ * first). Returns the reset doc, or null when unknown / used / expired.
+ */
+export async function findPasswordResetToken(raw) {
+  if (!raw) return null;
+  return await db
+    .collection(RESET_COLL)
+    .findOne(usableResetFilter(raw, new Date()));
+}
+
+/**
+ * Atomically marks a reset token as used.
+ * Returns the reset doc, or null when unknown / used / expired.
+ */
+export async function consumePasswordResetToken(raw) {
+  if (!raw) return null;
+  const now = new Date();
+
+  return await db
+    .collection(RESET_COLL)
+    .findOneAndUpdate(
+      usableResetFilter(raw, now),
+      { $set: { usedAt: now } },
+      { returnDocument: "after" },
+    );
+}
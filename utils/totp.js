@@ -0,0 +1,106 @@
+// utils/totp.js
+import crypto from "crypto";
+
+/**
+ * RFC 6238 TOTP (SHA-1, 6 digits, 30s step) - what Google Authenticator,
+ * Microsoft Authenticator, 1Password etc. expect from an otpauth:// URI.
+ */
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str || "")
+    .toUpperCase()
+    .replace(/=+$/g, "")
+    .replace(/\s+/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(secretBuf, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", secretBuf).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(code % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+export function currentTotpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Checks a code against the current step +/- window (clock drift).
+ * Returns the matching step, or null.
+ */
+export function verifyTotp(
+  secret,
+  code,
+  { window = 1, now = Date.now() } = {},
+) {
+  const clean = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(clean)) return null;
+
+  const secretBuf = base32Decode(secret);
+  const step = currentTotpStep(now);
+  for (let i = -window; i <= window; i++) {
+    const candidate = hotp(secretBuf, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(clean))) {
+      return step + i;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// provisioning URI (render it as a QR code on the client).
+ */
+export function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
@@ -0,0 +1,282 @@
+// utils/twoFactor.js
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { db } from "../db.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "./totp.js";
+import { runWithTenant, tenantOf } from "./tenants.js";
+
+dotenv.config();
+
+/**
+ * TOTP two-factor authentication.
+ *
+ * users.twoFactor = {
+ *   enabled, secretEnc, pendingSecretEnc, recoveryCodes: [sha256],
+ *   lastUsedStep, enabledAt
+ * }
+ *
+ * Login with 2FA is two-step: /login answers with a challengeToken
+ * (login_challenges, single-use, short-lived) that /login/2fa exchanges
+ * for the real session once a TOTP or recovery code is given.
+ */
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Service Management";
+const CHALLENGE_TTL_MINUTES = Number(
+  process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES || 5,
+);
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const RECOVERY_CODES_COUNT = 10;
+
+const CHALLENGES_COLL = "login_challenges";
+const SETTINGS_COLL = "settings";
+const POLICY_KEY = "twoFactor";
+
+export const CHALLENGE_TYPE = {
+  VERIFY: "VERIFY", // user has 2FA -> enter code
+  SETUP: "SETUP", // role requires 2FA but user is not enrolled yet
+};
+
+function sha256(v) {
+  return crypto.createHash("sha256").update(String(v)).digest("hex");
+}
+
+/* =========================
+   Secret encryption (AES-256-GCM)
+========================= */
+function encryptionKey() {
+  return crypto
+    .createHash("sha256")
+    .update(
+      String(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET),
+    )
+    .digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const enc = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, enc].map((b) => b.toString("base64")).join(".");
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, enc] = String(payload || "")
+    .split(".")
+    .map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString(
+    "utf8",
+  );
+}
+
+/* =========================
+   Policy (admin: which roles must use 2FA)
+========================= */
+export async function getTwoFactorPolicy() {
+  const doc = await db.collection(SETTINGS_COLL).findOne({ key: POLICY_KEY });
+  return {
+    requiredRoles: Array.isArray(doc?.requiredRoles) ? doc.requiredRoles : [],
+    updatedAt: doc?.updatedAt || null,
+    updatedBy: doc?.updatedBy || null,
+  };
+}
+
+export async function setTwoFactorPolicy({ requiredRoles, by }) {
+  await db
+    .collection(SETTINGS_COLL)
+    .updateOne(
+      { key: POLICY_KEY },
+      { $set: { requiredRoles, updatedAt: new Date(), updatedBy: by } },
+      { upsert: true },
+    );
+  return await getTwoFactorPolicy();
+}
+
+/**
+ * Evaluated against the policy of the user's tenant (login runs unscoped).
+ */
+export async function isTwoFactorRequired(user) {
+  const policy = await runWithTenant(tenantOf(user), getTwoFactorPolicy);
+  return policy.requiredRoles.includes(String(user?.role || ""));
+}
+
+export function isTwoFactorEnabled(user) {
+  return !!user?.twoFactor?.enabled;
+}
+
+/* =========================
+   Enrollment
+========================= */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODES_COUNT }).map(() => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(sha256) };
+}
+
+/**
+ * Creates a new pending secret. Returns { secret, otpauthUri }.
+ */
+export async function startTwoFactorSetup(user) {
+  const secret = generateTotpSecret();
+  await db
+    .collection("users")
+    .updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.pendingSecretEnc": encryptSecret(secret) } },
+    );
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: user.email || user.username,
+      issuer: ISSUER,
+    }),
+  };
+}
+
+/**
+ * Confirms the pending secret with a first code.
+ * Returns { recoveryCodes } or { error }.
+ */
+export async function confirmTwoFactorSetup(user, code) {
+  const pending = user?.twoFactor?.pendingSecretEnc;
+  if (!pending) return { error: "No 2FA setup in progress" };
+
+  const secret = decryptSecret(pending);
+  const step = verifyTotp(secret, code);
+  if (step == null) return { error: "Invalid code" };
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await db.collection("users").updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        twoFactor: {
+          enabled: true,
+          secretEnc: pending,
+          recoveryCodes: hashes,
+          lastUsedStep: step,
+          enabledAt: new Date(),
+        },
+      },
+    },
+  );
+
+  return { recoveryCodes: codes };
+}
+
+export async function disableTwoFactor(user) {
+  await db
+    .collection("users")
+    .updateOne({ _id: user._id }, { $unset: { twoFactor: "" } });
+}
+
+export async function regenerateRecoveryCodes(user) {
+  const { codes, hashes } = generateRecoveryCodes();
+  await db
+    .collection("users")
+    .updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.recoveryCodes": hashes } },
+    );
+  return codes;
+}
+
+/**
+ * Verifies a TOTP code (no replay of an already used step) or consumes a
+ * recovery code. Returns { ok, method, recoveryCodesLeft? }.
+ */
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!isTwoFactorEnabled(user)) return { ok: false };
+
+  if (recoveryCode) {
+    const hash = sha256(String(recoveryCode).trim().toLowerCase());
+    const updated = await db
+      .collection("users")
+      .findOneAndUpdate(
+        { _id: user._id, "twoFactor.recoveryCodes": hash },
+        { $pull: { "twoFactor.recoveryCodes": hash } },
+        { returnDocument: "after" },
+      );
+    if (!updated) return { ok: false };
+    return {
+      ok: true,
+      method: "RECOVERY_CODE",
+      recoveryCodesLeft: updated.twoFactor?.recoveryCodes?.length || 0,
+    };
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secretEnc), code);
+  if (step == null) return { ok: false };
+
+  // ✅ each 30s code works once
+  const r = await db.collection("users").updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "twoFactor.lastUsedStep": { $lt: step } },
+        { "twoFactor.lastUsedStep": { $exists: false } },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } },
+  );
+  if (!r.modifiedCount) return { ok: false };
+
+  return { ok: true, method: "TOTP" };
+}
+
+/* =========================
+   Login challenges
+========================= */
+export async function createLoginChallenge(user, type) {
+  const raw = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  await db.collection(CHALLENGES_COLL).insertOne({
+    tokenHash: sha256(raw),
+    userId: String(user._id),
+    type,
+    attempts: 0,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + CHALLENGE_TTL_MINUTES * 60000),
+    usedAt: null,
+  });
+
+  return { challengeToken: raw, expiresInSeconds: CHALLENGE_TTL_MINUTES * 60 };
+}
+
+/**
+ * Returns the open challenge, or null (unknown / used / expired / too many tries).
+ */
+export async function findLoginChallenge(raw) {
+  if (!raw) return null;
+  return await db.collection(CHALLENGES_COLL).findOne({
+    tokenHash: sha256(String(raw).trim()),
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: CHALLENGE_MAX_ATTEMPTS },
+  });
+}
+
+export async function recordChallengeFailure(challenge) {
+  await db
+    .collection(CHALLENGES_COLL)
+    .updateOne({ _id: challenge._id }, { $inc: { attempts: 1 } });
+}
+
+/**
+ * Marks the challenge used. false when it was used concurrently.
+ */
+export async function completeLoginChallenge(challenge) {
+  const r = await db
+    .collection(CHALLENGES_COLL)
+    .updateOne(
+      { _id: challenge._id, usedAt: null },
+      { $set: { usedAt: new Date() } },
+    );
+  return r.modifiedCount > 0;
+}
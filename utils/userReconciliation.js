@@ -0,0 +1,294 @@
+// utils/userReconciliation.js
+import { ObjectId } from "mongodb";
+import { db } from "../db.js";
+import {
+  ALLOWED_EMPLOYEE_ROLES,
+  normalizeEmployeeRole,
+  buildFullName,
+  loadEmployeeDirectory,
+  getEmployeeSyncStatus,
+} from "./employeeDirectory.js";
+import { revokeAllSessions } from "./tokens.js";
+import { createNotification } from "./notify.js";
+import { listTenants, runWithTenant } from "./tenants.js";
+
+/**
+ * Compares registered users with the local employee directory.
+ *
+ * A report lists one change per affected user:
+ * - UPDATE:  role / department / position / name changed in the directory
+ * - DISABLE: employee record disappeared or role left ALLOWED_EMPLOYEE_ROLES
+ * - ENABLE:  a user disabled by an earlier reconciliation is valid again
+ * Roles set by an admin (users.roleOverride) are never changed.
+ *
+ * Reports are stored as PENDING and only touch users once an admin applies them.
+ */
+const COLL = "user_reconciliations";
+
+export const RECONCILIATION_STATUS = {
+  PENDING: "PENDING",
+  APPLIED: "APPLIED",
+  DISCARDED: "DISCARDED",
+  SUPERSEDED: "SUPERSEDED",
+};
+
+const DISABLED_BY_DIRECTORY = "DIRECTORY_SYNC";
+
+function normalizeEmail(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+function profileFromEmployee(employee) {
+  return {
+    role: normalizeEmployeeRole(employee?.role),
+    department: employee?.department || "",
+    position: employee?.position || "",
+    name: buildFullName(employee),
+    firstName: employee?.firstName || "",
+    lastName: employee?.lastName || "",
+  };
+}
+
+function diffUser(user, employee) {
+  const base = {
+    userId: String(user._id),
+    username: user.username || "",
+    email: user.email || "",
+  };
+
+  if (!employee) {
+    if (user.disabled) return null;
+    return {
+      ...base,
+      action: "DISABLE",
+      reason: "EMPLOYEE_REMOVED",
+      before: { role: user.role || "" },
+      after: {},
+    };
+  }
+
+  const profile = profileFromEmployee(employee);
+
+  // ✅ an admin role override wins over the directory role
+  if (user.roleOverride) delete profile.role;
+
+  if (profile.role && !ALLOWED_EMPLOYEE_ROLES.has(profile.role)) {
+    if (user.disabled) return null;
+    return {
+      ...base,
+      action: "DISABLE",
+      reason: "ROLE_NOT_ALLOWED",
+      before: { role: user.role || "" },
+      after: { role: profile.role },
+    };
+  }
+
+  const before = {};
+  const after = {};
+  for (const [field, value] of Object.entries(profile)) {
+    if ((user[field] || "") !== value) {
+      before[field] = user[field] || "";
+      after[field] = value;
+    }
+  }
+
+  if (user.disabled && user.disabledBy === DISABLED_BY_DIRECTORY) {
+    return {
+      ...base,
+      action: "ENABLE",
+      reason: "EMPLOYEE_RESTORED",
+      before,
+      after,
+    };
+  }
+
+  if (!Object.keys(after).length) return null;
+  return {
+    ...base,
+    action: "UPDATE",
+    reason: "DIRECTORY_CHANGED",
+    before,
+    after,
+  };
+}
+
+/**
+ * Builds (and stores) a PENDING reconciliation report.
+ * Older PENDING reports become SUPERSEDED.
+ * skipIfEmpty: a report without changes is returned but not stored.
+ * Returns the report, or { error } while the directory was never synced.
+ */
+export async function createReconciliationReport({
+  by = null,
+  trigger = "manual",
+  skipIfEmpty = false,
+} = {}) {
+  const sync = await getEmployeeSyncStatus();
+  if (!sync.lastSuccessAt || !sync.cachedEmployees) {
+    return { error: "Employee directory has not been synced yet" };
+  }
+
+  const directory = await loadEmployeeDirectory();
+  const users = await db
+    .collection("users")
+    .find(
+      {},
+      {
+        projection: {
+          username: 1,
+          email: 1,
+          role: 1,
+          department: 1,
+          position: 1,
+          name: 1,
+          firstName: 1,
+          lastName: 1,
+          disabled: 1,
+          disabledBy: 1,
+          roleOverride: 1,
+        },
+      },
+    )
+    .toArray();
+
+  const changes = users
+    .map((u) => diffUser(u, directory.get(normalizeEmail(u.email)) || null))
+    .filter(Boolean);
+
+  const summary = { users: users.length, changes: changes.length };
+  for (const c of changes) summary[c.action] = (summary[c.action] || 0) + 1;
+
+  const now = new Date();
+  const report = {
+    status: RECONCILIATION_STATUS.PENDING,
+    trigger,
+    createdBy: by,
+    createdAt: now,
+    updatedAt: now,
+    directorySyncedAt: sync.lastSuccessAt,
+    summary,
+    changes,
+  };
+
+  if (skipIfEmpty && !changes.length) return { ...report, _id: null };
+
+  await db
+    .collection(COLL)
+    .updateMany(
+      { status: RECONCILIATION_STATUS.PENDING },
+      { $set: { status: RECONCILIATION_STATUS.SUPERSEDED, updatedAt: now } },
+    );
+
+  const result = await db.collection(COLL).insertOne(report);
+  return { ...report, _id: result.insertedId };
+}
+
+/**
+ * Applies a PENDING report. userIds limits it to a subset of its changes.
+ * Returns { applied, skipped }, or null when the report is no longer PENDING.
+ */
+export async function applyReconciliationReport(
+  reportId,
+  { by, userIds = null } = {},
+) {
+  const only =
+    Array.isArray(userIds) && userIds.length
+      ? new Set(userIds.map(String))
+      : null;
+  const now = new Date();
+
+  // ✅ claim first so a report is never applied twice
+  const report = await db.collection(COLL).findOneAndUpdate(
+    { _id: reportId, status: RECONCILIATION_STATUS.PENDING },
+    {
+      $set: {
+        status: RECONCILIATION_STATUS.APPLIED,
+        appliedBy: by,
+        appliedAt: now,
+        updatedAt: now,
+      },
+    },
+    { returnDocument: "after" },
+  );
+  if (!report) return null;
+
+  const applied = [];
+  const skipped = [];
+
+  for (const change of report.changes || []) {
+    if (only && !only.has(change.userId)) {
+      skipped.push(change.userId);
+      continue;
+    }
+
+    const _id = new ObjectId(change.userId);
+
+    if (change.action === "DISABLE") {
+      await db.collection("users").updateOne(
+        { _id },
+        {
+          $set: {
+            disabled: true,
+            disabledAt: now,
+            disabledBy: DISABLED_BY_DIRECTORY,
+            disabledReason: change.reason,
+            updatedAt: now,
+          },
+        },
+      );
+      await revokeAllSessions(change.userId, "ACCOUNT_DISABLED");
+    } else if (change.action === "ENABLE") {
+      await db.collection("users").updateOne(
+        { _id },
+        {
+          $set: { ...change.after, disabled: false, updatedAt: now },
+          $unset: { disabledAt: "", disabledBy: "", disabledReason: "" },
+        },
+      );
+    } else {
+      await db
+        .collection("users")
+        .updateOne({ _id }, { $set: { ...change.after, updatedAt: now } });
+    }
+
+    applied.push(change.userId);
+  }
+
+  await db
+    .collection(COLL)
+    .updateOne({ _id: report._id }, { $set: { appliedUserIds: applied } });
+
+  return { applied: applied.length, skipped: skipped.length };
+}
+
+async function reconcileTenant() {
+  const report = await createReconciliationReport({
+    trigger: "schedule",
+    skipIfEmpty: true,
+  });
+  if (report.error || !report.changes.length) return report;
+
+  await createNotification({
+    uniqKey: `USER_RECONCILIATION:${String(report._id)}`,
+    toRole: "SYSTEM_ADMIN",
+    type: "USER_RECONCILIATION",
+    title: "User changes to review",
+    message: `The employee directory changed ${report.changes.length} registered user(s). Review the reconciliation report before applying it.`,
+  });
+
+  return report;
+}
+
+/**
+ * Scheduled-sync hook: builds one report per tenant and tells that tenant's
+ * admins when it has changes.
+ */
+export async function reconcileAfterSync() {
+  const reports = [];
+  for (const tenantId of await listTenants(db)) {
+    reports.push(await runWithTenant(tenantId, reconcileTenant));
+  }
+  return reports;
+}
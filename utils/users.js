@@ -0,0 +1,61 @@
+// utils/users.js
+import dotenv from "dotenv";
+import { issuePasswordResetToken } from "./tokens.js";
+import { sendMail } from "./mailer.js";
+import { tenantOf } from "./tenants.js";
+
+dotenv.config();
+
+const RESET_PASSWORD_URL =
+  process.env.RESET_PASSWORD_URL ||
+  `${process.env.CLIENT_URL || "http://localhost:3000"}/reset-password`;
+
+/**
+ * Public user profile (never contains password or token data).
+ */
+export function safeUser(u) {
+  return {
+    _id: String(u._id),
+    employeeId: u.employeeId ? String(u.employeeId) : "",
+    userId: u.userId ? String(u.userId) : "",
+    username: u.username || "",
+    displayUsername: u.displayUsername || "",
+    name: u.name || "",
+    firstName: u.firstName || "",
+    lastName: u.lastName || "",
+    email: u.email || "",
+    role: u.role || "",
+    tenantId: tenantOf(u),
+    department: u.department || "",
+    position: u.position || "",
+    disabled: !!u.disabled,
+    twoFactorEnabled: !!u.twoFactor?.enabled,
+  };
+}
+
+/**
+ * Issues a one-time reset token for the user and mails the link.
+ * forced: the reset was required by an admin (different wording).
+ */
+export async function sendPasswordResetMail(user, { forced = false } = {}) {
+  const { token, expiresAt } = await issuePasswordResetToken(user);
+  const link = `${RESET_PASSWORD_URL}?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: forced ? "Password reset required" : "Reset your password",
+    text: [
+      `Hello ${user.name || user.displayUsername || user.username},`,
+      "",
+      forced
+        ? "An administrator requires you to choose a new password before you can log in again:"
+        : "Use the link below to choose a new password:",
+      link,
+      "",
+      `The link can be used once and expires at ${expiresAt.toISOString()}.`,
+      forced ? "" : "If you did not request this, you can ignore this email.",
+    ]
+      .join("\n")
+      .trim(),
+  });
+}